@@ -8,3 +8,21 @@ solc ..=.. --optimize --bin --abi --hashes --allow-paths contracts/libs,contract
 
 echo 'Compiling OracleFactory.sol into /compiled'
 solc ..=.. --optimize --bin --abi --hashes --allow-paths contracts/libs,contracts/storage -o compiled --overwrite contracts/oracles/OracleFactory.sol
+
+echo 'Compiling ScalarEventFactory.sol into /compiled'
+solc ..=.. --optimize --bin --abi --hashes --allow-paths contracts/libs,contracts/storage -o compiled --overwrite contracts/events/ScalarEventFactory.sol
+
+echo 'Compiling LMSREventFactory.sol into /compiled'
+solc ..=.. --optimize --bin --abi --hashes --allow-paths contracts/libs,contracts/storage -o compiled --overwrite contracts/events/LMSREventFactory.sol
+
+echo 'Compiling FixedOddsEventFactory.sol into /compiled'
+solc ..=.. --optimize --bin --abi --hashes --allow-paths contracts/libs,contracts/storage -o compiled --overwrite contracts/events/FixedOddsEventFactory.sol
+
+echo 'Compiling OutcomeTokenFactory.sol into /compiled'
+solc ..=.. --optimize --bin --abi --hashes --allow-paths contracts/libs -o compiled --overwrite contracts/tokens/OutcomeTokenFactory.sol
+
+echo 'Compiling ConditionalEventFactory.sol into /compiled'
+solc ..=.. --optimize --bin --abi --hashes --allow-paths contracts/libs,contracts/storage -o compiled --overwrite contracts/events/ConditionalEventFactory.sol
+
+echo 'Compiling Parlay.sol into /compiled'
+solc ..=.. --optimize --bin --abi --hashes --allow-paths contracts/libs,contracts/events,contracts/storage -o compiled --overwrite contracts/parlay/Parlay.sol
@@ -29,10 +29,23 @@ contract BaseContract {
         public
         view
         returns (uint256[11]) 
+    {
+        return getBetBalancesFor(msg.sender);
+    }
+
+    /*
+    * @notice Gets the bet balances of an address for all the results.
+    * @param _better The address to get the bet balances of.
+    * @return An array of all the bet balances of the address.
+    */
+    function getBetBalancesFor(address _better) 
+        public
+        view
+        returns (uint256[11]) 
     {
         uint256[11] memory betBalances;
         for (uint8 i = 0; i < numOfResults; i++) {
-            betBalances[i] = balances[i].bets[msg.sender];
+            betBalances[i] = balances[i].bets[_better];
         }
         return betBalances;
     }
@@ -61,10 +74,23 @@ contract BaseContract {
         public
         view
         returns (uint256[11]) 
+    {
+        return getVoteBalancesFor(msg.sender);
+    }
+
+    /*
+    * @notice Gets the vote balances of an address for all the results.
+    * @param _voter The address to get the vote balances of.
+    * @return An array of all the vote balances of the address.
+    */
+    function getVoteBalancesFor(address _voter) 
+        public
+        view
+        returns (uint256[11]) 
     {
         uint256[11] memory voteBalances;
         for (uint8 i = 0; i < numOfResults; i++) {
-            voteBalances[i] = balances[i].votes[msg.sender];
+            voteBalances[i] = balances[i].votes[_voter];
         }
         return voteBalances;
     }
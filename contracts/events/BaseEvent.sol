@@ -0,0 +1,373 @@
+pragma solidity ^0.4.18;
+
+import "./IEvent.sol";
+import "../BaseContract.sol";
+import "../storage/IAddressManager.sol";
+import "../tokens/ERC20.sol";
+import "../libs/Ownable.sol";
+import "../libs/SafeMath.sol";
+import "../libs/EventLib.sol";
+
+/*
+* @title Base Event holds the Oracle lifecycle shared by all Events: the CentralizedOracle sets the result, the
+*   DecentralizedOracles arbitrate it with BOT votes until one is not challenged and the final result is set, after
+*   which the winners have the claim period to withdraw.
+*/
+contract BaseEvent is IEvent, BaseContract, Ownable {
+    using SafeMath for uint256;
+
+    /*
+    * @notice Status types
+    *   Betting: Bet with QTUM during this phase.
+    *   OracleVoting: Vote with BOT during this phase.
+    *   Collection: Winners collect their winnings during this phase.
+    *   Cancelled: The Event was cancelled or expired before any bets were placed. No further actions are allowed.
+    */
+    enum Status {
+        Betting,
+        OracleVoting,
+        Collection,
+        Cancelled
+    }
+
+    struct Oracle {
+        address oracleAddress;
+        bool didSetResult;
+    }
+
+    // Index of the "Invalid" result. Finalizing on it voids the Event and forfeits the escrow.
+    uint8 public constant VOID_RESULT_INDEX = 0;
+
+    Status public status = Status.Betting;
+    uint256 public totalBotValue;
+    uint256 public escrowAmount;
+    uint256 public forfeitedEscrow; // Forfeited escrow to be distributed to the voters of the Invalid result
+    uint256 public claimEndTime;
+    IAddressManager internal addressManager;
+    Oracle[] public oracles;
+
+    // Events
+    event VoteCast(
+        uint16 indexed _version,
+        address indexed _voter,
+        uint8 indexed _resultIndex,
+        uint256 _amount,
+        uint256 _resultTotalVotes,
+        uint256 _totalBotValue);
+    event FinalResultSet(
+        uint16 indexed _version,
+        address indexed _eventAddress,
+        uint8 _finalResultIndex);
+    event UnclaimedSwept(
+        uint16 indexed _version,
+        address indexed _treasury,
+        uint256 _qtumAmount,
+        uint256 _botAmount);
+
+    // Modifiers
+    modifier fromCentralizedOracle() {
+        require(msg.sender == oracles[0].oracleAddress);
+        _;
+    }
+
+    modifier inCollectionStatus() {
+        require(status == Status.Collection);
+        _;
+    }
+
+    modifier inClaimPeriod() {
+        require(block.timestamp < getClaimEndTime());
+        _;
+    }
+
+    /*
+    * @dev CentralizedOracle contract can call this method to set the result.
+    * @param _oracle The address of the CentralizedOracle.
+    * @param _resultIndex The index of the result to set.
+    * @param _consensusThreshold The BOT threshold that the CentralizedOracle has to contribute to validate the result.
+    */
+    function centralizedOracleSetResult(
+        address _oracle,
+        uint8 _resultIndex,
+        uint256 _consensusThreshold)
+        external
+        validResultIndex(_resultIndex)
+        fromCentralizedOracle()
+    {
+        require(!oracles[0].didSetResult);
+        require(status == Status.Betting);
+
+        oracles[0].didSetResult = true;
+        status = Status.OracleVoting;
+        resultIndex = _resultIndex;
+
+        recordVote(_oracle, _resultIndex, _consensusThreshold);
+        createDecentralizedOracle(_consensusThreshold, false);
+    }
+
+    /*
+    * @dev DecentralizedOracle contract can call this method to vote for a user. Voter must BOT approve() with the
+    *   amount to the Event address before voting.
+    * @param _resultIndex The index of result to vote on.
+    * @param _sender The address of the person voting on a result.
+    * @param _amount The BOT amount used to vote.
+    * @return Flag indicating a successful transfer.
+    */
+    function voteFromOracle(uint8 _resultIndex, address _sender, uint256 _amount)
+        external
+        validResultIndex(_resultIndex)
+        returns (bool)
+    {
+        getDecentralizedOracleIndex(msg.sender);
+
+        recordVote(_sender, _resultIndex, _amount);
+        return true;
+    }
+
+    /*
+    * @dev DecentralizedOracle contract can call this to set the result after vote passes consensus threshold.
+    * @param _resultIndex The index of the result to set.
+    * @param _currentConsensusThreshold The current consensus threshold for the Oracle.
+    */
+    function decentralizedOracleSetResult(uint8 _resultIndex, uint256 _currentConsensusThreshold)
+        external
+        validResultIndex(_resultIndex)
+        returns (bool)
+    {
+        uint256 oracleIndex = getDecentralizedOracleIndex(msg.sender);
+        require(!oracles[oracleIndex].didSetResult);
+
+        oracles[oracleIndex].didSetResult = true;
+        status = Status.OracleVoting;
+        resultIndex = _resultIndex;
+
+        return createDecentralizedOracle(_currentConsensusThreshold, true);
+    }
+
+    /*
+    * @dev The last DecentralizedOracle contract can call this method to change status to Collection.
+    * @return Flag to indicate success of finalizing the result.
+    */
+    function decentralizedOracleFinalizeResult()
+        external
+        returns (bool)
+    {
+        require(msg.sender == oracles[oracles.length - 1].oracleAddress);
+        require(status == Status.OracleVoting);
+
+        status = Status.Collection;
+        claimEndTime = block.timestamp.add(addressManager.claimPeriodLength());
+        if (resultIndex == VOID_RESULT_INDEX) {
+            forfeitedEscrow = EventLib.forfeitEscrow(addressManager);
+        }
+
+        FinalResultSet(version, address(this), resultIndex);
+
+        return true;
+    }
+
+    /*
+    * @notice Allows anyone to send the unclaimed QTUM and BOT, including rounding leftovers, to the treasury after
+    *   the claim period has ended.
+    */
+    function sweepUnclaimed()
+        external
+        inCollectionStatus()
+    {
+        require(block.timestamp >= getClaimEndTime());
+
+        address treasury = addressManager.treasuryAddress();
+        require(treasury != address(0));
+
+        uint256 qtumAmount;
+        uint256 botAmount;
+        (qtumAmount, botAmount) = getUnclaimedBalances();
+
+        if (qtumAmount > 0) {
+            transferBettingCurrency(treasury, qtumAmount);
+        }
+        if (botAmount > 0) {
+            getBodhiToken().transfer(treasury, botAmount);
+        }
+
+        UnclaimedSwept(version, treasury, qtumAmount, botAmount);
+    }
+
+    /*
+    * @notice Allows the creator of the Event to withdraw the escrow amount.
+    */
+    function withdrawEscrow()
+        external
+        onlyOwner()
+        inCollectionStatus()
+    {
+        addressManager.withdrawEscrow(msg.sender);
+    }
+
+    /*
+    * @notice Gets the final result index and flag indicating if the result is final.
+    * @return The result index and finalized bool.
+    */
+    function getFinalResult()
+        public
+        view
+        returns (uint8, bool)
+    {
+        return (resultIndex, status == Status.Collection);
+    }
+
+    /*
+    * @notice Gets the QTUM and BOT still held by the Event. Until claimEndTime these can be withdrawn by the winners,
+    *   after which they can be swept to the treasury.
+    * @return The amount of QTUM and BOT not yet withdrawn.
+    */
+    function getUnclaimedBalances()
+        public
+        view
+        returns (uint256, uint256)
+    {
+        return (this.balance, getBodhiToken().balanceOf(address(this)));
+    }
+
+    /*
+    * @dev Checks if the Event is voided, in which case everyone is refunded instead of paid out by the final result.
+    * @return Flag indicating if the Event is voided.
+    */
+    function isVoided()
+        internal
+        view
+        returns (bool)
+    {
+        return resultIndex == VOID_RESULT_INDEX;
+    }
+
+    /*
+    * @dev Gets the end of the claim period, after which the unclaimed QTUM and BOT can be swept.
+    * @return The unix time when the claim period ends.
+    */
+    function getClaimEndTime()
+        internal
+        view
+        returns (uint256)
+    {
+        return claimEndTime;
+    }
+
+    /*
+    * @dev Transfers the currency the Event is bet in, which is QTUM unless the Event overrides it.
+    * @param _to The address to transfer to.
+    * @param _amount The amount to transfer.
+    */
+    function transferBettingCurrency(address _to, uint256 _amount)
+        internal
+    {
+        _to.transfer(_amount);
+    }
+
+    /*
+    * @dev Transfers an ERC20 token to this Event. The sender must approve() the amount to the Event address first.
+    * @param _token The token to transfer.
+    * @param _from The address to transfer from.
+    * @param _amount The amount to transfer.
+    * @return Flag indicating a successful transfer.
+    */
+    function receiveToken(ERC20 _token, address _from, uint256 _amount)
+        internal
+        returns (bool)
+    {
+        require(_token.allowance(_from, address(this)) >= _amount);
+
+        return _token.transferFrom(_from, address(this), _amount);
+    }
+
+    /*
+    * @dev Gets the BOT token of the AddressManager.
+    * @return The BOT token.
+    */
+    function getBodhiToken()
+        internal
+        view
+        returns (ERC20)
+    {
+        return ERC20(addressManager.bodhiTokenAddress());
+    }
+
+    /*
+    * @dev Creates the CentralizedOracle of this Event. It has to be called from the constructor once the version,
+    *   number of results and AddressManager are set.
+    * @param _centralizedOracle The address that will decide the result.
+    * @param _times The unix times as [bettingStartTime, bettingEndTime, resultSettingStartTime, resultSettingEndTime].
+    */
+    function createCentralizedOracle(address _centralizedOracle, uint256[4] _times)
+        internal
+    {
+        addOracle(EventLib.createCentralizedOracle(addressManager, version, numOfResults, _centralizedOracle, _times));
+    }
+
+    /*
+    * @dev Records a BOT vote and transfers the BOT from the voter. Voter must BOT approve() the amount to the Event
+    *   address before voting.
+    * @param _voter The address that is voting.
+    * @param _resultIndex The index of result to vote on.
+    * @param _amount The BOT amount voted.
+    */
+    function recordVote(address _voter, uint8 _resultIndex, uint256 _amount)
+        private
+    {
+        require(_amount > 0);
+
+        balances[_resultIndex].totalVotes = balances[_resultIndex].totalVotes.add(_amount);
+        balances[_resultIndex].votes[_voter] = balances[_resultIndex].votes[_voter].add(_amount);
+        totalBotValue = totalBotValue.add(_amount);
+
+        require(receiveToken(getBodhiToken(), _voter, _amount));
+        VoteCast(version, _voter, _resultIndex, _amount, balances[_resultIndex].totalVotes, totalBotValue);
+    }
+
+    /*
+    * @dev Gets the index of a DecentralizedOracle of this Event. Throws if the address is not one of them.
+    * @param _oracle The address of the DecentralizedOracle.
+    * @return The index of the DecentralizedOracle in oracles.
+    */
+    function getDecentralizedOracleIndex(address _oracle)
+        private
+        view
+        returns (uint256)
+    {
+        for (uint256 i = 1; i < oracles.length; i++) {
+            if (oracles[i].oracleAddress == _oracle) {
+                return i;
+            }
+        }
+        revert();
+    }
+
+    /*
+    * @dev Creates a DecentralizedOracle that arbitrates the current result.
+    * @param _consensusThreshold The consensus threshold of the Oracle that set the current result.
+    * @param _raiseThreshold Flag to raise the threshold by the consensusThresholdIncrement.
+    * @return Flag indicating a successful creation.
+    */
+    function createDecentralizedOracle(uint256 _consensusThreshold, bool _raiseThreshold)
+        private
+        returns (bool)
+    {
+        addOracle(EventLib.createDecentralizedOracle(addressManager, version, numOfResults, resultIndex,
+            _consensusThreshold, _raiseThreshold));
+        return true;
+    }
+
+    /*
+    * @dev Adds a newly created Oracle to the Oracles of this Event.
+    * @param _oracle The address of the Oracle.
+    */
+    function addOracle(address _oracle)
+        private
+    {
+        assert(_oracle != address(0));
+        oracles.push(Oracle({
+            oracleAddress: _oracle,
+            didSetResult: false
+            }));
+    }
+}
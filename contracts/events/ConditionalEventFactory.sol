@@ -0,0 +1,137 @@
+pragma solidity ^0.4.18;
+
+import "./ConditionalTopicEvent.sol";
+import "../storage/IAddressManager.sol";
+
+/// @title Conditional Event Factory allows the creation of topics that depend on the result of another topic.
+contract ConditionalEventFactory {
+    using ByteUtils for bytes32;
+
+    uint16 public version;
+    address private addressManager;
+    mapping(bytes32 => ConditionalTopicEvent) public topics;
+
+    // Events
+    event ConditionalTopicCreated(
+        uint16 indexed _version,
+        address indexed _topicAddress,
+        address indexed _parentEvent,
+        uint8 _parentResultIndex,
+        bytes32[10] _name,
+        bytes32[11] _resultNames,
+        uint8 _numOfResults,
+        uint8 _creatorFeePercentage,
+        address _bettingToken);
+
+    /*
+    * @notice Creates new ConditionalEventFactory contract. It uses the version of the latest EventFactory so its 
+    *   topics create Oracles with the matching OracleFactory.
+    * @param _addressManager The address of the AddressManager contract.
+    */
+    function ConditionalEventFactory(address _addressManager) public {
+        require(_addressManager != address(0));
+
+        addressManager = _addressManager;
+        version = IAddressManager(addressManager).getLastEventFactoryIndex();
+    }
+
+    /*
+    * @notice Creates a new ConditionalTopicEvent. The creator must BOT approve() the escrow amount to the 
+    *   AddressManager first.
+    * @param _oracle The address of the CentralizedOracle that will decide the result.
+    * @param _name The question or statement prediction broken down by multiple bytes32.
+    * @param _resultNames The possible results. Invalid is added as the first result.
+    * @param _times The unix times as [bettingStartTime, bettingEndTime, resultSettingStartTime, resultSettingEndTime].
+    * @param _creatorFeePercentage The percentage of the losing QTUM paid to the creator.
+    * @param _bettingToken The ERC20 token registered in the AddressManager to bet with, or 0 to bet with QTUM.
+    * @param _parentEvent The address of the TopicEvent the new topic depends on.
+    * @param _parentResultIndex The result the parent TopicEvent has to finalize on for the new topic to settle.
+    * @return The new ConditionalTopicEvent.
+    */
+    function createConditionalTopic(
+        address _oracle,
+        bytes32[10] _name,
+        bytes32[10] _resultNames,
+        uint256[4] _times,
+        uint8 _creatorFeePercentage,
+        address _bettingToken,
+        address _parentEvent,
+        uint8 _parentResultIndex)
+        public
+        returns (ConditionalTopicEvent)
+    {
+        require(!_name[0].isEmpty());
+        require(!_resultNames[0].isEmpty());
+        require(!_resultNames[1].isEmpty());
+
+        bytes32[11] memory resultNames;
+        uint8 numOfResults;
+        (resultNames, numOfResults) = getResultNames(_resultNames);
+
+        bytes32 topicHash = keccak256(_name, resultNames, numOfResults, _times, _parentEvent, _parentResultIndex);
+        // Topic should not exist yet
+        require(address(topics[topicHash]) == 0);
+
+        ConditionalTopicEvent topic = newTopic(_oracle, _name, resultNames, numOfResults, _times, 
+            _creatorFeePercentage, _bettingToken, _parentEvent, _parentResultIndex);
+        topics[topicHash] = topic;
+
+        IAddressManager(addressManager).transferEscrow(msg.sender, address(topic));
+        IAddressManager(addressManager).addWhitelistContract(address(topic));
+
+        return topic;
+    }
+
+    /// @dev Deploys the ConditionalTopicEvent contract and emits ConditionalTopicCreated. Kept apart from 
+    ///   createConditionalTopic to stay within the stack limit.
+    function newTopic(
+        address _oracle,
+        bytes32[10] _name,
+        bytes32[11] _resultNames,
+        uint8 _numOfResults,
+        uint256[4] _times,
+        uint8 _creatorFeePercentage,
+        address _bettingToken,
+        address _parentEvent,
+        uint8 _parentResultIndex)
+        private
+        returns (ConditionalTopicEvent)
+    {
+        ConditionalTopicEvent topic = new ConditionalTopicEvent(version, msg.sender, _oracle, _name, _resultNames, 
+            _numOfResults, _times, _creatorFeePercentage, _bettingToken, addressManager, _parentEvent, 
+            _parentResultIndex);
+
+        ConditionalTopicCreated(version, address(topic), _parentEvent, _parentResultIndex, _name, _resultNames, 
+            _numOfResults, _creatorFeePercentage, _bettingToken);
+
+        return topic;
+    }
+
+    /*
+    * @dev Prepends the Invalid result to the result names and counts the results up to the first empty slot.
+    * @param _resultNames The result names chosen by the creator.
+    * @return The result names including Invalid and the number of results.
+    */
+    function getResultNames(bytes32[10] _resultNames)
+        internal
+        pure
+        returns (bytes32[11], uint8)
+    {
+        bytes32[11] memory resultNames;
+        uint8 numOfResults;
+
+        resultNames[0] = "Invalid";
+        numOfResults++;
+
+        for (uint i = 0; i < _resultNames.length; i++) {
+            if (!_resultNames[i].isEmpty()) {
+                resultNames[i + 1] = _resultNames[i];
+                numOfResults++;
+            } else {
+                break;
+            }
+        }
+
+        return (resultNames, numOfResults);
+    }
+}
@@ -0,0 +1,128 @@
+pragma solidity ^0.4.18;
+
+import "./TopicEvent.sol";
+
+/*
+* @title Conditional Topic Event is a TopicEvent that only counts if a parent TopicEvent finalizes on a given result, 
+*   eg. "If X wins the primary, will X win the election?". Otherwise it is voided and everyone is refunded. Nothing can
+*   be withdrawn until the parent finalizes or is cancelled, and the claim period lasts until the later of the claim 
+*   periods of this Event and the parent.
+*/
+contract ConditionalTopicEvent is TopicEvent {
+    TopicEvent public parentEvent;
+    uint8 public parentResultIndex;
+
+    // Modifiers
+    modifier inCollectionStatus() {
+        require(status == Status.Collection);
+        require(isParentSettled());
+        _;
+    }
+
+    /*
+    * @notice Creates new ConditionalTopicEvent contract.
+    * @param _version The contract version.
+    * @param _owner The address of the owner.
+    * @param _centralizedOracle The address of the CentralizedOracle that will decide the result.
+    * @param _name The question or statement prediction broken down by multiple bytes32.
+    * @param _resultNames The possible results.
+    * @param _numOfResults The number of results.
+    * @param _times The unix times as [bettingStartTime, bettingEndTime, resultSettingStartTime, resultSettingEndTime].
+    * @param _creatorFeePercentage The percentage of the losing QTUM paid to the owner.
+    * @param _bettingToken The ERC20 token registered in the AddressManager to bet with, or 0 to bet with QTUM.
+    * @param _addressManager The address of the AddressManager.
+    * @param _parentEvent The address of the TopicEvent this Event depends on. It has to be whitelisted in the 
+    *   AddressManager, ie. created by a factory, and its result setting has to end before the one of this Event.
+    * @param _parentResultIndex The result the parent TopicEvent has to finalize on for this Event to settle.
+    */
+    function ConditionalTopicEvent(
+        uint16 _version,
+        address _owner,
+        address _centralizedOracle,
+        bytes32[10] _name,
+        bytes32[11] _resultNames,
+        uint8 _numOfResults,
+        uint256[4] _times,
+        uint8 _creatorFeePercentage,
+        address _bettingToken,
+        address _addressManager,
+        address _parentEvent,
+        uint8 _parentResultIndex)
+        TopicEvent(_version, _owner, _centralizedOracle, _name, _resultNames, _numOfResults, _times[0], _times[1], 
+            _times[2], _times[3], _creatorFeePercentage, _bettingToken, _addressManager)
+        public
+        validAddress(_parentEvent)
+    {
+        require(addressManager.whitelistedContracts(_parentEvent));
+
+        parentEvent = TopicEvent(_parentEvent);
+        require(_parentResultIndex != VOID_RESULT_INDEX);
+        require(_parentResultIndex < parentEvent.numOfResults());
+
+        address parentOracle;
+        (parentOracle, ) = parentEvent.oracles(0);
+        require(ICentralizedOracle(parentOracle).resultSettingEndTime() < _times[3]);
+
+        parentResultIndex = _parentResultIndex;
+    }
+
+    /*
+    * @notice Gets the final result index and flag indicating if the result is final. The result is only final once 
+    *   the parent TopicEvent is settled too, and it is Invalid if the parent voided this Event.
+    * @return The result index and finalized bool.
+    */
+    function getFinalResult()
+        public
+        view
+        returns (uint8, bool)
+    {
+        if (status != Status.Collection || !isParentSettled()) {
+            return (resultIndex, false);
+        }
+        return (isVoided() ? VOID_RESULT_INDEX : resultIndex, true);
+    }
+
+    /*
+    * @dev Voids the Event if the parent TopicEvent did not finalize on the parent result, including when it was 
+    *   cancelled or finalized on Invalid.
+    * @return Flag indicating if the Event is voided.
+    */
+    function isVoided()
+        internal
+        view
+        returns (bool)
+    {
+        uint8 parentFinalResult;
+        bool isParentFinalized;
+        (parentFinalResult, isParentFinalized) = parentEvent.getFinalResult();
+
+        return super.isVoided() || !isParentFinalized || parentFinalResult != parentResultIndex;
+    }
+
+    /*
+    * @dev Extends the claim period to the one of the parent TopicEvent, which starts when the parent finalizes or is 
+    *   cancelled, in case that happened after this Event finalized.
+    * @return The unix time when the claim period ends.
+    */
+    function getClaimEndTime()
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 parentClaimEndTime = parentEvent.claimEndTime();
+        return parentClaimEndTime > claimEndTime ? parentClaimEndTime : claimEndTime;
+    }
+
+    /*
+    * @dev Checks if the parent TopicEvent reached its final state, so the winnings of this Event can be determined.
+    * @return Flag indicating if the parent TopicEvent finalized or was cancelled.
+    */
+    function isParentSettled()
+        private
+        view
+        returns (bool)
+    {
+        Status parentStatus = parentEvent.status();
+        return parentStatus == Status.Collection || parentStatus == Status.Cancelled;
+    }
+}
@@ -17,7 +17,11 @@ contract EventFactory {
         address indexed _topicAddress, 
         bytes32[10] _name, 
         bytes32[11] _resultNames,
-        uint8 _numOfResults);
+        uint8 _numOfResults,
+        uint8 _creatorFeePercentage,
+        uint8 _qtumRewardPercentage,
+        address _bettingToken,
+        uint256 _seedAmount);
 
     function EventFactory(address _addressManager) public {
         require(_addressManager != address(0));
@@ -26,6 +30,10 @@ contract EventFactory {
         version = IAddressManager(addressManager).currentEventFactoryIndex();
     }
     
+    /*
+    * @notice Creates a new TopicEvent. The creator must BOT approve() the escrow amount to the AddressManager first. 
+    *   QTUM sent is split evenly across the results as the creator's bets to seed the initial odds.
+    */
     function createTopic(
         address _oracle, 
         bytes32[10] _name, 
@@ -33,14 +41,84 @@ contract EventFactory {
         uint256 _bettingStartTime,
         uint256 _bettingEndTime,
         uint256 _resultSettingStartTime,
-        uint256 _resultSettingEndTime)
+        uint256 _resultSettingEndTime,
+        uint8 _creatorFeePercentage,
+        address _bettingToken)
         public
-        returns (TopicEvent topicEvent) 
+        payable
+        returns (TopicEvent) 
     {
+        uint256[4] memory times = [_bettingStartTime, _bettingEndTime, _resultSettingStartTime, _resultSettingEndTime];
+
         require(!_name[0].isEmpty());
         require(!_resultNames[0].isEmpty());
         require(!_resultNames[1].isEmpty());
-        
+
+        return deployTopic(_oracle, _name, _resultNames, times, _creatorFeePercentage, _bettingToken);
+    }
+
+    /*
+    * @dev Deploys and registers a new TopicEvent. The times are passed as [bettingStartTime, bettingEndTime, 
+    *   resultSettingStartTime, resultSettingEndTime] to stay within the stack limit.
+    */
+    function deployTopic(
+        address _oracle, 
+        bytes32[10] _name, 
+        bytes32[10] _resultNames, 
+        uint256[4] _times,
+        uint8 _creatorFeePercentage,
+        address _bettingToken)
+        private
+        returns (TopicEvent)
+    {
+        bytes32[11] memory resultNames;
+        uint8 numOfResults;
+        (resultNames, numOfResults) = getResultNames(_resultNames);
+
+        bytes32 topicHash = getTopicHash(_name, resultNames, numOfResults, _times[0], _times[1], _times[2], 
+            _times[3]);
+        // Topic should not exist yet
+        require(address(topics[topicHash]) == 0);
+
+        TopicEvent topic = newTopic(_oracle, _name, resultNames, numOfResults, _times, _creatorFeePercentage, 
+            _bettingToken);
+        topics[topicHash] = topic;
+
+        IAddressManager(addressManager).transferEscrow(msg.sender, address(topic));
+        IAddressManager(addressManager).addWhitelistContract(address(topic));
+
+        TopicCreated(version, address(topic), _name, resultNames, numOfResults, _creatorFeePercentage, 
+            topic.qtumRewardPercentage(), _bettingToken, msg.value);
+
+        return topic;
+    }
+
+    /// @dev Deploys the TopicEvent contract. Kept apart from deployTopic to stay within the stack limit.
+    function newTopic(
+        address _oracle, 
+        bytes32[10] _name, 
+        bytes32[11] _resultNames, 
+        uint8 _numOfResults,
+        uint256[4] _times,
+        uint8 _creatorFeePercentage,
+        address _bettingToken)
+        private
+        returns (TopicEvent)
+    {
+        return (new TopicEvent).value(msg.value)(version, msg.sender, _oracle, _name, _resultNames, _numOfResults, 
+            _times[0], _times[1], _times[2], _times[3], _creatorFeePercentage, _bettingToken, addressManager);
+    }
+
+    /*
+    * @dev Prepends the Invalid result to the result names and counts the results up to the first empty slot.
+    * @param _resultNames The result names chosen by the creator.
+    * @return The result names including Invalid and the number of results.
+    */
+    function getResultNames(bytes32[10] _resultNames)
+        internal
+        pure
+        returns (bytes32[11], uint8)
+    {
         bytes32[11] memory resultNames;
         uint8 numOfResults;
 
@@ -56,22 +134,7 @@ contract EventFactory {
             }
         }
 
-        bytes32 topicHash = getTopicHash(_name, resultNames, numOfResults, _bettingStartTime, _bettingEndTime, 
-            _resultSettingStartTime, _resultSettingEndTime);
-        // Topic should not exist yet
-        require(address(topics[topicHash]) == 0);
-
-        IAddressManager(addressManager).transferEscrow(msg.sender);
-
-        TopicEvent topic = new TopicEvent(version, msg.sender, _oracle, _name, resultNames, numOfResults, 
-            _bettingStartTime, _bettingEndTime, _resultSettingStartTime, _resultSettingEndTime, addressManager);
-        topics[topicHash] = topic;
-
-        IAddressManager(addressManager).addWhitelistContract(address(topic));
-
-        TopicCreated(version, address(topic), _name, resultNames, numOfResults);
-
-        return topic;
+        return (resultNames, numOfResults);
     }
 
     function getTopicHash(
@@ -0,0 +1,310 @@
+pragma solidity ^0.4.18;
+
+import "./BaseEvent.sol";
+import "../oracles/ICentralizedOracle.sol";
+import "../libs/SafeMath.sol";
+import "../libs/ByteUtils.sol";
+
+/// @title Fixed Odds Event where the creator is the bookmaker and every bet is paid at the odds locked when placed.
+contract FixedOddsEvent is BaseEvent {
+    using ByteUtils for bytes32;
+    using SafeMath for uint256;
+
+    struct Bet {
+        address better;
+        uint8 resultIndex;
+        uint256 amount;
+        uint256 odds;
+    }
+
+    // Fixed point base of the decimal odds, ie. 1x
+    uint256 public constant ODDS_BASE = 10**8;
+
+    bytes32[10] public eventName;
+    bytes32[11] public eventResults;
+    uint256[11] public odds; // Current decimal odds offered per result
+    uint256[11] public totalPayouts; // QTUM owed to the betters of each result if it wins
+    uint256 public bankroll; // QTUM deposited by the creator to pay the winners
+    uint256 public totalQtumValue; // QTUM bet by all betters
+    uint256 public totalQtumWithdrawn; // QTUM withdrawn by betters after the final result
+    bool public didWithdrawBankroll;
+    Bet[] public bets;
+    mapping(address => uint256[11]) private payouts;
+    mapping(address => bool) public didWithdraw;
+
+    // Events
+    event BetPlaced(
+        uint16 indexed _version,
+        address indexed _better,
+        uint8 indexed _resultIndex,
+        uint256 _amount,
+        uint256 _odds,
+        uint256 _payout);
+    event OddsChanged(
+        uint16 indexed _version,
+        uint8 indexed _resultIndex,
+        uint256 _odds);
+    event WinningsWithdrawn(
+        uint16 indexed _version,
+        address indexed _winner,
+        uint256 _qtumTokenWon,
+        uint256 _botTokenWon);
+    event BankrollWithdrawn(
+        uint16 indexed _version,
+        address indexed _owner,
+        uint256 _amount);
+
+    /*
+    * @notice Creates new FixedOddsEvent contract. The QTUM sent is the bankroll that pays the winners.
+    * @param _version The contract version.
+    * @param _owner The address of the owner.
+    * @param _centralizedOracle The address of the CentralizedOracle that will decide the result.
+    * @param _name The question or statement prediction broken down by multiple bytes32.
+    * @param _resultNames The possible results.
+    * @param _numOfResults The number of results.
+    * @param _odds The decimal odds of each result scaled by ODDS_BASE. The odds of Invalid are ignored.
+    * @param _times The unix times as [bettingStartTime, bettingEndTime, resultSettingStartTime, resultSettingEndTime].
+    * @param _addressManager The address of the AddressManager.
+    */
+    function FixedOddsEvent(
+        uint16 _version,
+        address _owner,
+        address _centralizedOracle,
+        bytes32[10] _name,
+        bytes32[11] _resultNames,
+        uint8 _numOfResults,
+        uint256[11] _odds,
+        uint256[4] _times,
+        address _addressManager)
+        Ownable(_owner)
+        public
+        payable
+        validAddress(_centralizedOracle)
+        validAddress(_addressManager)
+    {
+        require(!_name[0].isEmpty());
+        require(!_resultNames[0].isEmpty());
+        require(!_resultNames[1].isEmpty());
+        require(msg.value > 0);
+
+        version = _version;
+        owner = _owner;
+        eventName = _name;
+        eventResults = _resultNames;
+        numOfResults = _numOfResults;
+        bankroll = msg.value;
+        addressManager = IAddressManager(_addressManager);
+        escrowAmount = addressManager.eventEscrowAmount();
+
+        for (uint8 i = 1; i < numOfResults; i++) {
+            require(_odds[i] > ODDS_BASE);
+            odds[i] = _odds[i];
+        }
+
+        createCentralizedOracle(_centralizedOracle, _times);
+    }
+
+    /// @notice Fallback function that rejects any amount sent to the contract.
+    function() external payable {
+        revert();
+    }
+
+    /*
+    * @notice Bets on a result at the current odds. The odds are locked for this bet.
+    * @param _resultIndex The index of the result to bet on.
+    * @param _minOdds The lowest odds the better accepts in case the creator changes them before the bet is mined.
+    */
+    function bet(uint8 _resultIndex, uint256 _minOdds)
+        external
+        payable
+        validResultIndex(_resultIndex)
+    {
+        ICentralizedOracle centralizedOracle = ICentralizedOracle(oracles[0].oracleAddress);
+        require(status == Status.Betting);
+        require(block.timestamp >= centralizedOracle.bettingStartTime());
+        require(block.timestamp < centralizedOracle.bettingEndTime());
+        require(_resultIndex != VOID_RESULT_INDEX);
+        require(msg.value > 0);
+        require(odds[_resultIndex] >= _minOdds);
+
+        uint256 payout = msg.value.mul(odds[_resultIndex]).div(ODDS_BASE);
+        totalQtumValue = totalQtumValue.add(msg.value);
+        totalPayouts[_resultIndex] = totalPayouts[_resultIndex].add(payout);
+        // Exposure of the bankroll: what the creator loses if the result wins
+        require(totalPayouts[_resultIndex] <= bankroll.add(totalQtumValue));
+
+        balances[_resultIndex].totalBets = balances[_resultIndex].totalBets.add(msg.value);
+        balances[_resultIndex].bets[msg.sender] = balances[_resultIndex].bets[msg.sender].add(msg.value);
+        payouts[msg.sender][_resultIndex] = payouts[msg.sender][_resultIndex].add(payout);
+        bets.push(Bet({
+            better: msg.sender,
+            resultIndex: _resultIndex,
+            amount: msg.value,
+            odds: odds[_resultIndex]
+            }));
+
+        BetPlaced(version, msg.sender, _resultIndex, msg.value, odds[_resultIndex], payout);
+    }
+
+    /*
+    * @notice Allows the creator to change the odds offered for a result. Bets already placed keep their odds.
+    * @param _resultIndex The index of the result.
+    * @param _odds The new decimal odds scaled by ODDS_BASE.
+    */
+    function setOdds(uint8 _resultIndex, uint256 _odds)
+        external
+        onlyOwner()
+        validResultIndex(_resultIndex)
+    {
+        require(status == Status.Betting);
+        require(_resultIndex != VOID_RESULT_INDEX);
+        require(_odds > ODDS_BASE);
+
+        odds[_resultIndex] = _odds;
+
+        OddsChanged(version, _resultIndex, _odds);
+    }
+
+    /*
+    * @notice Allows winners of the Event to withdraw their QTUM and BOT winnings after the final result is set.
+    */
+    function withdrawWinnings()
+        external
+        inCollectionStatus()
+        inClaimPeriod()
+    {
+        require(!didWithdraw[msg.sender]);
+
+        uint256 botWon;
+        uint256 qtumWon;
+        (botWon, qtumWon) = calculateWinningsFor(msg.sender);
+
+        didWithdraw[msg.sender] = true;
+        totalQtumWithdrawn = totalQtumWithdrawn.add(qtumWon);
+        if (qtumWon > 0) {
+            msg.sender.transfer(qtumWon);
+        }
+        if (botWon > 0) {
+            getBodhiToken().transfer(msg.sender, botWon);
+        }
+
+        WinningsWithdrawn(version, msg.sender, qtumWon, botWon);
+    }
+
+    /*
+    * @notice Allows the creator to withdraw the QTUM left after covering the payouts of all the winning bets.
+    */
+    function withdrawBankroll()
+        external
+        onlyOwner()
+        inCollectionStatus()
+        inClaimPeriod()
+    {
+        require(!didWithdrawBankroll);
+
+        uint256 totalOwed = isVoided() ? totalQtumValue : totalPayouts[resultIndex];
+        uint256 amount = this.balance.sub(totalOwed.sub(totalQtumWithdrawn));
+
+        didWithdrawBankroll = true;
+        if (amount > 0) {
+            msg.sender.transfer(amount);
+        }
+
+        BankrollWithdrawn(version, msg.sender, amount);
+    }
+
+    /*
+    * @notice Gets the number of bets placed.
+    * @return The number of bets.
+    */
+    function getBetCount()
+        public
+        view
+        returns (uint256)
+    {
+        return bets.length;
+    }
+
+    /*
+    * @notice Gets the QTUM an address would be paid for each result if it wins.
+    * @param _better The address of the better.
+    * @return An array of the payouts for all the results.
+    */
+    function getPayoutsFor(address _better)
+        public
+        view
+        returns (uint256[11])
+    {
+        return payouts[_better];
+    }
+
+    /*
+    * @notice Gets the most QTUM that can still be bet on a result at the current odds before the bankroll is used up.
+    * @param _resultIndex The index of the result.
+    * @return The maximum bet amount.
+    */
+    function getMaxBet(uint8 _resultIndex)
+        public
+        view
+        validResultIndex(_resultIndex)
+        returns (uint256)
+    {
+        if (_resultIndex == VOID_RESULT_INDEX) {
+            return 0;
+        }
+
+        uint256 available = bankroll.add(totalQtumValue).sub(totalPayouts[_resultIndex]);
+        // The bet adds odds to the payout but also its amount to the funds, so exposure grows by odds - 1
+        return available.mul(ODDS_BASE).div(odds[_resultIndex].sub(ODDS_BASE));
+    }
+
+    /*
+    * @notice Calculates the QTUM and BOT the sender can withdraw.
+    * @return The amount of BOT and QTUM tokens won.
+    */
+    function calculateWinnings()
+        public
+        view
+        inCollectionStatus()
+        returns (uint256, uint256)
+    {
+        return calculateWinningsFor(msg.sender);
+    }
+
+    /*
+    * @notice Calculates the QTUM and BOT an address can withdraw. Winning bets are paid at their locked odds. Winning
+    *   voters split the BOT of the losing voters. If the final result is Invalid, all bets and votes are returned
+    *   along with a share of the forfeited escrow for the Invalid voters.
+    * @param _participant The address of the better or voter.
+    * @return The amount of BOT and QTUM tokens won.
+    */
+    function calculateWinningsFor(address _participant)
+        public
+        view
+        inCollectionStatus()
+        returns (uint256, uint256)
+    {
+        uint256 votes = balances[resultIndex].votes[_participant];
+        uint256 botWon = 0;
+        uint256 qtumWon = 0;
+
+        if (isVoided()) {
+            for (uint8 i = 0; i < numOfResults; i++) {
+                qtumWon = qtumWon.add(balances[i].bets[_participant]);
+                botWon = botWon.add(balances[i].votes[_participant]);
+            }
+            if (forfeitedEscrow > 0 && votes > 0) {
+                botWon = botWon.add(forfeitedEscrow.mul(votes).div(balances[VOID_RESULT_INDEX].totalVotes));
+            }
+            return (botWon, qtumWon);
+        }
+
+        if (votes > 0) {
+            uint256 winnersTotal = balances[resultIndex].totalVotes;
+            uint256 losersTotal = totalBotValue.sub(winnersTotal);
+            botWon = votes.mul(losersTotal).div(winnersTotal).add(votes);
+        }
+
+        return (botWon, payouts[_participant][resultIndex]);
+    }
+}
@@ -0,0 +1,111 @@
+pragma solidity ^0.4.18;
+
+import "./FixedOddsEvent.sol";
+import "../storage/IAddressManager.sol";
+
+/// @title Fixed Odds Event Factory allows the creation of Events where the creator books bets at fixed odds.
+contract FixedOddsEventFactory {
+    using ByteUtils for bytes32;
+
+    uint16 public version;
+    address private addressManager;
+    mapping(bytes32 => FixedOddsEvent) public fixedOddsEvents;
+
+    // Events
+    event FixedOddsEventCreated(
+        uint16 indexed _version,
+        address indexed _eventAddress,
+        bytes32[10] _name,
+        bytes32[11] _resultNames,
+        uint8 _numOfResults,
+        uint256[11] _odds,
+        uint256 _bankroll);
+
+    /*
+    * @notice Creates new FixedOddsEventFactory contract. It uses the version of the latest EventFactory so its Events
+    *   create Oracles with the matching OracleFactory.
+    * @param _addressManager The address of the AddressManager contract.
+    */
+    function FixedOddsEventFactory(address _addressManager) public {
+        require(_addressManager != address(0));
+
+        addressManager = _addressManager;
+        version = IAddressManager(addressManager).getLastEventFactoryIndex();
+    }
+
+    /*
+    * @notice Creates a new FixedOddsEvent with the QTUM sent as the bankroll. The creator must BOT approve() the
+    *   escrow amount to the AddressManager first.
+    * @param _oracle The address of the CentralizedOracle that will decide the result.
+    * @param _name The question or statement prediction broken down by multiple bytes32.
+    * @param _resultNames The possible results. Invalid is added as the first result.
+    * @param _odds The decimal odds of each result in _resultNames scaled by 10**8.
+    * @param _times The unix times as [bettingStartTime, bettingEndTime, resultSettingStartTime, resultSettingEndTime].
+    * @return The new FixedOddsEvent.
+    */
+    function createFixedOddsEvent(
+        address _oracle,
+        bytes32[10] _name,
+        bytes32[10] _resultNames,
+        uint256[10] _odds,
+        uint256[4] _times)
+        public
+        payable
+        returns (FixedOddsEvent)
+    {
+        require(!_name[0].isEmpty());
+        require(!_resultNames[0].isEmpty());
+        require(!_resultNames[1].isEmpty());
+
+        bytes32[11] memory resultNames;
+        uint8 numOfResults;
+        (resultNames, numOfResults) = getResultNames(_resultNames);
+        uint256[11] memory odds;
+        for (uint8 i = 1; i < numOfResults; i++) {
+            odds[i] = _odds[i - 1];
+        }
+
+        bytes32 eventHash = keccak256(_name, resultNames, numOfResults, odds, _times);
+        // FixedOddsEvent should not exist yet
+        require(address(fixedOddsEvents[eventHash]) == 0);
+
+        FixedOddsEvent fixedOddsEvent = (new FixedOddsEvent).value(msg.value)(version, msg.sender, _oracle, _name,
+            resultNames, numOfResults, odds, _times, addressManager);
+        fixedOddsEvents[eventHash] = fixedOddsEvent;
+
+        IAddressManager(addressManager).transferEscrow(msg.sender, address(fixedOddsEvent));
+        IAddressManager(addressManager).addWhitelistContract(address(fixedOddsEvent));
+
+        FixedOddsEventCreated(version, address(fixedOddsEvent), _name, resultNames, numOfResults, odds, msg.value);
+
+        return fixedOddsEvent;
+    }
+
+    /*
+    * @dev Prepends the Invalid result to the result names and counts the results up to the first empty slot.
+    * @param _resultNames The result names chosen by the creator.
+    * @return The result names including Invalid and the number of results.
+    */
+    function getResultNames(bytes32[10] _resultNames)
+        internal
+        pure
+        returns (bytes32[11], uint8)
+    {
+        bytes32[11] memory resultNames;
+        uint8 numOfResults;
+
+        resultNames[0] = "Invalid";
+        numOfResults++;
+
+        for (uint i = 0; i < _resultNames.length; i++) {
+            if (!_resultNames[i].isEmpty()) {
+                resultNames[i + 1] = _resultNames[i];
+                numOfResults++;
+            } else {
+                break;
+            }
+        }
+
+        return (resultNames, numOfResults);
+    }
+}
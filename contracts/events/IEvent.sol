@@ -0,0 +1,8 @@
+pragma solidity ^0.4.18;
+
+contract IEvent {
+    function centralizedOracleSetResult(address _oracle, uint8 _resultIndex, uint256 _consensusThreshold) external;
+    function voteFromOracle(uint8 _resultIndex, address _sender, uint256 _amount) external returns (bool);
+    function decentralizedOracleSetResult(uint8 _resultIndex, uint256 _currentConsensusThreshold) external returns (bool);
+    function decentralizedOracleFinalizeResult() external returns (bool);
+}
@@ -0,0 +1,382 @@
+pragma solidity ^0.4.18;
+
+import "./BaseEvent.sol";
+import "../oracles/ICentralizedOracle.sol";
+import "../libs/SafeMath.sol";
+import "../libs/ByteUtils.sol";
+import "../libs/LMSRMath.sol";
+
+/*
+* @title LMSR Event where traders buy and sell outcome shares from a logarithmic market scoring rule market maker.
+*   Only the named results are traded. If the final result is Invalid, every trader is refunded the QTUM paid for
+*   shares minus the QTUM received for sold shares.
+*/
+contract LMSREvent is BaseEvent {
+    using ByteUtils for bytes32;
+    using SafeMath for uint256;
+
+    // Divisor of the liquidity parameter added to costs to cover the fixed point approximation error
+    uint256 public constant ROUNDING_DIVISOR = 10**12;
+
+    bytes32[10] public eventName;
+    bytes32[11] public eventResults;
+    uint256 public liquidityParam; // LMSR liquidity parameter b. The creator funds the maximum loss of b * ln(n).
+    uint256 public fundingAmount; // QTUM the creator funded the market maker with
+    uint256 public totalQtumValue; // QTUM paid in by traders minus QTUM paid out for sold shares
+    uint256 public totalNetCost; // Sum of the net costs of all traders
+    uint256 public redeemedShares; // Winning shares redeemed, or net costs refunded if the Event is voided, so far
+    bool public didWithdrawLiquidity;
+    mapping(address => uint256) public netCosts; // QTUM paid for shares minus QTUM received, refunded if voided
+    mapping(address => bool) public didWithdraw;
+
+    // Events
+    event SharesBought(
+        uint16 indexed _version,
+        address indexed _trader,
+        uint8 indexed _resultIndex,
+        uint256 _shares,
+        uint256 _cost);
+    event SharesSold(
+        uint16 indexed _version,
+        address indexed _trader,
+        uint8 indexed _resultIndex,
+        uint256 _shares,
+        uint256 _proceeds);
+    event WinningsWithdrawn(
+        uint16 indexed _version,
+        address indexed _winner,
+        uint256 _qtumTokenWon,
+        uint256 _botTokenWon);
+    event LiquidityWithdrawn(
+        uint16 indexed _version,
+        address indexed _owner,
+        uint256 _amount);
+
+    // Modifiers
+    modifier inTradingPeriod() {
+        ICentralizedOracle centralizedOracle = ICentralizedOracle(oracles[0].oracleAddress);
+        require(status == Status.Betting);
+        require(block.timestamp >= centralizedOracle.bettingStartTime());
+        require(block.timestamp < centralizedOracle.bettingEndTime());
+        _;
+    }
+
+    modifier validOutcomeIndex(uint8 _resultIndex) {
+        require(_resultIndex != VOID_RESULT_INDEX && _resultIndex < numOfResults);
+        _;
+    }
+
+    /*
+    * @notice Creates new LMSREvent contract. The creator must send at least the maximum market maker loss of
+    *   b * ln(numOfResults - 1) in QTUM, as Invalid is not traded.
+    * @param _version The contract version.
+    * @param _owner The address of the owner.
+    * @param _centralizedOracle The address of the CentralizedOracle that will decide the result.
+    * @param _name The question or statement prediction broken down by multiple bytes32.
+    * @param _resultNames The possible results.
+    * @param _numOfResults The number of results.
+    * @param _times The unix times as [bettingStartTime, bettingEndTime, resultSettingStartTime, resultSettingEndTime].
+    * @param _liquidityParam The LMSR liquidity parameter b. Higher values move the prices less per share.
+    * @param _addressManager The address of the AddressManager.
+    */
+    function LMSREvent(
+        uint16 _version,
+        address _owner,
+        address _centralizedOracle,
+        bytes32[10] _name,
+        bytes32[11] _resultNames,
+        uint8 _numOfResults,
+        uint256[4] _times,
+        uint256 _liquidityParam,
+        address _addressManager)
+        Ownable(_owner)
+        public
+        payable
+        validAddress(_centralizedOracle)
+        validAddress(_addressManager)
+    {
+        require(!_name[0].isEmpty());
+        require(!_resultNames[0].isEmpty());
+        require(!_resultNames[1].isEmpty());
+        require(_liquidityParam > 0);
+
+        version = _version;
+        owner = _owner;
+        eventName = _name;
+        eventResults = _resultNames;
+        numOfResults = _numOfResults;
+        liquidityParam = _liquidityParam;
+        fundingAmount = msg.value;
+        addressManager = IAddressManager(_addressManager);
+        escrowAmount = addressManager.eventEscrowAmount();
+
+        uint256[11] memory noShares;
+        require(msg.value >= LMSRMath.cost(noShares, numOfResults - 1, liquidityParam).add(getRoundingMargin()));
+
+        createCentralizedOracle(_centralizedOracle, _times);
+    }
+
+    /// @notice Fallback function that rejects any amount sent to the contract.
+    function() external payable {
+        revert();
+    }
+
+    /*
+    * @notice Buys shares of a result. Any QTUM sent above the cost is returned.
+    * @param _resultIndex The index of the result to buy, other than Invalid.
+    * @param _shares The number of shares to buy. Each winning share redeems for 1 satoshi of QTUM.
+    */
+    function buy(uint8 _resultIndex, uint256 _shares)
+        external
+        payable
+        validOutcomeIndex(_resultIndex)
+        inTradingPeriod()
+    {
+        require(_shares > 0);
+
+        uint256 cost = calculateBuyCost(_resultIndex, _shares);
+        require(msg.value >= cost);
+
+        balances[_resultIndex].totalBets = balances[_resultIndex].totalBets.add(_shares);
+        balances[_resultIndex].bets[msg.sender] = balances[_resultIndex].bets[msg.sender].add(_shares);
+        totalQtumValue = totalQtumValue.add(cost);
+        netCosts[msg.sender] = netCosts[msg.sender].add(cost);
+        totalNetCost = totalNetCost.add(cost);
+
+        if (msg.value > cost) {
+            msg.sender.transfer(msg.value.sub(cost));
+        }
+
+        SharesBought(version, msg.sender, _resultIndex, _shares, cost);
+    }
+
+    /*
+    * @notice Sells shares of a result back to the market maker.
+    * @param _resultIndex The index of the result to sell, other than Invalid.
+    * @param _shares The number of shares to sell.
+    * @param _minProceeds The least QTUM to accept for the shares, in case the price moves before the sale.
+    */
+    function sell(uint8 _resultIndex, uint256 _shares, uint256 _minProceeds)
+        external
+        validOutcomeIndex(_resultIndex)
+        inTradingPeriod()
+    {
+        require(_shares > 0);
+        require(balances[_resultIndex].bets[msg.sender] >= _shares);
+
+        uint256 proceeds = calculateSellProceeds(_resultIndex, _shares);
+        require(proceeds >= _minProceeds);
+
+        balances[_resultIndex].totalBets = balances[_resultIndex].totalBets.sub(_shares);
+        balances[_resultIndex].bets[msg.sender] = balances[_resultIndex].bets[msg.sender].sub(_shares);
+        totalQtumValue = totalQtumValue.sub(proceeds);
+
+        // Proceeds above the net cost are profit, which is not refunded if the Event is voided
+        uint256 netCostSold = proceeds < netCosts[msg.sender] ? proceeds : netCosts[msg.sender];
+        netCosts[msg.sender] = netCosts[msg.sender].sub(netCostSold);
+        totalNetCost = totalNetCost.sub(netCostSold);
+
+        if (proceeds > 0) {
+            msg.sender.transfer(proceeds);
+        }
+
+        SharesSold(version, msg.sender, _resultIndex, _shares, proceeds);
+    }
+
+    /*
+    * @notice Redeems the winning shares 1:1 for QTUM, or refunds the net cost if the Event is voided, and withdraws
+    *   the BOT winnings after the final result is set.
+    */
+    function withdrawWinnings()
+        external
+        inCollectionStatus()
+        inClaimPeriod()
+    {
+        require(!didWithdraw[msg.sender]);
+
+        uint256 botWon;
+        uint256 qtumWon;
+        (botWon, qtumWon) = calculateWinningsFor(msg.sender);
+
+        didWithdraw[msg.sender] = true;
+        redeemedShares = redeemedShares.add(qtumWon);
+        if (qtumWon > 0) {
+            msg.sender.transfer(qtumWon);
+        }
+        if (botWon > 0) {
+            getBodhiToken().transfer(msg.sender, botWon);
+        }
+
+        WinningsWithdrawn(version, msg.sender, qtumWon, botWon);
+    }
+
+    /*
+    * @notice Allows the creator to withdraw the QTUM left after covering all the winning shares, ie. the funding plus
+    *   the market maker's profit. If the Event is voided, it is the QTUM left after covering the refunds.
+    */
+    function withdrawLiquidity()
+        external
+        onlyOwner()
+        inCollectionStatus()
+        inClaimPeriod()
+    {
+        require(!didWithdrawLiquidity);
+
+        uint256 owed = isVoided() ? getTotalRefund() : balances[resultIndex].totalBets;
+        uint256 amount = this.balance.sub(owed.sub(redeemedShares));
+
+        didWithdrawLiquidity = true;
+        if (amount > 0) {
+            msg.sender.transfer(amount);
+        }
+
+        LiquidityWithdrawn(version, msg.sender, amount);
+    }
+
+    /*
+    * @notice Gets the current price of each result. The prices add up to 1 and Invalid is always 0.
+    * @return The price of each result scaled by 10**18.
+    */
+    function getPrices()
+        public
+        view
+        returns (uint256[11])
+    {
+        uint256[11] memory outcomePrices = LMSRMath.prices(getOutcomeShares(), numOfResults - 1, liquidityParam);
+        uint256[11] memory resultPrices;
+        for (uint8 i = 1; i < numOfResults; i++) {
+            resultPrices[i] = outcomePrices[i - 1];
+        }
+        return resultPrices;
+    }
+
+    /*
+    * @notice Calculates the QTUM needed to buy shares of a result.
+    * @param _resultIndex The index of the result to buy, other than Invalid.
+    * @param _shares The number of shares to buy.
+    * @return The cost in QTUM.
+    */
+    function calculateBuyCost(uint8 _resultIndex, uint256 _shares)
+        public
+        view
+        validOutcomeIndex(_resultIndex)
+        returns (uint256)
+    {
+        uint256[11] memory shares = getOutcomeShares();
+        uint256 costBefore = LMSRMath.cost(shares, numOfResults - 1, liquidityParam);
+        shares[_resultIndex - 1] = shares[_resultIndex - 1].add(_shares);
+        uint256 costAfter = LMSRMath.cost(shares, numOfResults - 1, liquidityParam);
+
+        return costAfter.sub(costBefore).add(getRoundingMargin());
+    }
+
+    /*
+    * @notice Calculates the QTUM received for selling shares of a result.
+    * @param _resultIndex The index of the result to sell, other than Invalid.
+    * @param _shares The number of shares to sell.
+    * @return The proceeds in QTUM.
+    */
+    function calculateSellProceeds(uint8 _resultIndex, uint256 _shares)
+        public
+        view
+        validOutcomeIndex(_resultIndex)
+        returns (uint256)
+    {
+        uint256[11] memory shares = getOutcomeShares();
+        uint256 costBefore = LMSRMath.cost(shares, numOfResults - 1, liquidityParam);
+        shares[_resultIndex - 1] = shares[_resultIndex - 1].sub(_shares);
+        uint256 costAfter = LMSRMath.cost(shares, numOfResults - 1, liquidityParam);
+
+        uint256 proceeds = costBefore.sub(costAfter);
+        uint256 margin = getRoundingMargin();
+        return proceeds > margin ? proceeds - margin : 0;
+    }
+
+    /*
+    * @notice Calculates the QTUM and BOT the sender can withdraw.
+    * @return The amount of BOT and QTUM tokens won.
+    */
+    function calculateWinnings()
+        public
+        view
+        inCollectionStatus()
+        returns (uint256, uint256)
+    {
+        return calculateWinningsFor(msg.sender);
+    }
+
+    /*
+    * @notice Calculates the QTUM and BOT an address can withdraw. Each share of the final result redeems for 1 satoshi
+    *   of QTUM. Winning voters split the BOT of the losing voters. If the final result is Invalid, the net cost of the
+    *   shares is refunded and all BOT votes are returned along with a share of the forfeited escrow.
+    * @param _participant The address of the trader or voter.
+    * @return The amount of BOT and QTUM tokens won.
+    */
+    function calculateWinningsFor(address _participant)
+        public
+        view
+        inCollectionStatus()
+        returns (uint256, uint256)
+    {
+        uint256 qtumWon = balances[resultIndex].bets[_participant];
+        uint256 votes = balances[resultIndex].votes[_participant];
+        uint256 botWon = 0;
+
+        if (isVoided()) {
+            if (netCosts[_participant] > 0) {
+                qtumWon = netCosts[_participant].mul(getTotalRefund()).div(totalNetCost);
+            }
+            for (uint8 i = 0; i < numOfResults; i++) {
+                botWon = botWon.add(balances[i].votes[_participant]);
+            }
+            if (forfeitedEscrow > 0 && votes > 0) {
+                botWon = botWon.add(forfeitedEscrow.mul(votes).div(balances[VOID_RESULT_INDEX].totalVotes));
+            }
+        } else if (votes > 0) {
+            uint256 winnersTotal = balances[resultIndex].totalVotes;
+            uint256 losersTotal = totalBotValue.sub(winnersTotal);
+            botWon = votes.mul(losersTotal).div(winnersTotal).add(votes);
+        }
+
+        return (botWon, qtumWon);
+    }
+
+    /// @dev Gets the amount added to costs and taken off proceeds to cover the fixed point approximation error.
+    function getRoundingMargin()
+        private
+        view
+        returns (uint256)
+    {
+        return liquidityParam.div(ROUNDING_DIVISOR).add(1);
+    }
+
+    /*
+    * @dev Gets the QTUM refunded to the traders if the Event is voided. It is the total net cost, unless the profits
+    *   taken by selling left less than that in the funding and trading pool, which is then split pro rata.
+    * @return The QTUM to refund.
+    */
+    function getTotalRefund()
+        private
+        view
+        returns (uint256)
+    {
+        uint256 pool = fundingAmount.add(totalQtumValue);
+        return totalNetCost < pool ? totalNetCost : pool;
+    }
+
+    /*
+    * @dev Gets the outstanding shares of the traded results, ie. all but Invalid, in the layout of LMSRMath.
+    * @return The outstanding shares, where index i holds the shares of result i + 1.
+    */
+    function getOutcomeShares()
+        private
+        view
+        returns (uint256[11])
+    {
+        uint256[11] memory shares;
+        for (uint8 i = 1; i < numOfResults; i++) {
+            shares[i - 1] = balances[i].totalBets;
+        }
+        return shares;
+    }
+}
@@ -0,0 +1,107 @@
+pragma solidity ^0.4.18;
+
+import "./LMSREvent.sol";
+import "../storage/IAddressManager.sol";
+
+/// @title LMSR Event Factory allows the creation of Events priced by a logarithmic market scoring rule market maker.
+contract LMSREventFactory {
+    using ByteUtils for bytes32;
+
+    uint16 public version;
+    address private addressManager;
+    mapping(bytes32 => LMSREvent) public lmsrEvents;
+
+    // Events
+    event LMSREventCreated(
+        uint16 indexed _version,
+        address indexed _eventAddress,
+        bytes32[10] _name,
+        bytes32[11] _resultNames,
+        uint8 _numOfResults,
+        uint256 _liquidityParam,
+        uint256 _funding);
+
+    /*
+    * @notice Creates new LMSREventFactory contract. It uses the version of the latest EventFactory so its Events
+    *   create Oracles with the matching OracleFactory.
+    * @param _addressManager The address of the AddressManager contract.
+    */
+    function LMSREventFactory(address _addressManager) public {
+        require(_addressManager != address(0));
+
+        addressManager = _addressManager;
+        version = IAddressManager(addressManager).getLastEventFactoryIndex();
+    }
+
+    /*
+    * @notice Creates a new LMSREvent funded with the QTUM sent. The creator must send at least
+    *   b * ln(n) for the n named results and BOT approve() the escrow amount to the AddressManager first.
+    * @param _oracle The address of the CentralizedOracle that will decide the result.
+    * @param _name The question or statement prediction broken down by multiple bytes32.
+    * @param _resultNames The possible results. Invalid is added as the first result.
+    * @param _times The unix times as [bettingStartTime, bettingEndTime, resultSettingStartTime, resultSettingEndTime].
+    * @param _liquidityParam The LMSR liquidity parameter b.
+    * @return The new LMSREvent.
+    */
+    function createLMSREvent(
+        address _oracle,
+        bytes32[10] _name,
+        bytes32[10] _resultNames,
+        uint256[4] _times,
+        uint256 _liquidityParam)
+        public
+        payable
+        returns (LMSREvent)
+    {
+        require(!_name[0].isEmpty());
+        require(!_resultNames[0].isEmpty());
+        require(!_resultNames[1].isEmpty());
+
+        bytes32[11] memory resultNames;
+        uint8 numOfResults;
+        (resultNames, numOfResults) = getResultNames(_resultNames);
+
+        bytes32 eventHash = keccak256(_name, resultNames, numOfResults, _times, _liquidityParam);
+        // LMSREvent should not exist yet
+        require(address(lmsrEvents[eventHash]) == 0);
+
+        LMSREvent lmsrEvent = (new LMSREvent).value(msg.value)(version, msg.sender, _oracle, _name, resultNames,
+            numOfResults, _times, _liquidityParam, addressManager);
+        lmsrEvents[eventHash] = lmsrEvent;
+
+        IAddressManager(addressManager).transferEscrow(msg.sender, address(lmsrEvent));
+        IAddressManager(addressManager).addWhitelistContract(address(lmsrEvent));
+
+        LMSREventCreated(version, address(lmsrEvent), _name, resultNames, numOfResults, _liquidityParam, msg.value);
+
+        return lmsrEvent;
+    }
+
+    /*
+    * @dev Prepends the Invalid result to the result names and counts the results up to the first empty slot.
+    * @param _resultNames The result names chosen by the creator.
+    * @return The result names including Invalid and the number of results.
+    */
+    function getResultNames(bytes32[10] _resultNames)
+        internal
+        pure
+        returns (bytes32[11], uint8)
+    {
+        bytes32[11] memory resultNames;
+        uint8 numOfResults;
+
+        resultNames[0] = "Invalid";
+        numOfResults++;
+
+        for (uint i = 0; i < _resultNames.length; i++) {
+            if (!_resultNames[i].isEmpty()) {
+                resultNames[i + 1] = _resultNames[i];
+                numOfResults++;
+            } else {
+                break;
+            }
+        }
+
+        return (resultNames, numOfResults);
+    }
+}
@@ -0,0 +1,256 @@
+pragma solidity ^0.4.18;
+
+import "./BaseEvent.sol";
+import "../oracles/ICentralizedOracle.sol";
+import "../libs/SafeMath.sol";
+import "../libs/ByteUtils.sol";
+
+/*
+* @title Scalar Event where betters go long or short on a number that falls within a range. The range is split into
+*   evenly spaced values, one per result after Invalid, so the Oracles set and arbitrate the value itself.
+*/
+contract ScalarEvent is BaseEvent {
+    using ByteUtils for bytes32;
+    using SafeMath for uint256;
+
+    bytes32[10] public eventName;
+    uint256 public lowerBound;
+    uint256 public upperBound;
+    uint256 public totalLongValue;
+    uint256 public totalShortValue;
+    mapping(address => uint256) public longBets;
+    mapping(address => uint256) public shortBets;
+    mapping(address => bool) public didWithdraw;
+
+    // Events
+    event BetPlaced(
+        uint16 indexed _version,
+        address indexed _better,
+        bool _isLong,
+        uint256 _amount,
+        uint256 _totalLongValue,
+        uint256 _totalShortValue);
+    event WinningsWithdrawn(
+        uint16 indexed _version,
+        address indexed _winner,
+        uint256 _qtumTokenWon,
+        uint256 _botTokenWon);
+
+    /*
+    * @notice Creates new ScalarEvent contract.
+    * @param _version The contract version.
+    * @param _owner The address of the owner.
+    * @param _centralizedOracle The address of the CentralizedOracle that will set the value.
+    * @param _name The question or statement prediction broken down by multiple bytes32.
+    * @param _lowerBound The lowest value, at which the short betters take the whole pool.
+    * @param _upperBound The highest value, at which the long betters take the whole pool.
+    * @param _numOfValues The number of values the range is split into, including both bounds. Between 2 and 10.
+    * @param _bettingStartTime The unix time when betting will start.
+    * @param _bettingEndTime The unix time when betting will end.
+    * @param _resultSettingStartTime The unix time when the CentralizedOracle can set the value.
+    * @param _resultSettingEndTime The unix time when anyone can set the value.
+    * @param _addressManager The address of the AddressManager.
+    */
+    function ScalarEvent(
+        uint16 _version,
+        address _owner,
+        address _centralizedOracle,
+        bytes32[10] _name,
+        uint256 _lowerBound,
+        uint256 _upperBound,
+        uint8 _numOfValues,
+        uint256 _bettingStartTime,
+        uint256 _bettingEndTime,
+        uint256 _resultSettingStartTime,
+        uint256 _resultSettingEndTime,
+        address _addressManager)
+        Ownable(_owner)
+        public
+        validAddress(_centralizedOracle)
+        validAddress(_addressManager)
+    {
+        require(!_name[0].isEmpty());
+        require(_upperBound > _lowerBound);
+        require(_numOfValues >= 2 && _numOfValues <= 10);
+        require(_bettingEndTime > _bettingStartTime);
+        require(_resultSettingStartTime >= _bettingEndTime);
+        require(_resultSettingEndTime > _resultSettingStartTime);
+
+        version = _version;
+        owner = _owner;
+        eventName = _name;
+        lowerBound = _lowerBound;
+        upperBound = _upperBound;
+        numOfResults = _numOfValues + 1;
+        addressManager = IAddressManager(_addressManager);
+        escrowAmount = addressManager.eventEscrowAmount();
+
+        createCentralizedOracle(_centralizedOracle,
+            [_bettingStartTime, _bettingEndTime, _resultSettingStartTime, _resultSettingEndTime]);
+    }
+
+    /// @notice Fallback function that rejects any amount sent to the contract.
+    function() external payable {
+        revert();
+    }
+
+    /*
+    * @notice Allows betting with QTUM that the value will be high (long) or low (short).
+    * @param _isLong True to go long, false to go short.
+    */
+    function bet(bool _isLong)
+        external
+        payable
+    {
+        ICentralizedOracle centralizedOracle = ICentralizedOracle(oracles[0].oracleAddress);
+        require(status == Status.Betting);
+        require(block.timestamp >= centralizedOracle.bettingStartTime());
+        require(block.timestamp < centralizedOracle.bettingEndTime());
+        require(msg.value > 0);
+
+        if (_isLong) {
+            longBets[msg.sender] = longBets[msg.sender].add(msg.value);
+            totalLongValue = totalLongValue.add(msg.value);
+        } else {
+            shortBets[msg.sender] = shortBets[msg.sender].add(msg.value);
+            totalShortValue = totalShortValue.add(msg.value);
+        }
+
+        BetPlaced(version, msg.sender, _isLong, msg.value, totalLongValue, totalShortValue);
+    }
+
+    /*
+    * @notice Allows winners of the Event to withdraw their QTUM and BOT winnings after the final result is set.
+    */
+    function withdrawWinnings()
+        external
+        inCollectionStatus()
+        inClaimPeriod()
+    {
+        require(!didWithdraw[msg.sender]);
+
+        uint256 botWon;
+        uint256 qtumWon;
+        (botWon, qtumWon) = calculateWinningsFor(msg.sender);
+
+        didWithdraw[msg.sender] = true;
+        if (qtumWon > 0) {
+            msg.sender.transfer(qtumWon);
+        }
+        if (botWon > 0) {
+            getBodhiToken().transfer(msg.sender, botWon);
+        }
+
+        WinningsWithdrawn(version, msg.sender, qtumWon, botWon);
+    }
+
+
+    /*
+    * @notice Gets the value a result stands for. The values are evenly spaced from the lower to the upper bound.
+    * @param _resultIndex The index of the result, other than Invalid.
+    * @return The value of the result.
+    */
+    function getResultValue(uint8 _resultIndex)
+        public
+        view
+        validResultIndex(_resultIndex)
+        returns (uint256)
+    {
+        require(_resultIndex != VOID_RESULT_INDEX);
+
+        return lowerBound.add(upperBound.sub(lowerBound).mul(_resultIndex - 1).div(numOfResults - 2));
+    }
+
+    /*
+    * @notice Gets the share of the QTUM pool that goes to the long betters for a value.
+    * @param _value The value to get the share for.
+    * @return The amount of QTUM paid out to the long betters. The short betters get the rest of the pool.
+    */
+    function getLongPayout(uint256 _value)
+        public
+        view
+        returns (uint256)
+    {
+        uint256 totalQtumValue = totalLongValue.add(totalShortValue);
+        if (totalShortValue == 0) {
+            return totalQtumValue;
+        } else if (totalLongValue == 0 || _value <= lowerBound) {
+            return 0;
+        } else if (_value >= upperBound) {
+            return totalQtumValue;
+        }
+        return totalQtumValue.mul(_value.sub(lowerBound)).div(upperBound.sub(lowerBound));
+    }
+
+    /*
+    * @notice Calculates the QTUM and BOT the sender can withdraw.
+    * @return The amount of BOT and QTUM tokens won.
+    */
+    function calculateWinnings()
+        public
+        view
+        inCollectionStatus()
+        returns (uint256, uint256)
+    {
+        return calculateWinningsFor(msg.sender);
+    }
+
+    /*
+    * @notice Calculates the QTUM and BOT an address can withdraw. Long and short betters split the QTUM pool linearly
+    *   by where the value of the final result falls between the bounds. Winning voters split the BOT of the losing
+    *   voters. If the final result is Invalid, everyone is refunded.
+    * @param _participant The address of the better or voter.
+    * @return The amount of BOT and QTUM tokens won.
+    */
+    function calculateWinningsFor(address _participant)
+        public
+        view
+        inCollectionStatus()
+        returns (uint256, uint256)
+    {
+        uint256 votes = balances[resultIndex].votes[_participant];
+        uint256 botWon = 0;
+
+        if (isVoided()) {
+            for (uint8 i = 0; i < numOfResults; i++) {
+                botWon = botWon.add(balances[i].votes[_participant]);
+            }
+            if (forfeitedEscrow > 0 && votes > 0) {
+                botWon = botWon.add(forfeitedEscrow.mul(votes).div(balances[VOID_RESULT_INDEX].totalVotes));
+            }
+            return (botWon, longBets[_participant].add(shortBets[_participant]));
+        }
+
+        if (votes > 0) {
+            uint256 winnersTotal = balances[resultIndex].totalVotes;
+            uint256 losersTotal = totalBotValue.sub(winnersTotal);
+            botWon = votes.mul(losersTotal).div(winnersTotal).add(votes);
+        }
+
+        return (botWon, calculateQtumWon(_participant));
+    }
+
+    /*
+    * @dev Calculates the QTUM an address gets from its long and short bets for the value of the final result.
+    * @param _better The address of the better.
+    * @return The amount of QTUM won.
+    */
+    function calculateQtumWon(address _better)
+        private
+        view
+        returns (uint256)
+    {
+        uint256 longPayout = getLongPayout(getResultValue(resultIndex));
+        uint256 qtumWon = 0;
+        if (longBets[_better] > 0) {
+            qtumWon = longBets[_better].mul(longPayout).div(totalLongValue);
+        }
+        if (shortBets[_better] > 0) {
+            uint256 shortPayout = totalLongValue.add(totalShortValue).sub(longPayout);
+            qtumWon = qtumWon.add(shortBets[_better].mul(shortPayout).div(totalShortValue));
+        }
+        return qtumWon;
+    }
+
+
+}
@@ -0,0 +1,80 @@
+pragma solidity ^0.4.18;
+
+import "./ScalarEvent.sol";
+import "../storage/IAddressManager.sol";
+
+/// @title Scalar Event Factory allows the creation of Scalar Events that resolve to a number within a range.
+contract ScalarEventFactory {
+    using ByteUtils for bytes32;
+
+    uint16 public version;
+    address private addressManager;
+    mapping(bytes32 => ScalarEvent) public scalarEvents;
+
+    // Events
+    event ScalarEventCreated(
+        uint16 indexed _version,
+        address indexed _eventAddress,
+        bytes32[10] _name,
+        uint256 _lowerBound,
+        uint256 _upperBound,
+        uint8 _numOfValues);
+
+    /*
+    * @notice Creates new ScalarEventFactory contract. It uses the version of the latest EventFactory so its Events
+    *   create Oracles with the matching OracleFactory.
+    * @param _addressManager The address of the AddressManager contract.
+    */
+    function ScalarEventFactory(address _addressManager) public {
+        require(_addressManager != address(0));
+
+        addressManager = _addressManager;
+        version = IAddressManager(addressManager).getLastEventFactoryIndex();
+    }
+
+    /*
+    * @notice Creates a new ScalarEvent. The creator must BOT approve() the escrow amount to the AddressManager first.
+    * @param _oracle The address of the CentralizedOracle that will set the value.
+    * @param _name The question or statement prediction broken down by multiple bytes32.
+    * @param _lowerBound The lowest value, at which the short betters take the whole pool.
+    * @param _upperBound The highest value, at which the long betters take the whole pool.
+    * @param _numOfValues The number of values the range is split into, including both bounds. Between 2 and 10.
+    * @param _bettingStartTime The unix time when betting will start.
+    * @param _bettingEndTime The unix time when betting will end.
+    * @param _resultSettingStartTime The unix time when the CentralizedOracle can set the value.
+    * @param _resultSettingEndTime The unix time when anyone can set the value.
+    * @return The new ScalarEvent.
+    */
+    function createScalarEvent(
+        address _oracle,
+        bytes32[10] _name,
+        uint256 _lowerBound,
+        uint256 _upperBound,
+        uint8 _numOfValues,
+        uint256 _bettingStartTime,
+        uint256 _bettingEndTime,
+        uint256 _resultSettingStartTime,
+        uint256 _resultSettingEndTime)
+        public
+        returns (ScalarEvent)
+    {
+        require(!_name[0].isEmpty());
+
+        bytes32 eventHash = keccak256(_name, _lowerBound, _upperBound, _numOfValues, _bettingStartTime,
+            _bettingEndTime, _resultSettingStartTime, _resultSettingEndTime);
+        // ScalarEvent should not exist yet
+        require(address(scalarEvents[eventHash]) == 0);
+
+        ScalarEvent scalarEvent = new ScalarEvent(version, msg.sender, _oracle, _name, _lowerBound, _upperBound,
+            _numOfValues, _bettingStartTime, _bettingEndTime, _resultSettingStartTime, _resultSettingEndTime,
+            addressManager);
+        scalarEvents[eventHash] = scalarEvent;
+
+        IAddressManager(addressManager).transferEscrow(msg.sender, address(scalarEvent));
+        IAddressManager(addressManager).addWhitelistContract(address(scalarEvent));
+
+        ScalarEventCreated(version, address(scalarEvent), _name, _lowerBound, _upperBound, _numOfValues);
+
+        return scalarEvent;
+    }
+}
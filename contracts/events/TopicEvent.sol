@@ -1,72 +1,91 @@
 pragma solidity ^0.4.18;
 
 import "./ITopicEvent.sol";
-import "../BaseContract.sol";
+import "./BaseEvent.sol";
 import "../storage/IAddressManager.sol";
-import "../oracles/IOracleFactory.sol";
+import "../oracles/ICentralizedOracle.sol";
+import "../oracles/IDecentralizedOracle.sol";
 import "../tokens/ERC20.sol";
+import "../tokens/OutcomeToken.sol";
+import "../tokens/IOutcomeTokenFactory.sol";
 import "../libs/Ownable.sol";
 import "../libs/SafeMath.sol";
 import "../libs/ByteUtils.sol";
 
-contract TopicEvent is ITopicEvent, BaseContract, Ownable {
+contract TopicEvent is ITopicEvent, BaseEvent {
     using ByteUtils for bytes32;
     using SafeMath for uint256;
 
-    /*
-    * @notice Status types
-    *   Betting: Bet with QTUM during this phase.
-    *   Arbitration: Vote with BOT during this phase.
-    *   Collection: Winners collect their winnings during this phase.
-    */
-    enum Status {
-        Betting,
-        OracleVoting,
-        Collection
-    }
-
-    struct Oracle {
-        address oracleAddress;
-        bool didSetResult;
-    }
-
-    // Amount of QTUM to be distributed to BOT winners
-    uint8 public constant QTUM_PERCENTAGE = 1;
+    // Fixed point base of the payout multipliers, ie. 1x
+    uint256 public constant MULTIPLIER_BASE = 10**8;
 
-    Status public status = Status.Betting;
+    uint8 public creatorFeePercentage;
+    uint8 public qtumRewardPercentage; // Percentage of the losing QTUM to be distributed to BOT winners
+    uint8 public earlyExitPenaltyPercentage; // Percentage of a bet withdrawn during betting that stays in the pool
+    uint8 public referralPercentage; // Percentage of the creator fee generated by referred bets paid to the referrers
+    address public bettingToken; // ERC20 token used to bet instead of QTUM. QTUM amounts are in this token if set.
     bytes32[10] public eventName;
     bytes32[11] public eventResults;
     uint256 public totalQtumValue;
-    uint256 public totalBotValue;
-    uint256 public escrowAmount;
-    IAddressManager private addressManager;
-    Oracle[] public oracles;
-    mapping(address => bool) public didWithdraw;
+    uint256 public totalExitPenalties; // Penalties of withdrawn bets, paid out like the bets on the losing results
+    uint256 public seedAmount; // QTUM the creator seeded the results with, recorded as the creator's bets
+    uint256 public sponsoredQtum; // QTUM added to the winners' reward by sponsors, not part of totalQtumValue
+    uint256 public sponsoredBot; // BOT added to the winners' reward by sponsors, not part of totalBotValue
+    uint256 public bettingEndTime;
+    uint256[11] private totalReferredBets;
+    OutcomeToken[11] public outcomeTokens; // Transferable claims on the bets of each result, created on its first bet
+    mapping(address => bool) public didWithdraw; // Vote winnings, voter reward and creator fee were withdrawn
+    mapping(address => uint256) private qtumSponsorships;
+    mapping(address => uint256) private botSponsorships;
+    mapping(address => address) public referrers; // Referrer of each better, set by the better's first referred bet
+    mapping(address => uint256[11]) private referredBets; // Bets of the referred betters on each result by referrer
 
     // Events
-    event FinalResultSet(
+    event BetPlaced(
         uint16 indexed _version, 
-        address indexed _eventAddress, 
-        uint8 _finalResultIndex);
+        address indexed _better, 
+        uint8 indexed _resultIndex, 
+        uint256 _amount, 
+        uint256 _resultTotalBets, 
+        uint256 _totalQtumValue);
+    event BetWithdrawn(
+        uint16 indexed _version, 
+        address indexed _better, 
+        uint8 indexed _resultIndex, 
+        uint256 _amount, 
+        uint256 _refund, 
+        uint256 _totalQtumValue);
     event WinningsWithdrawn(
         uint16 indexed _version, 
         address indexed _winner, 
         uint256 _qtumTokenWon, 
         uint256 _botTokenWon);
-
-    // Modifiers
-    modifier fromCentralizedOracle() {
-        require(msg.sender == oracles[0].oracleAddress);
-        _;
-    }
-
-    modifier inCollectionStatus() {
-        require(status == Status.Collection);
-        _;
-    }
+    event ReferredBetPlaced(
+        uint16 indexed _version, 
+        address indexed _referrer, 
+        address indexed _better, 
+        uint8 _resultIndex, 
+        uint256 _amount);
+    event SponsorshipAdded(
+        uint16 indexed _version, 
+        address indexed _sponsor, 
+        uint256 _qtumAmount, 
+        uint256 _botAmount);
+    event SponsorshipRefunded(
+        uint16 indexed _version, 
+        address indexed _sponsor, 
+        uint256 _qtumAmount, 
+        uint256 _botAmount);
+    event TopicCancelled(
+        uint16 indexed _version, 
+        address indexed _eventAddress);
+    event TopicExpired(
+        uint16 indexed _version, 
+        address indexed _eventAddress);
 
     /*
-    * @notice Creates new TopicEvent contract.
+    * @notice Creates new TopicEvent contract. QTUM sent is split evenly across the results, except Invalid, as the 
+    *   bets of the owner so the Event opens with initial odds.
     * @param _version The contract version.
     * @param _owner The address of the owner.
     * @param _centralizedOracle The address of the CentralizedOracle that will decide the result.
@@ -76,7 +95,8 @@ contract TopicEvent is ITopicEvent, BaseContract, Ownable {
     * @param _bettingEndTime The unix time when betting will end.
     * @param _resultSettingStartTime The unix time when the CentralizedOracle can set the result.
     * @param _resultSettingEndTime The unix time when anyone can set the result.
-    * @param _escrowAmount The amount of BOT deposited to create the Event.
+    * @param _creatorFeePercentage The percentage of the losing QTUM paid to the owner.
+    * @param _bettingToken The ERC20 token registered in the AddressManager to bet with, or 0 to bet with QTUM.
     * @param _addressManager The address of the AddressManager.
     */
     function TopicEvent(
@@ -90,9 +110,12 @@ contract TopicEvent is ITopicEvent, BaseContract, Ownable {
         uint256 _bettingEndTime,
         uint256 _resultSettingStartTime,
         uint256 _resultSettingEndTime,
+        uint8 _creatorFeePercentage,
+        address _bettingToken,
         address _addressManager)
         Ownable(_owner)
         public
+        payable
         validAddress(_centralizedOracle)
         validAddress(_addressManager)
     {
@@ -109,10 +132,22 @@ contract TopicEvent is ITopicEvent, BaseContract, Ownable {
         eventResults = _resultNames;
         numOfResults = _numOfResults;
         addressManager = IAddressManager(_addressManager);
+        require(_creatorFeePercentage <= addressManager.maxCreatorFeePercentage());
+        creatorFeePercentage = _creatorFeePercentage;
+        require(_bettingToken == address(0) || addressManager.bettingTokens(_bettingToken));
+        bettingToken = _bettingToken;
         escrowAmount = addressManager.eventEscrowAmount();
+        qtumRewardPercentage = addressManager.qtumRewardPercentage();
+        earlyExitPenaltyPercentage = addressManager.earlyExitPenaltyPercentage();
+        referralPercentage = addressManager.referralPercentage();
+        bettingEndTime = _bettingEndTime;
+
+        createCentralizedOracle(_centralizedOracle, 
+            [_bettingStartTime, _bettingEndTime, _resultSettingStartTime, _resultSettingEndTime]);
 
-        createCentralizedOracle(_centralizedOracle, _bettingStartTime, _bettingEndTime, _resultSettingStartTime,
-            _resultSettingEndTime);
+        if (msg.value > 0) {
+            seedResults(msg.value);
+        }
     }
 
     /// @notice Fallback function that rejects any amount sent to the contract.
@@ -128,174 +163,393 @@ contract TopicEvent is ITopicEvent, BaseContract, Ownable {
     function betFromOracle(address _better, uint8 _resultIndex) 
         external 
         payable
+    {
+        betQtumFromOracle(_better, _resultIndex, address(0));
+    }
+
+    /*
+    * @dev CentralizedOracle contract can call this method to bet for a better that was referred. The referrer is only 
+    *   recorded on the first referred bet of the better and earns from all the better's bets from then on.
+    * @param _better The address that is placing the bet.
+    * @param _resultIndex The index of result to bet on.
+    * @param _referrer The address that referred the better.
+    */
+    function betWithReferrerFromOracle(address _better, uint8 _resultIndex, address _referrer) 
+        external 
+        payable
+    {
+        betQtumFromOracle(_better, _resultIndex, _referrer);
+    }
+
+    /*
+    * @dev CentralizedOracle contract can call this method to bet with the betting token. Better must approve() the 
+    *   amount to TopicEvent address before betting.
+    * @param _better The address that is placing the bet.
+    * @param _resultIndex The index of result to bet on.
+    * @param _amount The amount of the betting token to bet.
+    * @return Flag indicating a successful transfer.
+    */
+    function betTokenFromOracle(address _better, uint8 _resultIndex, uint256 _amount) 
+        external 
         validAddress(_better)
         validResultIndex(_resultIndex)
         fromCentralizedOracle()
+        returns (bool)
     {
-        require(msg.value > 0);
+        require(bettingToken != address(0));
 
-        balances[_resultIndex].totalBets = balances[_resultIndex].totalBets.add(msg.value);
-        balances[_resultIndex].bets[_better] = balances[_resultIndex].bets[_better].add(msg.value);
-        totalQtumValue = totalQtumValue.add(msg.value);
+        recordBet(_better, _resultIndex, _amount);
+
+        return receiveToken(ERC20(bettingToken), _better, _amount);
     }
 
-    /* 
-    * @dev CentralizedOracle contract can call this method to set the result.
-    * @param _oracle The address of the CentralizedOracle.
-    * @param _resultIndex The index of the result to set.
-    * @param _consensusThreshold The BOT threshold that the CentralizedOracle has to contribute to validate the result.
+    /*
+    * @dev CentralizedOracle contract can call this method to withdraw a bet during betting. The better's Outcome 
+    *   Tokens are burned and the bet is refunded minus the early exit penalty, which stays in the pool.
+    * @param _better The address that placed the bet.
+    * @param _resultIndex The index of result the bet was placed on.
+    * @param _amount The amount of the bet to withdraw.
+    * @return Flag indicating a successful withdrawal.
     */
-    function centralizedOracleSetResult(
-        address _oracle, 
-        uint8 _resultIndex, 
-        uint256 _consensusThreshold)
-        external 
+    function withdrawBetFromOracle(address _better, uint8 _resultIndex, uint256 _amount)
+        external
         validResultIndex(_resultIndex)
         fromCentralizedOracle()
+        returns (bool)
     {
-        require(!oracles[0].didSetResult);
         require(status == Status.Betting);
+        require(_amount > 0);
 
-        ERC20 token = ERC20(addressManager.bodhiTokenAddress());
-        require(token.allowance(_oracle, address(this)) >= _consensusThreshold);
+        outcomeTokens[_resultIndex].burn(_better, _amount);
 
-        oracles[0].didSetResult = true;
-        status = Status.OracleVoting;
-        resultIndex = _resultIndex;
+        uint256 penalty = _amount.mul(earlyExitPenaltyPercentage).div(100);
+        uint256 refund = _amount.sub(penalty);
+        balances[_resultIndex].totalBets = balances[_resultIndex].totalBets.sub(_amount);
+        withdrawReferredBet(_better, _resultIndex, _amount);
+        totalExitPenalties = totalExitPenalties.add(penalty);
+        totalQtumValue = totalQtumValue.sub(refund);
 
-        balances[_resultIndex].totalVotes = balances[_resultIndex].totalVotes.add(_consensusThreshold);
-        balances[_resultIndex].votes[_oracle] = balances[_resultIndex].votes[_oracle].add(_consensusThreshold);
-        totalBotValue = totalBotValue.add(_consensusThreshold);
+        if (refund > 0) {
+            transferBettingCurrency(_better, refund);
+        }
 
-        token.transferFrom(_oracle, address(this), _consensusThreshold);
-        createDecentralizedOracle(_consensusThreshold);
+        BetWithdrawn(version, _better, _resultIndex, _amount, refund, totalQtumValue);
+        return true;
     }
 
     /*
-    * @dev DecentralizedOracle contract can call this method to vote for a user. Voter must BOT approve() with the 
-    *   amount to TopicEvent address before voting.
-    * @param _resultIndex The index of result to vote on.
-    * @param _sender The address of the person voting on a result.
-    * @param _amount The BOT amount used to vote.
-    * @return Flag indicating a successful transfer.
+    * @notice Allows anyone to add QTUM and BOT to the reward of the winning betters without betting. It is paid out 
+    *   to the betters of the final result pro rata to their bets, and refunded to the sponsor if the Event is voided, 
+    *   cancelled or expired, or if no bets were placed on the final result. Sponsor must BOT approve() the amount to TopicEvent address before sponsoring.
+    * @param _botAmount The BOT amount to sponsor.
     */
-    function voteFromOracle(uint8 _resultIndex, address _sender, uint256 _amount)
+    function sponsor(uint256 _botAmount)
         external
-        validResultIndex(_resultIndex)
-        returns (bool)
+        payable
     {
-        bool isValidOracle = false;
-        for (uint8 i = 1; i < oracles.length; i++) {
-            if (msg.sender == oracles[i].oracleAddress) {
-                isValidOracle = true;
-                break;
-            }
-        }
-        require(isValidOracle);
-        require(_amount > 0);
+        require(status == Status.Betting);
+        require(msg.value > 0 || _botAmount > 0);
+        require(msg.value == 0 || bettingToken == address(0));
 
-        ERC20 token = ERC20(addressManager.bodhiTokenAddress());
-        require(token.allowance(_sender, address(this)) >= _amount);
+        sponsoredQtum = sponsoredQtum.add(msg.value);
+        sponsoredBot = sponsoredBot.add(_botAmount);
+        qtumSponsorships[msg.sender] = qtumSponsorships[msg.sender].add(msg.value);
+        botSponsorships[msg.sender] = botSponsorships[msg.sender].add(_botAmount);
 
-        balances[_resultIndex].totalVotes = balances[_resultIndex].totalVotes.add(_amount);
-        balances[_resultIndex].votes[_sender] = balances[_resultIndex].votes[_sender].add(_amount);
-        totalBotValue = totalBotValue.add(_amount);
+        if (_botAmount > 0) {
+            require(receiveToken(getBodhiToken(), msg.sender, _botAmount));
+        }
 
-        return token.transferFrom(_sender, address(this), _amount);
+        SponsorshipAdded(version, msg.sender, msg.value, _botAmount);
     }
 
-    /* 
-    * @dev DecentralizedOracle contract can call this to set the result after vote passes consensus threshold.
-    * @param _resultIndex The index of the result to set.
-    * @param _currentConsensusThreshold The current consensus threshold for the Oracle.
+    /*
+    * @notice Allows winners of the Event to withdraw their QTUM and BOT winnings after the final result is set. The 
+    *   Outcome Tokens held are redeemed, so it can be called again after receiving more winning tokens.
     */
-    function decentralizedOracleSetResult(uint8 _resultIndex, uint256 _currentConsensusThreshold)
+    function withdrawWinnings() 
         external 
-        validResultIndex(_resultIndex)
-        returns (bool)
+        inCollectionStatus()
+        inClaimPeriod()
+    {
+        uint256 botWon;
+        uint256 qtumWon;
+        (botWon, qtumWon) = calculateWinnings();
+        require(!didWithdraw[msg.sender] || qtumWon > 0);
+
+        transferWinnings(msg.sender, botWon, qtumWon);
+    }
+
+    /*
+    * @notice Allows anyone to pay out the QTUM and BOT winnings of multiple winners to their own addresses after the 
+    *   final result is set. Addresses that have nothing left to withdraw are skipped, as are addresses rejecting the 
+    *   QTUM, which keep their winnings.
+    * @param _winners The addresses of the winners to pay out.
+    */
+    function withdrawWinningsFor(address[] _winners)
+        external
+        inCollectionStatus()
+        inClaimPeriod()
     {
-        bool isValidOracle = false;
-        uint8 oracleIndex;
-        for (uint8 i = 1; i < oracles.length; i++) {
-            if (msg.sender == oracles[i].oracleAddress && !oracles[i].didSetResult) {
-                isValidOracle = true;
-                oracleIndex = i;
-                break;
+        for (uint256 i = 0; i < _winners.length; i++) {
+            address winner = _winners[i];
+            if (winner == address(0)) {
+                continue;
+            }
+
+            uint256 botWon;
+            uint256 qtumWon;
+            (botWon, qtumWon) = calculateWinningsFor(winner);
+            if (botWon == 0 && qtumWon == 0) {
+                continue;
+            }
+
+            if (qtumWon == 0 || bettingToken != address(0)) {
+                transferWinnings(winner, botWon, qtumWon);
+            } else if (winner.send(qtumWon)) {
+                // send() forwards too little gas to reenter the Event before the withdrawal is recorded
+                recordWithdrawal(winner, botWon, qtumWon);
             }
         }
-        require(isValidOracle);
+    }
 
-        oracles[oracleIndex].didSetResult = true;
-        status = Status.OracleVoting;
-        resultIndex = _resultIndex;
+    /*
+    * @notice Allows the creator of the Event to cancel it as long as no bets have been placed, which includes any 
+    *   time before the betting start time. Returns the escrow and the seed to the creator. Sponsors can withdraw 
+    *   their sponsorships with withdrawSponsorship().
+    */
+    function cancel()
+        external
+        onlyOwner()
+    {
+        require(status == Status.Betting);
+        require(totalQtumValue == seedAmount);
 
-        return createDecentralizedOracle(_currentConsensusThreshold.add(addressManager.consensusThresholdIncrement()));
+        closeWithoutBets();
+
+        TopicCancelled(version, address(this));
     }
 
     /*
-    * @dev The last DecentralizedOracle contract can call this method to change status to Collection.
-    * @return Flag to indicate success of finalizing the result.
+    * @notice Allows anyone to close an Event that received no bets once betting has ended. Returns the escrow and the 
+    *   seed to the creator without starting any DecentralizedOracle rounds. Sponsors can withdraw their sponsorships 
+    *   with withdrawSponsorship().
     */
-    function decentralizedOracleFinalizeResult() 
-        external 
-        returns (bool)
+    function expire()
+        external
     {
-        require(msg.sender == oracles[oracles.length - 1].oracleAddress);
-        require(status == Status.OracleVoting);
+        require(status == Status.Betting);
+        require(block.timestamp >= bettingEndTime);
+        require(totalQtumValue == seedAmount);
 
-        status = Status.Collection;
- 
-        FinalResultSet(version, address(this), resultIndex);
+        closeWithoutBets();
 
-        return true;
+        TopicExpired(version, address(this));
     }
 
     /*
-    * @notice Allows winners of the Event to withdraw their QTUM and BOT winnings after the final result is set.
+    * @notice Allows a sponsor to withdraw the QTUM and BOT sponsored after the Event was cancelled or expired.
     */
-    function withdrawWinnings() 
-        external 
-        inCollectionStatus()
+    function withdrawSponsorship()
+        external
     {
-        require(!didWithdraw[msg.sender]);
+        require(status == Status.Cancelled);
 
-        didWithdraw[msg.sender] = true;
+        uint256 qtumAmount = qtumSponsorships[msg.sender];
+        uint256 botAmount = botSponsorships[msg.sender];
+        require(qtumAmount > 0 || botAmount > 0);
 
-        uint256 botWon;
-        uint256 qtumWon;
-        (botWon, qtumWon) = calculateWinnings();
+        qtumSponsorships[msg.sender] = 0;
+        botSponsorships[msg.sender] = 0;
+        sponsoredQtum = sponsoredQtum.sub(qtumAmount);
+        sponsoredBot = sponsoredBot.sub(botAmount);
 
-        if (qtumWon > 0) {
-            msg.sender.transfer(qtumWon);
+        if (qtumAmount > 0) {
+            msg.sender.transfer(qtumAmount);
         }
-        if (botWon > 0) {
-            ERC20(addressManager.bodhiTokenAddress()).transfer(msg.sender, botWon);
+        if (botAmount > 0) {
+            getBodhiToken().transfer(msg.sender, botAmount);
         }
 
-        WinningsWithdrawn(version, msg.sender, qtumWon, botWon);
+        SponsorshipRefunded(version, msg.sender, qtumAmount, botAmount);
     }
 
     /*
-    * @notice Allows the creator of the Event to withdraw the escrow amount.
+    * @notice Gets the bet balances of an address for all the results, which are its Outcome Token balances plus the 
+    *   seed of the creator.
+    * @param _better The address to get the bet balances of.
+    * @return An array of all the bet balances of the address.
     */
-    function withdrawEscrow()
-        external
-        onlyOwner()
-        inCollectionStatus()
+    function getBetBalancesFor(address _better) 
+        public
+        view
+        returns (uint256[11]) 
     {
-        addressManager.withdrawEscrow(msg.sender, escrowAmount);
+        uint256[11] memory betBalances;
+        for (uint8 i = 0; i < numOfResults; i++) {
+            betBalances[i] = getBetBalance(i, _better);
+        }
+        return betBalances;
     }
 
     /*
-    * @notice Gets the final result index and flag indicating if the result is final.
-    * @return The result index and finalized bool.
+    * @notice Gets the full state of the Event and its current Oracle in one call.
+    * @return The name, result names, number of results, status, result index, total bets and votes per result, 
+    *   address of the current Oracle, flag if it is the CentralizedOracle, its deadlines, its consensus threshold, 
+    *   the number of Oracles and the sponsored [QTUM, BOT]. Deadlines of the CentralizedOracle are 
+    *   [bettingStartTime, bettingEndTime, resultSettingStartTime, resultSettingEndTime] and of a DecentralizedOracle 
+    *   [arbitrationEndTime, 0, 0, 0].
     */
-    function getFinalResult() 
-        public 
+    function getTopicSummary()
+        public
+        view
+        returns (bytes32[10], bytes32[11], uint8, Status, uint8, uint256[11], uint256[11], address, bool, 
+            uint256[4], uint256, uint256, uint256[2])
+    {
+        address currentOracle = oracles[oracles.length - 1].oracleAddress;
+
+        uint256[4] memory deadlines;
+        uint256 consensusThreshold;
+        (deadlines, consensusThreshold) = EventLib.getOracleDeadlines(currentOracle, oracles.length == 1);
+
+        return (eventName, eventResults, numOfResults, status, resultIndex, getTotalBets(), getTotalVotes(), 
+            currentOracle, oracles.length == 1, deadlines, consensusThreshold, oracles.length, 
+            [sponsoredQtum, sponsoredBot]);
+    }
+
+    /*
+    * @notice Gets the number of Oracles created for this Event.
+    * @return The number of Oracles.
+    */
+    function getOracleCount()
+        public
+        view
+        returns (uint256)
+    {
+        return oracles.length;
+    }
+
+    /*
+    * @notice Gets the ordered list of Oracles of this Event. The first one is the CentralizedOracle.
+    * @return The addresses, didSetResult flags, result indexes and consensus thresholds of the Oracles. The result 
+    *   index is INVALID_RESULT_INDEX until the Oracle has a result.
+    */
+    function getOracles()
+        public
         view
-        returns (uint8, bool) 
+        returns (address[], bool[], uint8[], uint256[])
     {
-        return (resultIndex, status == Status.Collection);
+        address[] memory addresses = new address[](oracles.length);
+        bool[] memory didSetResults = new bool[](oracles.length);
+        uint8[] memory resultIndexes = new uint8[](oracles.length);
+        uint256[] memory thresholds = new uint256[](oracles.length);
+
+        for (uint256 i = 0; i < oracles.length; i++) {
+            addresses[i] = oracles[i].oracleAddress;
+            didSetResults[i] = oracles[i].didSetResult;
+            // The CentralizedOracle has the same resultIndex and consensusThreshold getters
+            resultIndexes[i] = IDecentralizedOracle(addresses[i]).resultIndex();
+            thresholds[i] = IDecentralizedOracle(addresses[i]).consensusThreshold();
+        }
+
+        return (addresses, didSetResults, resultIndexes, thresholds);
+    }
+
+    /*
+    * @notice Gets the latest Oracle of this Event and if it is still active, ie. accepting bets or votes.
+    * @return The address and index of the latest Oracle and flag indicating if it is active.
+    */
+    function getActiveOracle()
+        public
+        view
+        returns (address, uint256, bool)
+    {
+        uint256 index = oracles.length - 1;
+        bool isActive = status == Status.Betting || status == Status.OracleVoting;
+        return (oracles[index].oracleAddress, index, isActive);
+    }
+
+    /*
+    * @notice Projects the QTUM payout of a hypothetical bet if the result it is placed on wins, using the current 
+    *   pool, creator fee and QTUM reward percentage. Bets on Invalid are refunded so they return 1x.
+    * @param _resultIndex The index of the result to bet on.
+    * @param _amount The hypothetical QTUM bet amount.
+    * @return The projected QTUM payout and the payout multiplier of the same bet on every result, with 
+    *   MULTIPLIER_BASE being 1x.
+    */
+    function getProjectedPayout(uint8 _resultIndex, uint256 _amount)
+        public
+        view
+        validResultIndex(_resultIndex)
+        returns (uint256, uint256[11])
+    {
+        require(_amount > 0);
+
+        uint256[11] memory multipliers;
+        for (uint8 i = 0; i < numOfResults; i++) {
+            multipliers[i] = calculateProjectedPayout(i, _amount).mul(MULTIPLIER_BASE).div(_amount);
+        }
+
+        return (calculateProjectedPayout(_resultIndex, _amount), multipliers);
+    }
+
+    /*
+    * @notice Gets the QTUM and BOT still held by the Event. Until claimEndTime these can be withdrawn by the winners, 
+    *   after which they can be swept to the treasury. If the betting token is BOT, all of it is counted as BOT.
+    * @return The amount of QTUM, or of the betting token, and BOT not yet withdrawn.
+    */
+    function getUnclaimedBalances()
+        public
+        view
+        returns (uint256, uint256)
+    {
+        ERC20 bodhiToken = getBodhiToken();
+        uint256 botBalance = bodhiToken.balanceOf(address(this));
+        if (bettingToken == address(0)) {
+            return (this.balance, botBalance);
+        } else if (bettingToken == address(bodhiToken)) {
+            return (0, botBalance);
+        }
+        return (ERC20(bettingToken).balanceOf(address(this)), botBalance);
+    }
+
+    /*
+    * @notice Gets the position of an address across all the results.
+    * @param _participant The address of the better or voter.
+    * @return The bet balances, vote balances, BOT won, QTUM won, flag indicating if winnings were withdrawn and the 
+    *   sponsored [QTUM, BOT] of the address. The BOT and QTUM won are 0 until the Event reaches Status:Collection.
+    */
+    function getPositionSummary(address _participant)
+        public
+        view
+        returns (uint256[11], uint256[11], uint256, uint256, bool, uint256[2])
+    {
+        uint256 botWon = 0;
+        uint256 qtumWon = 0;
+        if (status == Status.Collection) {
+            (botWon, qtumWon) = calculateWinningsFor(_participant);
+        }
+
+        return (getBetBalancesFor(_participant), getVoteBalancesFor(_participant), botWon, qtumWon, 
+            didWithdraw[_participant], getSponsorshipsFor(_participant));
+    }
+
+    /*
+    * @notice Gets the referral accounting of a referrer.
+    * @param _referrer The address of the referrer.
+    * @return The bets of the betters referred by the address on each result and the QTUM referral reward, which is 0 
+    *   until the Event reaches Status:Collection or if it is voided.
+    */
+    function getReferralsFor(address _referrer)
+        public
+        view
+        returns (uint256[11], uint256)
+    {
+        uint256 reward = 0;
+        if (status == Status.Collection && !isVoided()) {
+            reward = getReferralRewardFor(_referrer);
+        }
+        return (referredBets[_referrer], reward);
     }
 
     /* 
@@ -308,80 +562,409 @@ contract TopicEvent is ITopicEvent, BaseContract, Ownable {
         inCollectionStatus()
         returns (uint256, uint256)  
     {
-        uint256 votes = balances[resultIndex].votes[msg.sender];
-        uint256 bets = balances[resultIndex].bets[msg.sender];
+        return calculateWinningsFor(msg.sender);
+    }
 
-        // Calculate Qtum reward total
-        uint256 losersTotal = 0;
-        for (uint8 i = 0; i < numOfResults; i++) {
-            if (i != resultIndex) {
-                losersTotal = losersTotal.add(balances[i].totalBets);
-            }
+    /* 
+    * @notice Calculates the BOT and QTUM tokens won based on an address's contributions. Winning betters also share 
+    *   the sponsored QTUM and BOT pro rata and the owner receives the creator fee. If no bets were placed on the final 
+    *   result, the sponsors get their sponsorships back. If the Event is voided, all BOT and QTUM contributed by the 
+    *   address, including sponsorships, are returned instead.
+    * @param _participant The address of the better or voter.
+    * @return The amount of BOT and QTUM tokens won.
+    */
+    function calculateWinningsFor(address _participant)
+        public 
+        view
+        inCollectionStatus()
+        returns (uint256, uint256)  
+    {
+        if (isVoided()) {
+            return calculateRefund(_participant);
         }
-        uint256 rewardQtum = uint256(QTUM_PERCENTAGE).mul(losersTotal).div(100);
-        losersTotal = losersTotal.sub(rewardQtum);
 
-        // Calculate QTUM winnings
+        uint256 bets = getBetBalance(resultIndex, _participant);
+
+        // Calculate Qtum reward total
+        uint256 losersTotal;
+        uint256 rewardQtum;
+        uint256 creatorFee;
+        (losersTotal, rewardQtum, creatorFee) = getLosingQtum(resultIndex);
+
+        // Calculate QTUM winnings and the share of the sponsorships
         uint256 winnersTotal;
         uint256 qtumWon = 0;
+        uint256 botWon = 0;
         if (bets > 0) {
             winnersTotal = balances[resultIndex].totalBets;
             qtumWon = bets.mul(losersTotal).div(winnersTotal).add(bets);
+            botWon = bets.mul(sponsoredBot).div(winnersTotal);
+        }
+
+        // The rest can only be withdrawn once
+        if (didWithdraw[_participant]) {
+            return (botWon, qtumWon);
+        }
+
+        // Nobody can win the sponsorships without bets on the final result
+        if (balances[resultIndex].totalBets == 0) {
+            botWon = botSponsorships[_participant];
+            qtumWon = qtumSponsorships[_participant];
         }
 
         // Calculate BOT winnings
-        uint256 botWon = 0;
+        uint256 votes = balances[resultIndex].votes[_participant];
         if (votes > 0) {
             winnersTotal = balances[resultIndex].totalVotes;
-            losersTotal = 0;
-            for (i = 0; i < numOfResults; i++) {
-                if (i != resultIndex) {
-                    losersTotal = losersTotal.add(balances[i].totalVotes);
-                }
-            }
-            botWon = votes.mul(losersTotal).div(winnersTotal).add(votes);
+            losersTotal = totalBotValue.sub(winnersTotal);
+            botWon = botWon.add(votes.mul(losersTotal).div(winnersTotal)).add(votes);
             uint256 rewardWon = votes.mul(rewardQtum).div(winnersTotal);
             qtumWon = qtumWon.add(rewardWon);
         }
 
+        // Add the referral reward and the creator fee
+        qtumWon = qtumWon.add(getReferralRewardFor(_participant));
+        if (_participant == owner) {
+            qtumWon = qtumWon.add(creatorFee);
+        }
+
         return (botWon, qtumWon);
     }
 
-    function createCentralizedOracle(
-        address _centralizedOracle, 
-        uint256 _bettingStartTime,
-        uint256 _bettingEndTime,
-        uint256 _resultSettingStartTime,
-        uint256 _resultSettingEndTime)
+    /*
+    * @dev Gets the referral reward of a referrer for the final result.
+    * @param _referrer The address of the referrer.
+    * @return The QTUM referral reward.
+    */
+    function getReferralRewardFor(address _referrer)
         private
+        view
+        returns (uint256)
     {
-        address oracleFactory = addressManager.oracleFactoryVersionToAddress(version);
-        address newOracle = IOracleFactory(oracleFactory).createCentralizedOracle(address(this), 
-            numOfResults, _centralizedOracle, _bettingStartTime, _bettingEndTime, _resultSettingStartTime, 
-            _resultSettingEndTime, addressManager.startingOracleThreshold());
-        
-        assert(newOracle != address(0));
-        oracles.push(Oracle({
-            oracleAddress: newOracle,
-            didSetResult: false
-            }));
+        return calculateReferralReward(referredBets[_referrer], resultIndex);
     }
 
-    function createDecentralizedOracle(uint256 _consensusThreshold) 
-        private 
-        returns (bool)
+    /*
+    * @dev Calculates the share of the creator fee generated by referred bets on the losing results.
+    * @param _referredBets The referred bets on each result.
+    * @param _winningIndex The index of the winning result.
+    * @return The QTUM referral reward.
+    */
+    function calculateReferralReward(uint256[11] storage _referredBets, uint8 _winningIndex)
+        private
+        view
+        returns (uint256)
     {
-        address oracleFactory = addressManager.oracleFactoryVersionToAddress(version);
-        uint256 arbitrationLength = addressManager.arbitrationLength();
-        address newOracle = IOracleFactory(oracleFactory).createDecentralizedOracle(address(this), numOfResults, 
-            resultIndex, block.timestamp.add(arbitrationLength), _consensusThreshold);
-        
-        assert(newOracle != address(0));
-        oracles.push(Oracle({
-            oracleAddress: newOracle,
-            didSetResult: false
-            }));
+        uint256 referredLosingBets = 0;
+        for (uint8 i = 0; i < numOfResults; i++) {
+            if (i != _winningIndex) {
+                referredLosingBets = referredLosingBets.add(_referredBets[i]);
+            }
+        }
+        return referredLosingBets.mul(creatorFeePercentage).mul(referralPercentage).div(10000);
+    }
 
-        return true;
+    /*
+    * @dev Calculates the QTUM bet on the losing results and the early exit penalties that is paid out to the winning 
+    *   betters, the voter reward and the creator fee. The sponsored QTUM is added to the winning betters' share and 
+    *   the referral rewards are paid from the creator fee.
+    * @param _winningIndex The index of the winning result.
+    * @return The QTUM for the winning betters, the QTUM reward for the winning voters and the creator fee left after 
+    *   the referral rewards.
+    */
+    function getLosingQtum(uint8 _winningIndex)
+        private
+        view
+        returns (uint256, uint256, uint256)
+    {
+        // The total QTUM includes the early exit penalties
+        uint256 losersTotal = totalQtumValue.sub(balances[_winningIndex].totalBets);
+        uint256 rewardQtum = uint256(qtumRewardPercentage).mul(losersTotal).div(100);
+        uint256 creatorFee = uint256(creatorFeePercentage).mul(losersTotal).div(100);
+        return (losersTotal.sub(rewardQtum).sub(creatorFee).add(sponsoredQtum), rewardQtum, 
+            creatorFee.sub(calculateReferralReward(totalReferredBets, _winningIndex)));
+    }
+
+    /*
+    * @dev Calculates the QTUM a new bet would pay out if its result wins.
+    * @param _resultIndex The index of the result to bet on.
+    * @param _amount The QTUM bet amount.
+    * @return The QTUM payout including the bet itself.
+    */
+    function calculateProjectedPayout(uint8 _resultIndex, uint256 _amount)
+        private
+        view
+        returns (uint256)
+    {
+        if (_resultIndex == VOID_RESULT_INDEX) {
+            return _amount;
+        }
+
+        uint256 losersTotal;
+        (losersTotal, , ) = getLosingQtum(_resultIndex);
+        uint256 winnersTotal = balances[_resultIndex].totalBets.add(_amount);
+        return _amount.mul(losersTotal).div(winnersTotal).add(_amount);
+    }
+
+    /*
+    * @dev Marks the winnings of an address as withdrawn and transfers the QTUM and BOT to it.
+    * @param _winner The address to pay out.
+    * @param _botWon The amount of BOT won.
+    * @param _qtumWon The amount of QTUM won.
+    */
+    function transferWinnings(address _winner, uint256 _botWon, uint256 _qtumWon)
+        private
+    {
+        recordWithdrawal(_winner, _botWon, _qtumWon);
+
+        if (_qtumWon > 0) {
+            transferBettingCurrency(_winner, _qtumWon);
+        }
+    }
+
+    /*
+    * @dev Marks the winnings of an address as withdrawn and transfers the BOT to it. The QTUM has to be transferred 
+    *   by the caller.
+    * @param _winner The address to pay out.
+    * @param _botWon The amount of BOT won.
+    * @param _qtumWon The amount of QTUM won.
+    */
+    function recordWithdrawal(address _winner, uint256 _botWon, uint256 _qtumWon)
+        private
+    {
+        didWithdraw[_winner] = true;
+        redeemOutcomeTokens(_winner);
+
+        if (_botWon > 0) {
+            getBodhiToken().transfer(_winner, _botWon);
+        }
+
+        WinningsWithdrawn(version, _winner, _qtumWon, _botWon);
+    }
+
+    /*
+    * @dev Records a QTUM bet from the CentralizedOracle and the referrer of the better if it has none yet.
+    * @param _better The address that is placing the bet.
+    * @param _resultIndex The index of result to bet on.
+    * @param _referrer The address that referred the better, or 0 if the bet was not referred.
+    */
+    function betQtumFromOracle(address _better, uint8 _resultIndex, address _referrer)
+        private
+        validAddress(_better)
+        validResultIndex(_resultIndex)
+        fromCentralizedOracle()
+    {
+        require(bettingToken == address(0));
+
+        if (_referrer != address(0) && _referrer != _better && referrers[_better] == address(0)) {
+            referrers[_better] = _referrer;
+        }
+        recordBet(_better, _resultIndex, msg.value);
+    }
+
+    /*
+    * @dev Records a bet of QTUM or the betting token.
+    * @param _better The address that is placing the bet.
+    * @param _resultIndex The index of result to bet on.
+    * @param _amount The amount bet.
+    */
+    function recordBet(address _better, uint8 _resultIndex, uint256 _amount)
+        private
+    {
+        require(status == Status.Betting);
+        require(_amount > 0);
+
+        if (address(outcomeTokens[_resultIndex]) == address(0)) {
+            IOutcomeTokenFactory tokenFactory = IOutcomeTokenFactory(addressManager.outcomeTokenFactoryAddress());
+            outcomeTokens[_resultIndex] = OutcomeToken(tokenFactory.createOutcomeToken(_resultIndex));
+        }
+        outcomeTokens[_resultIndex].mint(_better, _amount);
+
+        balances[_resultIndex].totalBets = balances[_resultIndex].totalBets.add(_amount);
+        totalQtumValue = totalQtumValue.add(_amount);
+
+        address referrer = referrers[_better];
+        if (referrer != address(0)) {
+            referredBets[referrer][_resultIndex] = referredBets[referrer][_resultIndex].add(_amount);
+            totalReferredBets[_resultIndex] = totalReferredBets[_resultIndex].add(_amount);
+
+            ReferredBetPlaced(version, referrer, _better, _resultIndex, _amount);
+        }
+
+        BetPlaced(version, _better, _resultIndex, _amount, balances[_resultIndex].totalBets, totalQtumValue);
+    }
+
+    /*
+    * @dev Removes a withdrawn bet from the referred bets of the better's referrer. It comes out of the referred bets 
+    *   first, so they never exceed the bets the referred betters have left.
+    * @param _better The address that withdrew the bet.
+    * @param _resultIndex The index of result the bet was placed on.
+    * @param _amount The amount of the bet withdrawn.
+    */
+    function withdrawReferredBet(address _better, uint8 _resultIndex, uint256 _amount)
+        private
+    {
+        address referrer = referrers[_better];
+        uint256 amount = referredBets[referrer][_resultIndex];
+        if (amount > _amount) {
+            amount = _amount;
+        }
+        referredBets[referrer][_resultIndex] = referredBets[referrer][_resultIndex].sub(amount);
+        totalReferredBets[_resultIndex] = totalReferredBets[_resultIndex].sub(amount);
+    }
+
+    /*
+    * @dev Transfers QTUM, or the betting token if the Event has one.
+    * @param _to The address to transfer to.
+    * @param _amount The amount to transfer.
+    */
+    function transferBettingCurrency(address _to, uint256 _amount)
+        internal
+    {
+        if (bettingToken == address(0)) {
+            _to.transfer(_amount);
+        } else {
+            ERC20(bettingToken).transfer(_to, _amount);
+        }
+    }
+
+    /*
+    * @dev Calculates the BOT and QTUM to return to a participant when the Event is voided. The QTUM is returned for 
+    *   the Outcome Tokens held. Sponsors get their sponsorships back and voters of the Invalid result also get their 
+    *   share of the forfeited escrow.
+    * @param _participant The address of the better, voter or sponsor.
+    * @return The amount of BOT and QTUM tokens contributed across all results and sponsored, plus the escrow share.
+    */
+    function calculateRefund(address _participant)
+        private
+        view
+        returns (uint256, uint256)
+    {
+        uint256 botRefund = 0;
+        uint256 qtumRefund = 0;
+        for (uint8 i = 0; i < numOfResults; i++) {
+            botRefund = botRefund.add(balances[i].votes[_participant]);
+            qtumRefund = qtumRefund.add(getBetBalance(i, _participant));
+        }
+        // The BOT and the sponsorships can only be withdrawn once
+        if (didWithdraw[_participant]) {
+            return (0, qtumRefund);
+        }
+        botRefund = botRefund.add(botSponsorships[_participant]);
+        qtumRefund = qtumRefund.add(qtumSponsorships[_participant]);
+
+        uint256 votes = balances[VOID_RESULT_INDEX].votes[_participant];
+        if (forfeitedEscrow > 0 && votes > 0) {
+            botRefund = botRefund.add(forfeitedEscrow.mul(votes).div(balances[VOID_RESULT_INDEX].totalVotes));
+        }
+        return (botRefund, qtumRefund);
+    }
+
+    /*
+    * @dev Burns the Outcome Tokens and clears the seed of an address that are paid out: those of the final result, or 
+    *   of all results if the Event is voided.
+    * @param _winner The address to redeem the tokens of.
+    */
+    function redeemOutcomeTokens(address _winner)
+        private
+    {
+        bool voided = isVoided();
+        for (uint8 i = 0; i < numOfResults; i++) {
+            if (i != resultIndex && !voided) {
+                continue;
+            }
+
+            uint256 tokens = getOutcomeTokenBalance(i, _winner);
+            if (tokens > 0) {
+                outcomeTokens[i].burn(_winner, tokens);
+            }
+            balances[i].bets[_winner] = 0;
+        }
+    }
+
+    /*
+    * @dev Gets the sponsorships of an address.
+    * @param _sponsor The address of the sponsor.
+    * @return The sponsored [QTUM, BOT].
+    */
+    function getSponsorshipsFor(address _sponsor)
+        private
+        view
+        returns (uint256[2])
+    {
+        return [qtumSponsorships[_sponsor], botSponsorships[_sponsor]];
+    }
+
+    /*
+    * @dev Gets the bet balance of an address for a result: its Outcome Tokens plus the seed if it is the creator.
+    * @param _resultIndex The index of the result.
+    * @param _better The address of the better.
+    * @return The bet balance.
+    */
+    function getBetBalance(uint8 _resultIndex, address _better)
+        private
+        view
+        returns (uint256)
+    {
+        return getOutcomeTokenBalance(_resultIndex, _better).add(balances[_resultIndex].bets[_better]);
+    }
+
+    /*
+    * @dev Gets the Outcome Token balance of an address for a result.
+    * @param _resultIndex The index of the result.
+    * @param _holder The address of the token holder.
+    * @return The token balance, or 0 if no bets were placed on the result.
+    */
+    function getOutcomeTokenBalance(uint8 _resultIndex, address _holder)
+        private
+        view
+        returns (uint256)
+    {
+        if (address(outcomeTokens[_resultIndex]) == address(0)) {
+            return 0;
+        }
+        return outcomeTokens[_resultIndex].balanceOf(_holder);
+    }
+
+    /*
+    * @dev Cancels the Event and its CentralizedOracle and returns the escrow and the seed to the creator. The 
+    *   sponsorships stay in the Event until the sponsors withdraw them.
+    */
+    function closeWithoutBets()
+        private
+    {
+        status = Status.Cancelled;
+        // ConditionalTopicEvents depending on this Event time their claim period from the cancellation
+        claimEndTime = block.timestamp.add(addressManager.claimPeriodLength());
+        ICentralizedOracle(oracles[0].oracleAddress).cancel();
+        addressManager.withdrawEscrow(owner);
+
+        if (seedAmount > 0) {
+            owner.transfer(seedAmount);
+        }
+    }
+
+    /*
+    * @dev Splits the seed of the creator evenly across the results except Invalid and records it as the creator's 
+    *   bets. The remainder of the split goes to the first result. Seeding is only possible with QTUM.
+    * @param _amount The QTUM to seed the results with.
+    */
+    function seedResults(uint256 _amount)
+        private
+    {
+        require(bettingToken == address(0));
+
+        uint256 resultSeed = _amount.div(numOfResults - 1);
+        require(resultSeed > 0);
+
+        seedAmount = _amount;
+        for (uint8 i = 1; i < numOfResults; i++) {
+            uint256 amount = i == 1 ? _amount.sub(resultSeed.mul(numOfResults - 2)) : resultSeed;
+            balances[i].bets[owner] = amount;
+            balances[i].totalBets = amount;
+            totalQtumValue = totalQtumValue.add(amount);
+
+            BetPlaced(version, owner, i, amount, amount, totalQtumValue);
+        }
     }
 }
@@ -0,0 +1,114 @@
+pragma solidity ^0.4.18;
+
+import "../storage/IAddressManager.sol";
+import "../oracles/IOracleFactory.sol";
+import "../oracles/ICentralizedOracle.sol";
+import "../oracles/IDecentralizedOracle.sol";
+import "./SafeMath.sol";
+
+/*
+* @title EventLib holds the AddressManager and Oracle calls of the Events. Its public functions run in the context of
+*   the calling Event, so the Event creates the Oracles and forfeits its escrow, but their bytecode is deployed once
+*   instead of with every Event.
+*/
+library EventLib {
+    using SafeMath for uint256;
+
+    /*
+    * @dev Creates the CentralizedOracle of the calling Event with the starting consensus threshold.
+    * @param _addressManager The AddressManager of the Event.
+    * @param _version The version of the Event.
+    * @param _numOfResults The number of results of the Event.
+    * @param _centralizedOracle The address that will decide the result.
+    * @param _times The unix times as [bettingStartTime, bettingEndTime, resultSettingStartTime, resultSettingEndTime].
+    * @return The address of the CentralizedOracle.
+    */
+    function createCentralizedOracle(
+        IAddressManager _addressManager,
+        uint16 _version,
+        uint8 _numOfResults,
+        address _centralizedOracle,
+        uint256[4] _times)
+        public
+        returns (address)
+    {
+        address oracleFactory = _addressManager.oracleFactoryVersionToAddress(_version);
+        return IOracleFactory(oracleFactory).createCentralizedOracle(address(this), _numOfResults,
+            _centralizedOracle, _times[0], _times[1], _times[2], _times[3], _addressManager.startingOracleThreshold());
+    }
+
+    /*
+    * @dev Creates a DecentralizedOracle of the calling Event that arbitrates the last result.
+    * @param _addressManager The AddressManager of the Event.
+    * @param _version The version of the Event.
+    * @param _numOfResults The number of results of the Event.
+    * @param _lastResultIndex The last result set by an Oracle.
+    * @param _consensusThreshold The consensus threshold of the Oracle that set the last result.
+    * @param _raiseThreshold Flag to raise the threshold by the consensusThresholdIncrement, ie. for all the
+    *   DecentralizedOracles after the first one.
+    * @return The address of the DecentralizedOracle.
+    */
+    function createDecentralizedOracle(
+        IAddressManager _addressManager,
+        uint16 _version,
+        uint8 _numOfResults,
+        uint8 _lastResultIndex,
+        uint256 _consensusThreshold,
+        bool _raiseThreshold)
+        public
+        returns (address)
+    {
+        uint256 threshold = _consensusThreshold;
+        if (_raiseThreshold) {
+            threshold = threshold.add(_addressManager.consensusThresholdIncrement());
+        }
+
+        address oracleFactory = _addressManager.oracleFactoryVersionToAddress(_version);
+        return IOracleFactory(oracleFactory).createDecentralizedOracle(address(this), _numOfResults,
+            _lastResultIndex, block.timestamp.add(_addressManager.arbitrationLength()), threshold);
+    }
+
+    /*
+    * @dev Forfeits the escrow of the calling Event. Depending on the AddressManager it goes to the treasury or stays
+    *   in the Event to be split between the voters of the Invalid result.
+    * @param _addressManager The AddressManager of the Event.
+    * @return The escrow amount that stays in the Event, or 0 if it went to the treasury.
+    */
+    function forfeitEscrow(IAddressManager _addressManager)
+        public
+        returns (uint256)
+    {
+        address treasury = _addressManager.treasuryAddress();
+        if (_addressManager.forfeitEscrowToTreasury() && treasury != address(0)) {
+            _addressManager.forfeitEscrow(treasury);
+            return 0;
+        }
+        return _addressManager.forfeitEscrow(address(this));
+    }
+
+    /*
+    * @dev Reads the deadlines and consensus threshold of an Oracle.
+    * @param _oracle The address of the Oracle.
+    * @param _isCentralized Flag indicating if the Oracle is a CentralizedOracle.
+    * @return The deadlines and the consensus threshold of the Oracle.
+    */
+    function getOracleDeadlines(address _oracle, bool _isCentralized)
+        public
+        view
+        returns (uint256[4], uint256)
+    {
+        uint256[4] memory deadlines;
+        if (_isCentralized) {
+            ICentralizedOracle centralizedOracle = ICentralizedOracle(_oracle);
+            deadlines[0] = centralizedOracle.bettingStartTime();
+            deadlines[1] = centralizedOracle.bettingEndTime();
+            deadlines[2] = centralizedOracle.resultSettingStartTime();
+            deadlines[3] = centralizedOracle.resultSettingEndTime();
+            return (deadlines, centralizedOracle.consensusThreshold());
+        }
+
+        IDecentralizedOracle decentralizedOracle = IDecentralizedOracle(_oracle);
+        deadlines[0] = decentralizedOracle.arbitrationEndTime();
+        return (deadlines, decentralizedOracle.consensusThreshold());
+    }
+}
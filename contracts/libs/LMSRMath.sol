@@ -0,0 +1,125 @@
+pragma solidity ^0.4.18;
+
+/// @title Fixed point math for the logarithmic market scoring rule. Fixed point values are scaled by ONE.
+library LMSRMath {
+    uint256 internal constant ONE = 10**18;
+    uint256 private constant LN_2 = 693147180559945309;
+    uint256 private constant E_INVERSE = 367879441171442321;
+
+    /*
+    * @dev Calculates the LMSR cost function b * ln(sum(e^(q_i / b))) for the outstanding shares.
+    * @param _shares The outstanding shares of each outcome.
+    * @param _numOfOutcomes The number of outcomes used in _shares.
+    * @param _liquidity The liquidity parameter b.
+    * @return The cost in the same unit as the shares.
+    */
+    function cost(uint256[11] _shares, uint8 _numOfOutcomes, uint256 _liquidity) internal pure returns (uint256) {
+        uint256 maxShares = getMax(_shares, _numOfOutcomes);
+        uint256 sum = sumExp(_shares, _numOfOutcomes, _liquidity, maxShares);
+        return maxShares + _liquidity * ln(sum) / ONE;
+    }
+
+    /*
+    * @dev Calculates the instantaneous price of each outcome. The prices add up to ONE.
+    * @param _shares The outstanding shares of each outcome.
+    * @param _numOfOutcomes The number of outcomes used in _shares.
+    * @param _liquidity The liquidity parameter b.
+    * @return The price of each outcome scaled by ONE.
+    */
+    function prices(uint256[11] _shares, uint8 _numOfOutcomes, uint256 _liquidity)
+        internal
+        pure
+        returns (uint256[11])
+    {
+        uint256 maxShares = getMax(_shares, _numOfOutcomes);
+        uint256 sum = sumExp(_shares, _numOfOutcomes, _liquidity, maxShares);
+
+        uint256[11] memory outcomePrices;
+        for (uint8 i = 0; i < _numOfOutcomes; i++) {
+            outcomePrices[i] = expNeg((maxShares - _shares[i]) * ONE / _liquidity) * ONE / sum;
+        }
+        return outcomePrices;
+    }
+
+    /*
+    * @dev Calculates e^(-x) for a fixed point x >= 0.
+    * @param _x The fixed point exponent.
+    * @return The fixed point result.
+    */
+    function expNeg(uint256 _x) internal pure returns (uint256) {
+        uint256 whole = _x / ONE;
+        // e^(-42) is below the fixed point precision
+        if (whole >= 42) {
+            return 0;
+        }
+
+        uint256 result = ONE;
+        for (uint256 i = 0; i < whole; i++) {
+            result = result * E_INVERSE / ONE;
+        }
+
+        // Taylor series of e^(-f) for the fraction f < 1 alternates with decreasing terms so it never underflows
+        uint256 fraction = _x % ONE;
+        uint256 term = ONE;
+        uint256 sum = ONE;
+        for (uint256 k = 1; term != 0; k++) {
+            term = term * fraction / ONE / k;
+            if (k % 2 == 1) {
+                sum -= term;
+            } else {
+                sum += term;
+            }
+        }
+
+        return result * sum / ONE;
+    }
+
+    /*
+    * @dev Calculates the natural logarithm of a fixed point x >= ONE.
+    * @param _x The fixed point value.
+    * @return The fixed point result.
+    */
+    function ln(uint256 _x) internal pure returns (uint256) {
+        require(_x >= ONE);
+
+        uint256 result = 0;
+        while (_x >= 2 * ONE) {
+            _x /= 2;
+            result += LN_2;
+        }
+
+        // ln(x) = 2 * atanh(z) where z = (x - 1) / (x + 1) <= 1/3
+        uint256 z = (_x - ONE) * ONE / (_x + ONE);
+        uint256 zSquared = z * z / ONE;
+        uint256 term = z;
+        uint256 sum = 0;
+        for (uint256 k = 1; term != 0; k += 2) {
+            sum += term / k;
+            term = term * zSquared / ONE;
+        }
+
+        return result + 2 * sum;
+    }
+
+    function getMax(uint256[11] _values, uint8 _length) private pure returns (uint256) {
+        uint256 max = 0;
+        for (uint8 i = 0; i < _length; i++) {
+            if (_values[i] > max) {
+                max = _values[i];
+            }
+        }
+        return max;
+    }
+
+    function sumExp(uint256[11] _shares, uint8 _numOfOutcomes, uint256 _liquidity, uint256 _maxShares)
+        private
+        pure
+        returns (uint256)
+    {
+        uint256 sum = 0;
+        for (uint8 i = 0; i < _numOfOutcomes; i++) {
+            sum += expNeg((_maxShares - _shares[i]) * ONE / _liquidity);
+        }
+        return sum;
+    }
+}
@@ -0,0 +1,25 @@
+pragma solidity ^0.4.18;
+
+import "../libs/LMSRMath.sol";
+
+contract LMSRMathMock {
+    function cost(uint256[11] _shares, uint8 _numOfOutcomes, uint256 _liquidity) public pure returns (uint256) {
+        return LMSRMath.cost(_shares, _numOfOutcomes, _liquidity);
+    }
+
+    function prices(uint256[11] _shares, uint8 _numOfOutcomes, uint256 _liquidity)
+        public
+        pure
+        returns (uint256[11])
+    {
+        return LMSRMath.prices(_shares, _numOfOutcomes, _liquidity);
+    }
+
+    function expNeg(uint256 _x) public pure returns (uint256) {
+        return LMSRMath.expNeg(_x);
+    }
+
+    function ln(uint256 _x) public pure returns (uint256) {
+        return LMSRMath.ln(_x);
+    }
+}
@@ -0,0 +1,7 @@
+pragma solidity ^0.4.18;
+
+contract RejectingReceiverMock {
+    function() external payable {
+        revert();
+    }
+}
@@ -1,14 +1,20 @@
 pragma solidity ^0.4.18;
 
 import "./Oracle.sol";
+import "./ICentralizedOracle.sol";
+import "../events/ITopicEvent.sol";
 
-contract CentralizedOracle is Oracle {
+contract CentralizedOracle is ICentralizedOracle, Oracle {
+    bool public cancelled;
     address public oracle;
     uint256 public bettingStartTime;
     uint256 public bettingEndTime;
     uint256 public resultSettingStartTime;
     uint256 public resultSettingEndTime;
 
+    // Events
+    event OracleCancelled(uint16 indexed _version, address indexed _oracleAddress);
+
     /*
     * @notice Creates new CentralizedOracle contract.
     * @param _version The contract version.
@@ -69,16 +75,76 @@ contract CentralizedOracle is Oracle {
         payable
         validResultIndex(_resultIndex)
         isNotFinished()
+    {
+        recordBet(_resultIndex, msg.value);
+
+        ITopicEvent(eventAddress).betFromOracle.value(msg.value)(msg.sender, _resultIndex);
+        OracleResultVoted(version, address(this), msg.sender, _resultIndex, msg.value);
+    }
+
+    /*
+    * @notice Allows betting on a result using the blockchain token for a better that was referred. The referrer of 
+    *   the better's first referred bet earns a share of the creator fee generated by the better's bets when the Event 
+    *   settles.
+    * @param _resultIndex The index of result to bet on.
+    * @param _referrer The address that referred the better.
+    */
+    function betWithReferrer(uint8 _resultIndex, address _referrer) 
+        external 
+        payable
+        validResultIndex(_resultIndex)
+        validAddress(_referrer)
+        isNotFinished()
+    {
+        recordBet(_resultIndex, msg.value);
+
+        ITopicEvent(eventAddress).betWithReferrerFromOracle.value(msg.value)(msg.sender, _resultIndex, _referrer);
+        OracleResultVoted(version, address(this), msg.sender, _resultIndex, msg.value);
+    }
+
+    /*
+    * @notice Allows betting on a result using the betting token of the Event. Requires the better to approve() the 
+    *   amount to the Event address.
+    * @param _resultIndex The index of result to bet on.
+    * @param _amount The amount of the betting token to bet.
+    */
+    function betToken(uint8 _resultIndex, uint256 _amount) 
+        external 
+        validResultIndex(_resultIndex)
+        isNotFinished()
+    {
+        recordBet(_resultIndex, _amount);
+
+        require(ITopicEvent(eventAddress).betTokenFromOracle(msg.sender, _resultIndex, _amount));
+        OracleResultVoted(version, address(this), msg.sender, _resultIndex, _amount);
+    }
+
+    /*
+    * @notice Allows a better to withdraw a bet before the betting end time. The bet is refunded in the betting 
+    *   currency minus the early exit penalty of the Event, which stays in the pool. The Event burns the Outcome 
+    *   Tokens of the bet, so anyone holding them can withdraw, including someone who bought them from the better. 
+    *   Penalties are not refunded if the Event is voided.
+    * @param _resultIndex The index of result the bet was placed on.
+    * @param _amount The amount of the bet to withdraw.
+    */
+    function withdrawBet(uint8 _resultIndex, uint256 _amount)
+        external
+        validResultIndex(_resultIndex)
+        isNotFinished()
     {
         require(block.timestamp >= bettingStartTime);
         require(block.timestamp < bettingEndTime);
-        require(msg.value > 0);
+        require(_amount > 0);
 
-        balances[_resultIndex].totalBets = balances[_resultIndex].totalBets.add(msg.value);
-        balances[_resultIndex].bets[msg.sender] = balances[_resultIndex].bets[msg.sender].add(msg.value);
+        // Only the bets the sender placed through this Oracle are recorded here, which may be less than the tokens held
+        uint256 recordedAmount = balances[_resultIndex].bets[msg.sender];
+        if (_amount < recordedAmount) {
+            recordedAmount = _amount;
+        }
+        balances[_resultIndex].totalBets = balances[_resultIndex].totalBets.sub(recordedAmount);
+        balances[_resultIndex].bets[msg.sender] = balances[_resultIndex].bets[msg.sender].sub(recordedAmount);
 
-        ITopicEvent(eventAddress).betFromOracle.value(msg.value)(msg.sender, _resultIndex);
-        OracleResultVoted(version, address(this), msg.sender, _resultIndex, msg.value);
+        require(ITopicEvent(eventAddress).withdrawBetFromOracle(msg.sender, _resultIndex, _amount));
     }
 
     /* 
@@ -103,7 +169,39 @@ contract CentralizedOracle is Oracle {
         balances[_resultIndex].votes[msg.sender] = balances[_resultIndex].votes[msg.sender]
             .add(consensusThreshold);
 
-        ITopicEvent(eventAddress).centralizedOracleSetResult(msg.sender, _resultIndex, consensusThreshold);
+        IEvent(eventAddress).centralizedOracleSetResult(msg.sender, _resultIndex, consensusThreshold);
         OracleResultSet(version, address(this), _resultIndex);
     }
+
+    /*
+    * @dev TopicEvent calls this when it is cancelled or expires. Finishes the Oracle so no more bets or results are 
+    *   accepted.
+    */
+    function cancel()
+        external
+        isNotFinished()
+    {
+        require(msg.sender == eventAddress);
+
+        finished = true;
+        cancelled = true;
+
+        OracleCancelled(version, address(this));
+    }
+
+    /*
+    * @dev Records a bet of the sender during the betting period.
+    * @param _resultIndex The index of result to bet on.
+    * @param _amount The amount bet.
+    */
+    function recordBet(uint8 _resultIndex, uint256 _amount)
+        private
+    {
+        require(block.timestamp >= bettingStartTime);
+        require(block.timestamp < bettingEndTime);
+        require(_amount > 0);
+
+        balances[_resultIndex].totalBets = balances[_resultIndex].totalBets.add(_amount);
+        balances[_resultIndex].bets[msg.sender] = balances[_resultIndex].bets[msg.sender].add(_amount);
+    }
 }
@@ -1,8 +1,9 @@
 pragma solidity ^0.4.18;
 
 import "./Oracle.sol";
+import "./IDecentralizedOracle.sol";
 
-contract DecentralizedOracle is Oracle {
+contract DecentralizedOracle is IDecentralizedOracle, Oracle {
     uint8 public lastResultIndex;
     uint256 public arbitrationEndTime;
 
@@ -58,7 +59,7 @@ contract DecentralizedOracle is Oracle {
         balances[_eventResultIndex].votes[msg.sender] = balances[_eventResultIndex].votes[msg.sender]
             .add(_botAmount);
 
-        ITopicEvent(eventAddress).voteFromOracle(_eventResultIndex, msg.sender, _botAmount);
+        IEvent(eventAddress).voteFromOracle(_eventResultIndex, msg.sender, _botAmount);
         OracleResultVoted(version, address(this), msg.sender, _eventResultIndex, _botAmount);
 
         if (balances[_eventResultIndex].totalVotes >= consensusThreshold) {
@@ -81,7 +82,7 @@ contract DecentralizedOracle is Oracle {
         finished = true;
         resultIndex = lastResultIndex;
 
-        ITopicEvent(eventAddress).decentralizedOracleFinalizeResult();
+        IEvent(eventAddress).decentralizedOracleFinalizeResult();
     }
 
     /*
@@ -101,7 +102,7 @@ contract DecentralizedOracle is Oracle {
             }
         }
 
-        ITopicEvent(eventAddress).decentralizedOracleSetResult(resultIndex, winningVoteBalance);
+        IEvent(eventAddress).decentralizedOracleSetResult(resultIndex, winningVoteBalance);
         OracleResultSet(version, address(this), resultIndex);
     }
 }
@@ -0,0 +1,13 @@
+pragma solidity ^0.4.18;
+
+contract ICentralizedOracle {
+    address public oracle;
+    uint8 public resultIndex;
+    uint256 public consensusThreshold;
+    uint256 public bettingStartTime;
+    uint256 public bettingEndTime;
+    uint256 public resultSettingStartTime;
+    uint256 public resultSettingEndTime;
+
+    function cancel() external;
+}
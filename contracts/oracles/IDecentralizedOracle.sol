@@ -0,0 +1,7 @@
+pragma solidity ^0.4.18;
+
+contract IDecentralizedOracle {
+    uint8 public resultIndex;
+    uint256 public consensusThreshold;
+    uint256 public arbitrationEndTime;
+}
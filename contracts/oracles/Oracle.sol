@@ -1,7 +1,7 @@
 pragma solidity ^0.4.18;
 
 import "../BaseContract.sol";
-import "../events/ITopicEvent.sol";
+import "../events/IEvent.sol";
 import "../libs/Ownable.sol";
 import "../libs/SafeMath.sol";
 
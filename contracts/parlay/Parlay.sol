@@ -0,0 +1,303 @@
+pragma solidity ^0.4.18;
+
+import "../events/TopicEvent.sol";
+import "../libs/Ownable.sol";
+import "../libs/SafeMath.sol";
+
+/*
+* @title Parlay accepts QTUM accumulator bets on several TopicEvents that only pay if every leg wins. The payout
+*   multiplier of each leg is locked from the TopicEvent's getProjectedPayout when the parlay is placed, capped by the
+*   owner as the pools of the TopicEvents can be moved by betting, and the payouts are covered by a pool funded by the
+*   owner. A leg on a TopicEvent that finalizes on Invalid, is cancelled or, for a ConditionalTopicEvent, is voided by
+*   its parent is void and counts as 1x, so a parlay with all legs void refunds the stake.
+*/
+contract Parlay is Ownable {
+    using SafeMath for uint256;
+
+    struct Leg {
+        address topicAddress;
+        uint8 resultIndex;
+        uint256 multiplier;
+    }
+
+    struct Ticket {
+        address better;
+        uint256 stake;
+        uint256 maxPayout;
+        bool isSettled;
+    }
+
+    // Fixed point base of the payout multipliers, ie. 1x
+    uint256 public constant MULTIPLIER_BASE = 10**8;
+    uint8 public constant MIN_LEGS = 2;
+    uint8 public constant MAX_LEGS = 10;
+
+    uint256 public maxLegMultiplier = 10 * MULTIPLIER_BASE; // Highest multiplier that can be locked for a leg
+    uint256 public totalLiability; // Sum of the max payouts of the unsettled parlays
+    Ticket[] public tickets;
+    mapping(uint256 => Leg[]) private legs;
+    mapping(address => bool) public allowedTopics; // TopicEvents the owner offers parlays on
+
+    // Events
+    event TopicAllowed(address indexed _topicAddress, bool _isAllowed);
+    event MaxLegMultiplierChanged(uint256 _maxLegMultiplier);
+    event PoolFunded(address indexed _funder, uint256 _amount);
+    event PoolWithdrawn(address indexed _owner, uint256 _amount);
+    event ParlayPlaced(uint256 indexed _ticketId, address indexed _better, uint256 _stake, uint256 _maxPayout);
+    event ParlaySettled(uint256 indexed _ticketId, address indexed _better, uint256 _payout);
+
+    /*
+    * @notice Creates new Parlay contract. The QTUM sent funds the pool.
+    * @param _owner The address of the owner that funds the pool and chooses the TopicEvents.
+    */
+    function Parlay(address _owner)
+        Ownable(_owner)
+        public
+        payable
+    {
+        if (msg.value > 0) {
+            PoolFunded(msg.sender, msg.value);
+        }
+    }
+
+    /// @notice Fallback function that rejects any amount sent to the contract.
+    function() external payable {
+        revert();
+    }
+
+    /*
+    * @notice Allows the owner to offer or stop offering parlays on a TopicEvent. Parlays already placed on it are not
+    *   affected.
+    * @param _topicAddress The address of the TopicEvent.
+    * @param _isAllowed Flag indicating if the TopicEvent can be used as a leg.
+    */
+    function setTopicAllowed(address _topicAddress, bool _isAllowed)
+        external
+        onlyOwner()
+        validAddress(_topicAddress)
+    {
+        allowedTopics[_topicAddress] = _isAllowed;
+
+        TopicAllowed(_topicAddress, _isAllowed);
+    }
+
+    /*
+    * @notice Allows the owner to change the highest multiplier that can be locked for a leg. Parlays already placed
+    *   keep their multipliers.
+    * @param _maxLegMultiplier The highest multiplier with MULTIPLIER_BASE being 1x.
+    */
+    function setMaxLegMultiplier(uint256 _maxLegMultiplier)
+        external
+        onlyOwner()
+    {
+        require(_maxLegMultiplier >= MULTIPLIER_BASE);
+
+        maxLegMultiplier = _maxLegMultiplier;
+
+        MaxLegMultiplierChanged(_maxLegMultiplier);
+    }
+
+    /// @notice Allows the owner to add QTUM to the pool.
+    function fundPool()
+        external
+        payable
+        onlyOwner()
+    {
+        require(msg.value > 0);
+
+        PoolFunded(msg.sender, msg.value);
+    }
+
+    /*
+    * @notice Allows the owner to withdraw QTUM from the pool that is not needed to cover the unsettled parlays.
+    * @param _amount The amount of QTUM to withdraw.
+    */
+    function withdrawPool(uint256 _amount)
+        external
+        onlyOwner()
+    {
+        require(_amount > 0);
+        require(_amount <= getAvailablePool());
+
+        owner.transfer(_amount);
+
+        PoolWithdrawn(owner, _amount);
+    }
+
+    /*
+    * @notice Places a parlay with the QTUM sent as the stake. Each leg has to be on a different allowed TopicEvent that
+    *   is still in its betting period. The max payout has to be covered by the pool.
+    * @param _topicAddresses The addresses of the TopicEvents of the legs.
+    * @param _resultIndexes The result index to win for each leg.
+    * @return The id of the parlay.
+    */
+    function placeParlay(address[] _topicAddresses, uint8[] _resultIndexes)
+        external
+        payable
+        returns (uint256)
+    {
+        require(msg.value > 0);
+        require(_topicAddresses.length == _resultIndexes.length);
+        require(_topicAddresses.length >= MIN_LEGS && _topicAddresses.length <= MAX_LEGS);
+
+        uint256 ticketId = tickets.length;
+        uint256 maxPayout = msg.value;
+        for (uint8 i = 0; i < _topicAddresses.length; i++) {
+            for (uint8 j = 0; j < i; j++) {
+                require(_topicAddresses[j] != _topicAddresses[i]);
+            }
+
+            uint256 multiplier = getLegMultiplier(_topicAddresses[i], _resultIndexes[i], msg.value);
+            legs[ticketId].push(Leg({
+                topicAddress: _topicAddresses[i],
+                resultIndex: _resultIndexes[i],
+                multiplier: multiplier
+                }));
+            maxPayout = maxPayout.mul(multiplier).div(MULTIPLIER_BASE);
+        }
+
+        totalLiability = totalLiability.add(maxPayout);
+        require(totalLiability <= this.balance);
+
+        tickets.push(Ticket({
+            better: msg.sender,
+            stake: msg.value,
+            maxPayout: maxPayout,
+            isSettled: false
+            }));
+
+        ParlayPlaced(ticketId, msg.sender, msg.value, maxPayout);
+        return ticketId;
+    }
+
+    /*
+    * @notice Allows anyone to settle a parlay once all its TopicEvents are final or cancelled. The payout is sent to
+    *   the better.
+    * @param _ticketId The id of the parlay.
+    */
+    function settleParlay(uint256 _ticketId)
+        external
+    {
+        require(_ticketId < tickets.length);
+        Ticket storage ticket = tickets[_ticketId];
+        require(!ticket.isSettled);
+
+        uint256 payout = calculatePayout(_ticketId);
+        ticket.isSettled = true;
+        totalLiability = totalLiability.sub(ticket.maxPayout);
+
+        if (payout > 0) {
+            ticket.better.transfer(payout);
+        }
+
+        ParlaySettled(_ticketId, ticket.better, payout);
+    }
+
+    /*
+    * @notice Gets the number of parlays placed.
+    * @return The number of parlays.
+    */
+    function getTicketCount()
+        public
+        view
+        returns (uint256)
+    {
+        return tickets.length;
+    }
+
+    /*
+    * @notice Gets the legs of a parlay.
+    * @param _ticketId The id of the parlay.
+    * @return The TopicEvent addresses, result indexes and locked multipliers of the legs.
+    */
+    function getLegs(uint256 _ticketId)
+        public
+        view
+        returns (address[], uint8[], uint256[])
+    {
+        Leg[] storage ticketLegs = legs[_ticketId];
+        address[] memory topicAddresses = new address[](ticketLegs.length);
+        uint8[] memory resultIndexes = new uint8[](ticketLegs.length);
+        uint256[] memory multipliers = new uint256[](ticketLegs.length);
+        for (uint8 i = 0; i < ticketLegs.length; i++) {
+            topicAddresses[i] = ticketLegs[i].topicAddress;
+            resultIndexes[i] = ticketLegs[i].resultIndex;
+            multipliers[i] = ticketLegs[i].multiplier;
+        }
+        return (topicAddresses, resultIndexes, multipliers);
+    }
+
+    /*
+    * @notice Gets the QTUM in the pool that is not needed to cover the unsettled parlays.
+    * @return The amount of QTUM the owner can withdraw.
+    */
+    function getAvailablePool()
+        public
+        view
+        returns (uint256)
+    {
+        return this.balance.sub(totalLiability);
+    }
+
+    /*
+    * @notice Calculates the payout of a parlay. Void legs count as 1x and any lost leg loses the whole parlay. Throws
+    *   if a TopicEvent of the parlay is not final yet, which for a ConditionalTopicEvent includes its parent.
+    * @param _ticketId The id of the parlay.
+    * @return The QTUM payout, including the stake.
+    */
+    function calculatePayout(uint256 _ticketId)
+        public
+        view
+        returns (uint256)
+    {
+        require(_ticketId < tickets.length);
+
+        Leg[] storage ticketLegs = legs[_ticketId];
+        uint256 payout = tickets[_ticketId].stake;
+        for (uint8 i = 0; i < ticketLegs.length; i++) {
+            TopicEvent topic = TopicEvent(ticketLegs[i].topicAddress);
+            if (topic.status() == BaseEvent.Status.Cancelled) {
+                continue;
+            }
+
+            uint8 finalResultIndex;
+            bool isFinalized;
+            (finalResultIndex, isFinalized) = topic.getFinalResult();
+            require(isFinalized);
+
+            if (finalResultIndex == topic.VOID_RESULT_INDEX()) {
+                continue;
+            }
+            if (finalResultIndex != ticketLegs[i].resultIndex) {
+                return 0;
+            }
+            payout = payout.mul(ticketLegs[i].multiplier).div(MULTIPLIER_BASE);
+        }
+        return payout;
+    }
+
+    /*
+    * @dev Gets the payout multiplier of a leg from the projected payout of the stake on the TopicEvent, capped by
+    *   maxLegMultiplier.
+    * @param _topicAddress The address of the TopicEvent.
+    * @param _resultIndex The result index to win.
+    * @param _stake The stake of the parlay.
+    * @return The payout multiplier with MULTIPLIER_BASE being 1x.
+    */
+    function getLegMultiplier(address _topicAddress, uint8 _resultIndex, uint256 _stake)
+        private
+        view
+        returns (uint256)
+    {
+        require(allowedTopics[_topicAddress]);
+
+        TopicEvent topic = TopicEvent(_topicAddress);
+        require(topic.status() == BaseEvent.Status.Betting);
+        require(block.timestamp < topic.bettingEndTime());
+        require(_resultIndex != topic.VOID_RESULT_INDEX());
+
+        uint256[11] memory multipliers;
+        (, multipliers) = topic.getProjectedPayout(_resultIndex, _stake);
+        return multipliers[_resultIndex] < maxLegMultiplier ? multipliers[_resultIndex] : maxLegMultiplier;
+    }
+}
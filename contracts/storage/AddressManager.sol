@@ -2,9 +2,19 @@ pragma solidity ^0.4.18;
 
 import "./IAddressManager.sol";
 import "../libs/Ownable.sol";
+import "../libs/SafeMath.sol";
 import "../tokens/ERC20.sol";
 
 contract AddressManager is IAddressManager, Ownable {
+    using SafeMath for uint256;
+
+    struct Escrow {
+        address depositer;
+        uint256 deposited;
+        uint256 withdrawn;
+        uint256 forfeited;
+    }
+
     uint256 public constant botDecimals = 8; // Number of decimals for BOT
 
     uint16 public currentEventFactoryIndex = 0; // Version of the next upgraded EventFactory contract
@@ -13,16 +23,38 @@ contract AddressManager is IAddressManager, Ownable {
     uint256 public arbitrationLength = 86400; // Number of seconds for arbitration period
     uint256 public startingOracleThreshold = 100 * (10**botDecimals); // Consensus threshold for CentralizedOracles
     uint256 public consensusThresholdIncrement = 10 * (10**botDecimals); // Amount to increment from previous threshold
+    uint256 public claimPeriodLength = 2592000; // Number of seconds winners have to withdraw after the final result
+    uint8 public maxCreatorFeePercentage = 5; // Max percentage of the losing QTUM an Event creator can take as a fee
+    uint8 public qtumRewardPercentage = 1; // Percentage of the losing QTUM distributed to the winning BOT voters
+    uint8 public earlyExitPenaltyPercentage = 10; // Percentage of a bet withdrawn during betting that stays in the pool
+    uint8 public referralPercentage = 20; // Percentage of the creator fee generated by referred bets paid to referrers
+    uint256 public totalEscrowHeld; // Amount of escrow currently held for all Events
+    bool public forfeitEscrowToTreasury; // Forfeited escrow goes to the treasury instead of the Event's voters
+    mapping(address => Escrow) public escrows; // Escrow state keyed by the Event address
+    mapping(address => bool) public bettingTokens; // ERC20 tokens that can be chosen as the betting currency
+    address public scalarEventFactoryAddress; // ScalarEventFactory that creates Events resolving to a number
+    address public lmsrEventFactoryAddress; // LMSREventFactory that creates Events priced by a market maker
+    address public fixedOddsEventFactoryAddress; // FixedOddsEventFactory that creates Events with bookmaker odds
+    address public conditionalEventFactoryAddress; // ConditionalEventFactory that creates topics depending on others
+    address public outcomeTokenFactoryAddress; // OutcomeTokenFactory that creates the Outcome Tokens of TopicEvents
     mapping(address => uint16) public eventFactoryAddressToVersion;
     mapping(address => uint16) public oracleFactoryAddressToVersion;
-    mapping(address => bool) private whitelistedContracts;
+    mapping(address => bool) public whitelistedContracts; // Factories, Events and tokens allowed to manage escrow
 
     // Events
     event BodhiTokenAddressChanged(address indexed _newAddress);
+    event TreasuryAddressChanged(address indexed _newAddress);
+    event BettingTokenChanged(address indexed _tokenAddress, bool _isAllowed);
     event EventFactoryAddressAdded(uint16 _index, address indexed _contractAddress);
     event OracleFactoryAddressAdded(uint16 _index, address indexed _contractAddress);
-    event EscrowDeposited(address indexed _depositer, uint256 escrowAmount);
+    event ScalarEventFactoryAddressChanged(address indexed _newAddress);
+    event LMSREventFactoryAddressChanged(address indexed _newAddress);
+    event FixedOddsEventFactoryAddressChanged(address indexed _newAddress);
+    event ConditionalEventFactoryAddressChanged(address indexed _newAddress);
+    event OutcomeTokenFactoryAddressChanged(address indexed _newAddress);
+    event EscrowDeposited(address indexed _eventAddress, address indexed _depositer, uint256 escrowAmount);
     event EscrowWithdrawn(address indexed _eventAddress, address indexed _depositer, uint256 escrowAmount);
+    event EscrowForfeited(address indexed _eventAddress, address indexed _recipient, uint256 escrowAmount);
     event ContractWhitelisted(address indexed _contractAddress);
 
     // Modifiers
@@ -37,30 +69,76 @@ contract AddressManager is IAddressManager, Ownable {
     /*
     * @notice Transfer the escrow amount needed to create an Event.
     * @param _creator The address of the creator.
+    * @param _eventAddress The address of the Event the escrow is deposited for.
     */
-    function transferEscrow(address _creator)
+    function transferEscrow(address _creator, address _eventAddress)
         external
         isWhitelisted(msg.sender)
+        validAddress(_eventAddress)
     {
+        require(escrows[_eventAddress].deposited == 0);
+
         ERC20 token = ERC20(bodhiTokenAddress);
         require(token.allowance(_creator, address(this)) >= eventEscrowAmount);
 
+        escrows[_eventAddress] = Escrow({
+            depositer: _creator,
+            deposited: eventEscrowAmount,
+            withdrawn: 0,
+            forfeited: 0
+            });
+        totalEscrowHeld = totalEscrowHeld.add(eventEscrowAmount);
+
         token.transferFrom(_creator, address(this), eventEscrowAmount);
 
-        EscrowDeposited(_creator, eventEscrowAmount);
+        EscrowDeposited(_eventAddress, _creator, eventEscrowAmount);
     }
 
     /*
-    * @notice Withdraws the escrow for an Event.
+    * @notice Withdraws the escrow for an Event. Can only be called once by the Event the escrow was deposited for.
     * @param _creator The address of the creator.
     */
-    function withdrawEscrow(address _creator, uint256 _escrowAmount)
+    function withdrawEscrow(address _creator)
+        external
+        isWhitelisted(msg.sender)
+    {
+        Escrow storage escrow = escrows[msg.sender];
+        require(escrow.deposited > 0);
+        require(escrow.withdrawn == 0 && escrow.forfeited == 0);
+
+        escrow.withdrawn = escrow.deposited;
+        totalEscrowHeld = totalEscrowHeld.sub(escrow.deposited);
+
+        ERC20(bodhiTokenAddress).transfer(_creator, escrow.deposited);
+
+        EscrowWithdrawn(msg.sender, _creator, escrow.deposited);
+    }
+
+    /*
+    * @notice Forfeits the escrow of the calling Event if it is still held, sending it to the recipient instead of 
+    *   the creator.
+    * @param _recipient The address that receives the forfeited escrow.
+    * @return The amount of escrow forfeited.
+    */
+    function forfeitEscrow(address _recipient)
         external
         isWhitelisted(msg.sender)
+        validAddress(_recipient)
+        returns (uint256)
     {
-        ERC20(bodhiTokenAddress).transfer(_creator, _escrowAmount);
+        Escrow storage escrow = escrows[msg.sender];
+        if (escrow.deposited == 0 || escrow.withdrawn > 0 || escrow.forfeited > 0) {
+            return 0;
+        }
+
+        escrow.forfeited = escrow.deposited;
+        totalEscrowHeld = totalEscrowHeld.sub(escrow.deposited);
+
+        ERC20(bodhiTokenAddress).transfer(_recipient, escrow.deposited);
+
+        EscrowForfeited(msg.sender, _recipient, escrow.deposited);
 
-        EscrowWithdrawn(msg.sender, _creator, _escrowAmount);
+        return escrow.deposited;
     }
 
     /*
@@ -91,6 +169,52 @@ contract AddressManager is IAddressManager, Ownable {
         ContractWhitelisted(_tokenAddress);
     }
 
+    /// @dev Allows the owner to set the address of the treasury that receives unclaimed Event funds.
+    /// @param _treasuryAddress The address of the treasury.
+    function setTreasuryAddress(address _treasuryAddress) 
+        public 
+        onlyOwner()
+        validAddress(_treasuryAddress) 
+    {
+        treasuryAddress = _treasuryAddress;
+
+        TreasuryAddressChanged(treasuryAddress);
+    }
+
+    /// @dev Allows the owner to set the address of the OutcomeTokenFactory contract.
+    /// @param _contractAddress The address of the OutcomeTokenFactory contract.
+    function setOutcomeTokenFactoryAddress(address _contractAddress) 
+        public 
+        onlyOwner()
+        validAddress(_contractAddress) 
+    {
+        outcomeTokenFactoryAddress = _contractAddress;
+
+        OutcomeTokenFactoryAddressChanged(_contractAddress);
+    }
+
+    /// @dev Allows the owner to add or remove an ERC20 token that Events can use as their betting currency.
+    /// @param _tokenAddress The address of the ERC20 token.
+    /// @param _isAllowed True to allow betting with the token.
+    function setBettingToken(address _tokenAddress, bool _isAllowed) 
+        public 
+        onlyOwner()
+        validAddress(_tokenAddress) 
+    {
+        bettingTokens[_tokenAddress] = _isAllowed;
+
+        BettingTokenChanged(_tokenAddress, _isAllowed);
+    }
+
+    /// @dev Allows the owner to choose whether forfeited escrow goes to the treasury or to the Event's voters.
+    /// @param _toTreasury True to send forfeited escrow to the treasury.
+    function setForfeitEscrowToTreasury(bool _toTreasury) 
+        public 
+        onlyOwner()
+    {
+        forfeitEscrowToTreasury = _toTreasury;
+    }
+
     /// @dev Allows the owner to set the address of an EventFactory contract.
     /// @param _contractAddress The address of the EventFactory contract.
     function setEventFactoryAddress(address _contractAddress) 
@@ -137,6 +261,66 @@ contract AddressManager is IAddressManager, Ownable {
         ContractWhitelisted(_contractAddress);
     }
 
+    /// @dev Allows the owner to set the address of the ScalarEventFactory contract.
+    /// @param _contractAddress The address of the ScalarEventFactory contract.
+    function setScalarEventFactoryAddress(address _contractAddress) 
+        public 
+        onlyOwner()
+        validAddress(_contractAddress) 
+    {
+        scalarEventFactoryAddress = _contractAddress;
+
+        whitelistedContracts[_contractAddress] = true;
+
+        ScalarEventFactoryAddressChanged(_contractAddress);
+        ContractWhitelisted(_contractAddress);
+    }
+
+    /// @dev Allows the owner to set the address of the LMSREventFactory contract.
+    /// @param _contractAddress The address of the LMSREventFactory contract.
+    function setLMSREventFactoryAddress(address _contractAddress) 
+        public 
+        onlyOwner()
+        validAddress(_contractAddress) 
+    {
+        lmsrEventFactoryAddress = _contractAddress;
+
+        whitelistedContracts[_contractAddress] = true;
+
+        LMSREventFactoryAddressChanged(_contractAddress);
+        ContractWhitelisted(_contractAddress);
+    }
+
+    /// @dev Allows the owner to set the address of the FixedOddsEventFactory contract.
+    /// @param _contractAddress The address of the FixedOddsEventFactory contract.
+    function setFixedOddsEventFactoryAddress(address _contractAddress) 
+        public 
+        onlyOwner()
+        validAddress(_contractAddress) 
+    {
+        fixedOddsEventFactoryAddress = _contractAddress;
+
+        whitelistedContracts[_contractAddress] = true;
+
+        FixedOddsEventFactoryAddressChanged(_contractAddress);
+        ContractWhitelisted(_contractAddress);
+    }
+
+    /// @dev Allows the owner to set the address of the ConditionalEventFactory contract.
+    /// @param _contractAddress The address of the ConditionalEventFactory contract.
+    function setConditionalEventFactoryAddress(address _contractAddress) 
+        public 
+        onlyOwner()
+        validAddress(_contractAddress) 
+    {
+        conditionalEventFactoryAddress = _contractAddress;
+
+        whitelistedContracts[_contractAddress] = true;
+
+        ConditionalEventFactoryAddressChanged(_contractAddress);
+        ContractWhitelisted(_contractAddress);
+    }
+
     /// @dev Allows the owner to set the version of the next OracleFactory. In case AddressManager ever gets 
     ///   upgraded, we need to be able to continue where the last version was.
     /// @param _newIndex The index of where the next OracleFactory version should start.
@@ -182,6 +366,72 @@ contract AddressManager is IAddressManager, Ownable {
         consensusThresholdIncrement = _newIncrement;
     }
 
+    /*
+    * @dev Sets the claimPeriodLength that TopicEvents will use.
+    * @param _newLength The new length in seconds (unix time) of the period to withdraw winnings.
+    */
+    function setClaimPeriodLength(uint256 _newLength) 
+        public
+        onlyOwner()
+    {   
+        require(_newLength > 0);
+
+        claimPeriodLength = _newLength;
+    }
+
+    /*
+    * @dev Sets the maxCreatorFeePercentage that Event creators can choose their fee from.
+    * @param _newPercentage The new max percentage of the losing QTUM an Event creator can take.
+    */
+    function setMaxCreatorFeePercentage(uint8 _newPercentage) 
+        public
+        onlyOwner()
+    {   
+        require(uint16(_newPercentage) + qtumRewardPercentage < 100);
+
+        maxCreatorFeePercentage = _newPercentage;
+    }
+
+    /*
+    * @dev Sets the qtumRewardPercentage that new TopicEvents will use. Combined with the maxCreatorFeePercentage it 
+    *   has to stay below 100.
+    * @param _newPercentage The new percentage of the losing QTUM distributed to the winning BOT voters.
+    */
+    function setQtumRewardPercentage(uint8 _newPercentage) 
+        public
+        onlyOwner()
+    {   
+        require(uint16(_newPercentage) + maxCreatorFeePercentage < 100);
+
+        qtumRewardPercentage = _newPercentage;
+    }
+
+    /*
+    * @dev Sets the earlyExitPenaltyPercentage that new TopicEvents will use.
+    * @param _newPercentage The new percentage of a withdrawn bet that stays in the pool of the Event.
+    */
+    function setEarlyExitPenaltyPercentage(uint8 _newPercentage) 
+        public
+        onlyOwner()
+    {   
+        require(_newPercentage <= 100);
+
+        earlyExitPenaltyPercentage = _newPercentage;
+    }
+
+    /*
+    * @dev Sets the referralPercentage that new TopicEvents will use.
+    * @param _newPercentage The new percentage of the creator fee generated by referred bets paid to the referrers.
+    */
+    function setReferralPercentage(uint8 _newPercentage) 
+        public
+        onlyOwner()
+    {   
+        require(_newPercentage <= 100);
+
+        referralPercentage = _newPercentage;
+    }
+
     /// @notice Gets the latest index of a deployed EventFactory contract.
     /// @return The index of the latest deployed EventFactory contract.
     function getLastEventFactoryIndex() 
@@ -4,15 +4,26 @@ contract IAddressManager {
     uint16 public currentEventFactoryIndex;
     uint16 public currentOracleFactoryIndex;
     address public bodhiTokenAddress;
+    address public treasuryAddress;
+    address public outcomeTokenFactoryAddress;
     uint256 public eventEscrowAmount;
     uint256 public arbitrationLength;
     uint256 public startingOracleThreshold;
     uint256 public consensusThresholdIncrement;
+    uint256 public claimPeriodLength;
+    uint8 public maxCreatorFeePercentage;
+    uint8 public qtumRewardPercentage;
+    uint8 public earlyExitPenaltyPercentage;
+    uint8 public referralPercentage;
+    bool public forfeitEscrowToTreasury;
     mapping(uint16 => address) public eventFactoryVersionToAddress;
     mapping(uint16 => address) public oracleFactoryVersionToAddress;
+    mapping(address => bool) public bettingTokens;
+    mapping(address => bool) public whitelistedContracts;
 
-    function transferEscrow(address _creator) external;
-    function withdrawEscrow(address _creator, uint256 _escrowAmount) external;
+    function transferEscrow(address _creator, address _eventAddress) external;
+    function withdrawEscrow(address _creator) external;
+    function forfeitEscrow(address _recipient) external returns (uint256);
     function addWhitelistContract(address _contractAddress) external;
     function setBodhiTokenAddress(address _tokenAddress) public;
     function getLastEventFactoryIndex() public view returns (uint16 lastEventFactoryIndex);
@@ -0,0 +1,5 @@
+pragma solidity ^0.4.18;
+
+contract IOutcomeTokenFactory {
+    function createOutcomeToken(uint8 _resultIndex) external returns (address);
+}
@@ -0,0 +1,49 @@
+pragma solidity ^0.4.18;
+
+import './StandardToken.sol';
+
+/// @title Outcome Token is a transferable claim on the bets of one result of an Event.
+contract OutcomeToken is StandardToken {
+    address public eventAddress; // The Event that mints and redeems the tokens
+    uint8 public resultIndex; // The index of the result in the Event
+
+    // Events
+    event Mint(uint256 supply, address indexed to, uint256 amount);
+    event Burn(uint256 supply, address indexed from, uint256 amount);
+
+    // Modifiers
+    modifier fromEvent() {
+        require(msg.sender == eventAddress);
+        _;
+    }
+
+    /// @notice Creates new OutcomeToken contract.
+    /// @param _eventAddress The address of the Event.
+    /// @param _resultIndex The index of the result in the Event.
+    function OutcomeToken(address _eventAddress, uint8 _resultIndex) public {
+        require(_eventAddress != address(0));
+
+        eventAddress = _eventAddress;
+        resultIndex = _resultIndex;
+    }
+
+    /// @dev Mints tokens for a bet placed on the result.
+    /// @param _to Address to mint the tokens to
+    /// @param _amount Amount of tokens that will be minted
+    function mint(address _to, uint256 _amount) external fromEvent() {
+        totalSupply = totalSupply.add(_amount);
+        balances[_to] = balances[_to].add(_amount);
+
+        Mint(totalSupply, _to, _amount);
+    }
+
+    /// @dev Burns tokens that were redeemed for the winnings.
+    /// @param _from Address to burn the tokens from
+    /// @param _amount Amount of tokens that will be burned
+    function burn(address _from, uint256 _amount) external fromEvent() {
+        balances[_from] = balances[_from].sub(_amount);
+        totalSupply = totalSupply.sub(_amount);
+
+        Burn(totalSupply, _from, _amount);
+    }
+}
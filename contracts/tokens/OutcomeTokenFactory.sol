@@ -0,0 +1,23 @@
+pragma solidity ^0.4.18;
+
+import "./IOutcomeTokenFactory.sol";
+import "./OutcomeToken.sol";
+
+/// @title Outcome Token Factory creates the Outcome Tokens of the Events, so the Events don't carry their bytecode.
+contract OutcomeTokenFactory is IOutcomeTokenFactory {
+    // Events
+    event OutcomeTokenCreated(address indexed _tokenAddress, address indexed _eventAddress, uint8 _resultIndex);
+
+    /// @notice Creates an Outcome Token that can only be minted and burned by the calling Event.
+    /// @param _resultIndex The index of the result in the Event.
+    /// @return The address of the Outcome Token.
+    function createOutcomeToken(uint8 _resultIndex) 
+        external 
+        returns (address)
+    {
+        OutcomeToken token = new OutcomeToken(msg.sender, _resultIndex);
+
+        OutcomeTokenCreated(address(token), msg.sender, _resultIndex);
+        return address(token);
+    }
+}
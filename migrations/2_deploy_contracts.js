@@ -1,24 +1,49 @@
 const BodhiToken = artifacts.require("./tokens/BodhiToken.sol");
 const AddressManager = artifacts.require("./addressmanager/AddressManager.sol");
 const EventFactory = artifacts.require("./events/EventFactory.sol");
+const ScalarEventFactory = artifacts.require("./events/ScalarEventFactory.sol");
+const LMSREventFactory = artifacts.require("./events/LMSREventFactory.sol");
+const FixedOddsEventFactory = artifacts.require("./events/FixedOddsEventFactory.sol");
+const ConditionalEventFactory = artifacts.require("./events/ConditionalEventFactory.sol");
 const OracleFactory = artifacts.require("./oracles/OracleFactory.sol");
+const OutcomeTokenFactory = artifacts.require("./tokens/OutcomeTokenFactory.sol");
 const SafeMath = artifacts.require("./libs/SafeMath.sol");
 const ByteUtils = artifacts.require("./libs/ByteUtils.sol");
+const EventLib = artifacts.require("./libs/EventLib.sol");
 const TopicEvent = artifacts.require("./events/TopicEvent.sol");
+const ScalarEvent = artifacts.require("./events/ScalarEvent.sol");
+const LMSREvent = artifacts.require("./events/LMSREvent.sol");
+const FixedOddsEvent = artifacts.require("./events/FixedOddsEvent.sol");
+const ConditionalTopicEvent = artifacts.require("./events/ConditionalTopicEvent.sol");
 const DecentralizedOracle = artifacts.require("./oracles/DecentralizedOracle.sol");
 
 module.exports = function(deployer) {
     deployer.deploy(BodhiToken);
+    deployer.deploy(OutcomeTokenFactory);
 
     deployer.deploy(SafeMath);
-    deployer.link(SafeMath, [TopicEvent, DecentralizedOracle]);
+    deployer.link(SafeMath, [TopicEvent, ScalarEvent, LMSREvent, FixedOddsEvent, ConditionalTopicEvent,
+        DecentralizedOracle]);
 
     deployer.deploy(ByteUtils);
-    deployer.link(ByteUtils, [TopicEvent, DecentralizedOracle]);
+    deployer.link(ByteUtils, [TopicEvent, ScalarEvent, LMSREvent, FixedOddsEvent, ConditionalTopicEvent,
+        DecentralizedOracle]);
+
+    deployer.deploy(EventLib);
+    deployer.link(EventLib, [TopicEvent, ScalarEvent, LMSREvent, FixedOddsEvent, ConditionalTopicEvent, EventFactory,
+        ScalarEventFactory, LMSREventFactory, FixedOddsEventFactory, ConditionalEventFactory]);
     
     deployer.deploy(AddressManager).then(function() {
         return deployer.deploy(EventFactory, AddressManager.address).then(function() {
-            return deployer.deploy(OracleFactory, AddressManager.address);
+            return deployer.deploy(OracleFactory, AddressManager.address).then(function() {
+                return deployer.deploy(ScalarEventFactory, AddressManager.address).then(function() {
+                    return deployer.deploy(LMSREventFactory, AddressManager.address).then(function() {
+                        return deployer.deploy(FixedOddsEventFactory, AddressManager.address).then(function() {
+                            return deployer.deploy(ConditionalEventFactory, AddressManager.address);
+                        });
+                    });
+                });
+            });
         });
     });
 };
@@ -0,0 +1,274 @@
+const web3 = global.web3;
+const assert = require('chai').assert;
+
+const ConditionalEventFactory = artifacts.require('./events/ConditionalEventFactory.sol');
+const ConditionalTopicEvent = artifacts.require('./events/ConditionalTopicEvent.sol');
+const TopicEvent = artifacts.require('./events/TopicEvent.sol');
+const CentralizedOracle = artifacts.require('./oracles/CentralizedOracle.sol');
+const DecentralizedOracle = artifacts.require('./oracles/DecentralizedOracle.sol');
+const TimeMachine = require('../helpers/time_machine');
+const SolAssert = require('../helpers/sol_assert');
+const Utils = require('../helpers/utils');
+const ContractHelper = require('../helpers/contract_helper');
+
+function getParentParams(oracle) {
+  const currTime = Utils.getCurrentBlockTime();
+  return {
+    _oracle: oracle,
+    _name: ['Who will win the primary?'],
+    _resultNames: ['Alice', 'Bob'],
+    _bettingStartTime: currTime + 1000,
+    _bettingEndTime: currTime + 3000,
+    _resultSettingStartTime: currTime + 4000,
+    _resultSettingEndTime: currTime + 6000,
+    _creatorFeePercentage: 0,
+    _bettingToken: 0,
+  };
+}
+
+function getConditionalParams(oracle, parentEvent) {
+  const currTime = Utils.getCurrentBlockTime();
+  return {
+    _oracle: oracle,
+    _name: ['If Alice wins the primary, will', ' she win the election?'],
+    _resultNames: ['Yes', 'No'],
+    _times: [currTime + 1000, currTime + 3000, currTime + 4000, currTime + 7000],
+    _creatorFeePercentage: 0,
+    _bettingToken: 0,
+    _parentEvent: parentEvent,
+    _parentResultIndex: 1,
+  };
+}
+
+contract('ConditionalTopicEvent', (accounts) => {
+  const timeMachine = new TimeMachine(web3);
+
+  const BOT_DECIMALS = 8;
+  const STATUS_BETTING = 0;
+  const STATUS_COLLECTION = 2;
+  const CORACLE_THRESHOLD = Utils.getBigNumberWithDecimals(100, BOT_DECIMALS);
+
+  const ADMIN = accounts[0];
+  const OWNER = accounts[1];
+  const ORACLE = accounts[2];
+  const USER1 = accounts[3];
+  const USER2 = accounts[4];
+  const TREASURY = accounts[5];
+
+  let addressManager;
+  let token;
+  let eventFactory;
+  let conditionalEventFactory;
+  let escrowAmount;
+  let parentTopic;
+  let params;
+  let topic;
+  let centralizedOracle;
+
+  before(async () => {
+    const baseContracts = await ContractHelper.initBaseContracts(ADMIN, accounts);
+    addressManager = baseContracts.addressManager;
+    token = baseContracts.bodhiToken;
+    eventFactory = baseContracts.eventFactory;
+
+    conditionalEventFactory = await ConditionalEventFactory.new(addressManager.address, { from: ADMIN });
+    await addressManager.setConditionalEventFactoryAddress(conditionalEventFactory.address, { from: ADMIN });
+  });
+
+  beforeEach(async () => {
+    await timeMachine.mine();
+    await timeMachine.snapshot();
+
+    escrowAmount = await addressManager.eventEscrowAmount.call();
+    await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount.mul(2));
+
+    let tx = await eventFactory.createTopic(...Object.values(getParentParams(ORACLE)), { from: OWNER });
+    parentTopic = TopicEvent.at(tx.logs[0].args._topicAddress);
+
+    params = getConditionalParams(ORACLE, parentTopic.address);
+    tx = await conditionalEventFactory.createConditionalTopic(...Object.values(params), { from: OWNER });
+    topic = ConditionalTopicEvent.at(tx.logs[0].args._topicAddress);
+    centralizedOracle = CentralizedOracle.at((await topic.oracles.call(0))[0]);
+  });
+
+  afterEach(async () => {
+    await timeMachine.revert();
+  });
+
+  async function finalize(topicEvent, resultIndex) {
+    await ContractHelper.approve(token, ORACLE, topicEvent.address, CORACLE_THRESHOLD);
+    await CentralizedOracle.at((await topicEvent.oracles.call(0))[0]).setResult(resultIndex, { from: ORACLE });
+
+    const decentralizedOracle = DecentralizedOracle.at((await topicEvent.oracles.call(1))[0]);
+    await timeMachine.increaseTime((await decentralizedOracle.arbitrationEndTime.call()).toNumber()
+      - Utils.getCurrentBlockTime());
+    await decentralizedOracle.finalizeResult();
+    assert.equal((await topicEvent.status.call()).toNumber(), STATUS_COLLECTION);
+  }
+
+  async function placeBets() {
+    await timeMachine.increaseTime(params._times[0] - Utils.getCurrentBlockTime());
+    await centralizedOracle.bet(1, { from: USER1, value: 100000000 });
+    await centralizedOracle.bet(2, { from: USER2, value: 300000000 });
+    await CentralizedOracle.at((await parentTopic.oracles.call(0))[0]).bet(1, { from: USER1, value: 100000000 });
+    await timeMachine.increaseTime(params._times[2] - Utils.getCurrentBlockTime());
+  }
+
+  describe('constructor', () => {
+    it('initializes all the values', async () => {
+      assert.equal(await topic.owner.call(), OWNER);
+      assert.equal(await topic.parentEvent.call(), parentTopic.address);
+      assert.equal((await topic.parentResultIndex.call()).toNumber(), params._parentResultIndex);
+      assert.equal(web3.toUtf8(await topic.eventResults.call(1)), params._resultNames[0]);
+      assert.equal((await topic.numOfResults.call()).toNumber(), 3);
+
+      const escrow = await addressManager.escrows.call(topic.address);
+      assert.equal(escrow[0], OWNER);
+      SolAssert.assertBNEqual(escrow[1], escrowAmount);
+    });
+
+    it('throws if the parent result is Invalid or out of range', async () => {
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+
+      params._parentResultIndex = 0;
+      try {
+        await conditionalEventFactory.createConditionalTopic(...Object.values(params), { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      params._parentResultIndex = 3;
+      try {
+        await conditionalEventFactory.createConditionalTopic(...Object.values(params), { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the parent is not whitelisted in the AddressManager', async () => {
+      const parentParams = getParentParams(ORACLE);
+      const unlistedTopic = await TopicEvent.new(
+        0, OWNER, ORACLE, parentParams._name, ['Invalid', ...parentParams._resultNames], 3,
+        parentParams._bettingStartTime, parentParams._bettingEndTime, parentParams._resultSettingStartTime,
+        parentParams._resultSettingEndTime, 0, 0, addressManager.address,
+      );
+
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+      params._parentEvent = unlistedTopic.address;
+      try {
+        await conditionalEventFactory.createConditionalTopic(...Object.values(params), { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the parent result setting does not end before the one of the topic', async () => {
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+      const parentOracle = CentralizedOracle.at((await parentTopic.oracles.call(0))[0]);
+      params._times[3] = (await parentOracle.resultSettingEndTime.call()).toNumber();
+      try {
+        await conditionalEventFactory.createConditionalTopic(...Object.values(params), { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the same conditional topic is created twice', async () => {
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+      try {
+        await conditionalEventFactory.createConditionalTopic(...Object.values(params), { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('withdrawWinnings()', () => {
+    beforeEach(async () => {
+      await placeBets();
+    });
+
+    it('settles normally if the parent finalizes on the parent result', async () => {
+      await finalize(parentTopic, 1);
+      await finalize(topic, 1);
+
+      // 99% of the losing bets go to the winning better
+      assert.equal((await topic.calculateWinningsFor(USER1))[1].toNumber(), 100000000 + 297000000);
+      assert.equal((await topic.calculateWinningsFor(USER2))[1].toNumber(), 0);
+
+      await topic.withdrawWinnings({ from: USER1 });
+      assert.isTrue(await topic.didWithdraw.call(USER1));
+    });
+
+    it('refunds the betters if the parent finalizes on another result', async () => {
+      await finalize(parentTopic, 2);
+      await finalize(topic, 1);
+
+      assert.equal((await topic.calculateWinningsFor(USER1))[1].toNumber(), 100000000);
+      assert.equal((await topic.calculateWinningsFor(USER2))[1].toNumber(), 300000000);
+      SolAssert.assertBNEqual((await topic.calculateWinningsFor(ORACLE))[0], CORACLE_THRESHOLD);
+
+      await topic.withdrawWinnings({ from: USER2 });
+      assert.equal((await topic.getBetBalancesFor(USER2))[2].toNumber(), 0);
+      assert.equal(web3.eth.getBalance(topic.address).toNumber(), 100000000);
+    });
+
+    it('extends the claim period to the one of a parent that finalizes late', async () => {
+      await finalize(topic, 1);
+      await timeMachine.increaseTime((await topic.claimEndTime.call()).toNumber() - Utils.getCurrentBlockTime());
+      await finalize(parentTopic, 1);
+
+      await addressManager.setTreasuryAddress(TREASURY, { from: ADMIN });
+      try {
+        await topic.sweepUnclaimed();
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      await topic.withdrawWinnings({ from: USER1 });
+      assert.isTrue(await topic.didWithdraw.call(USER1));
+
+      await timeMachine.increaseTime((await parentTopic.claimEndTime.call()).toNumber() - Utils.getCurrentBlockTime());
+      try {
+        await topic.withdrawWinnings({ from: ORACLE });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+      await topic.sweepUnclaimed();
+    });
+
+    it('throws if withdrawing before the parent finalizes', async () => {
+      await finalize(topic, 1);
+      assert.equal((await parentTopic.status.call()).toNumber(), STATUS_BETTING);
+
+      try {
+        await topic.withdrawWinnings({ from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('cancelled parent', () => {
+    it('refunds the betters if the parent is cancelled', async () => {
+      await parentTopic.cancel({ from: OWNER });
+
+      await timeMachine.increaseTime(params._times[0] - Utils.getCurrentBlockTime());
+      await centralizedOracle.bet(1, { from: USER1, value: 100000000 });
+      await centralizedOracle.bet(2, { from: USER2, value: 300000000 });
+      await timeMachine.increaseTime(params._times[2] - Utils.getCurrentBlockTime());
+      await finalize(topic, 1);
+
+      assert.equal((await topic.calculateWinningsFor(USER1))[1].toNumber(), 100000000);
+      assert.equal((await topic.calculateWinningsFor(USER2))[1].toNumber(), 300000000);
+    });
+  });
+});
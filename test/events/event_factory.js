@@ -22,6 +22,8 @@ function getTopicParams(oracle) {
     _bettingEndTime: currTime + 3000,
     _resultSettingStartTime: currTime + 4000,
     _resultSettingEndTime: currTime + 6000,
+    _creatorFeePercentage: 0,
+    _bettingToken: 0,
   };
 }
 
@@ -120,6 +122,12 @@ contract('EventFactory', (accounts) => {
       SolAssert.assertBNEqual(await token.balanceOf(addressManager.address), escrowAmount);
     });
 
+    it('records the escrow for the new topic in the AddressManager', async () => {
+      const escrow = await addressManager.escrows.call(topic.address);
+      assert.equal(escrow[0], CREATOR);
+      SolAssert.assertBNEqual(escrow[1], escrowAmount);
+    });
+
     it('stops parsing the results when an empty slot is reached', async () => {
       await ContractHelper.approve(token, CREATOR, addressManager.address, escrowAmount);
 
@@ -128,7 +136,7 @@ contract('EventFactory', (accounts) => {
       const tx = await eventFactory.createTopic(
         topicParams._oracle, topicParams._name, results, topicParams._bettingStartTime,
         topicParams._bettingEndTime, topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-        { from: CREATOR },
+        topicParams._creatorFeePercentage, topicParams._bettingToken, { from: CREATOR },
       );
       topic = await TopicEvent.at(tx.logs[0].args._topicAddress);
 
@@ -145,6 +153,78 @@ contract('EventFactory', (accounts) => {
       assert.equal(web3.toUtf8(await topic.eventResults.call(10)), '');
     });
 
+    it('sets the creator fee percentage of the new topic', async () => {
+      await ContractHelper.approve(token, CREATOR, addressManager.address, escrowAmount);
+
+      topicParams = getTopicParams(CREATOR);
+      topicParams._name = ['Will the creator earn a fee?'];
+      topicParams._creatorFeePercentage = 3;
+      const tx = await eventFactory.createTopic(...Object.values(topicParams), { from: CREATOR });
+      assert.equal(tx.logs[0].args._creatorFeePercentage, 3);
+
+      topic = await TopicEvent.at(tx.logs[0].args._topicAddress);
+      assert.equal(await topic.creatorFeePercentage.call(), 3);
+    });
+
+    it('snapshots the qtumRewardPercentage of the AddressManager', async () => {
+      await addressManager.setQtumRewardPercentage(4, { from: ADMIN });
+      await ContractHelper.approve(token, CREATOR, addressManager.address, escrowAmount);
+
+      topicParams = getTopicParams(CREATOR);
+      topicParams._name = ['Will the voters earn more QTUM?'];
+      const tx = await eventFactory.createTopic(...Object.values(topicParams), { from: CREATOR });
+      assert.equal(tx.logs[0].args._qtumRewardPercentage, 4);
+
+      topic = await TopicEvent.at(tx.logs[0].args._topicAddress);
+      assert.equal(await topic.qtumRewardPercentage.call(), 4);
+
+      await addressManager.setQtumRewardPercentage(1, { from: ADMIN });
+      assert.equal(await topic.qtumRewardPercentage.call(), 4);
+    });
+
+    it('sets the betting token of the new topic', async () => {
+      const bettingToken = await BodhiToken.new({ from: ADMIN });
+      await addressManager.setBettingToken(bettingToken.address, true, { from: ADMIN });
+      await ContractHelper.approve(token, CREATOR, addressManager.address, escrowAmount);
+
+      topicParams = getTopicParams(CREATOR);
+      topicParams._name = ['Will this topic bet in tokens?'];
+      topicParams._bettingToken = bettingToken.address;
+      const tx = await eventFactory.createTopic(...Object.values(topicParams), { from: CREATOR });
+      assert.equal(tx.logs[0].args._bettingToken, bettingToken.address);
+
+      topic = await TopicEvent.at(tx.logs[0].args._topicAddress);
+      assert.equal(await topic.bettingToken.call(), bettingToken.address);
+    });
+
+    it('throws if the betting token is not registered', async () => {
+      const bettingToken = await BodhiToken.new({ from: ADMIN });
+      await ContractHelper.approve(token, CREATOR, addressManager.address, escrowAmount);
+
+      topicParams = getTopicParams(CREATOR);
+      topicParams._name = ['Will this topic bet in tokens?'];
+      topicParams._bettingToken = bettingToken.address;
+      try {
+        await eventFactory.createTopic(...Object.values(topicParams), { from: CREATOR });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the creator fee percentage is above the max', async () => {
+      await ContractHelper.approve(token, CREATOR, addressManager.address, escrowAmount);
+
+      topicParams = getTopicParams(CREATOR);
+      topicParams._creatorFeePercentage = (await addressManager.maxCreatorFeePercentage.call()).toNumber() + 1;
+      try {
+        await eventFactory.createTopic(...Object.values(topicParams), { from: CREATOR });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
     it('throws if name is empty', async () => {
       try {
         await ContractHelper.approve(token, CREATOR, addressManager.address, escrowAmount);
@@ -153,7 +233,7 @@ contract('EventFactory', (accounts) => {
         await eventFactory.createTopic(
           topicParams._oracle, [], topicParams._resultNames, topicParams._bettingStartTime,
           topicParams._bettingEndTime, topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-          { from: CREATOR },
+          topicParams._creatorFeePercentage, topicParams._bettingToken, { from: CREATOR },
         );
         assert.fail();
       } catch (e) {
@@ -168,7 +248,8 @@ contract('EventFactory', (accounts) => {
         topicParams = getTopicParams(CREATOR);
         await eventFactory.createTopic(
           topicParams._oracle, topicParams._name, [], topicParams._bettingStartTime, topicParams._bettingEndTime,
-          topicParams._resultSettingStartTime, topicParams._resultSettingEndTime, { from: CREATOR },
+          topicParams._resultSettingStartTime, topicParams._resultSettingEndTime, topicParams._creatorFeePercentage,
+          topicParams._bettingToken, { from: CREATOR },
         );
         assert.fail();
       } catch (e) {
@@ -182,7 +263,7 @@ contract('EventFactory', (accounts) => {
         await eventFactory.createTopic(
           topicParams._oracle, topicParams._name, ['first', ''], topicParams._bettingStartTime,
           topicParams._bettingEndTime, topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-          { from: CREATOR },
+          topicParams._creatorFeePercentage, topicParams._bettingToken, { from: CREATOR },
         );
         assert.fail();
       } catch (e) {
@@ -196,7 +277,7 @@ contract('EventFactory', (accounts) => {
         await eventFactory.createTopic(
           topicParams._oracle, topicParams._name, ['', 'second'], topicParams._bettingStartTime,
           topicParams._bettingEndTime, topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-          { from: CREATOR },
+          topicParams._creatorFeePercentage, topicParams._bettingToken, { from: CREATOR },
         );
         assert.fail();
       } catch (e) {
@@ -0,0 +1,264 @@
+const web3 = global.web3;
+const assert = require('chai').assert;
+
+const FixedOddsEventFactory = artifacts.require('./events/FixedOddsEventFactory.sol');
+const FixedOddsEvent = artifacts.require('./events/FixedOddsEvent.sol');
+const CentralizedOracle = artifacts.require('./oracles/CentralizedOracle.sol');
+const DecentralizedOracle = artifacts.require('./oracles/DecentralizedOracle.sol');
+const TimeMachine = require('../helpers/time_machine');
+const SolAssert = require('../helpers/sol_assert');
+const Utils = require('../helpers/utils');
+const ContractHelper = require('../helpers/contract_helper');
+
+function getFixedOddsParams(oracle) {
+  const currTime = Utils.getCurrentBlockTime();
+  return {
+    _oracle: oracle,
+    _name: ['Who will win the 2018 NBA title?'],
+    _resultNames: ['Warriors', 'Cavaliers', 'Rockets'],
+    _odds: [200000000, 300000000, 150000000],
+    _times: [currTime + 1000, currTime + 3000, currTime + 4000, currTime + 6000],
+  };
+}
+
+contract('FixedOddsEvent', (accounts) => {
+  const timeMachine = new TimeMachine(web3);
+
+  const BOT_DECIMALS = 8;
+  const STATUS_COLLECTION = 2;
+  const RESULT_INVALID = 0;
+  const BANKROLL = 100000000;
+  const CORACLE_THRESHOLD = Utils.getBigNumberWithDecimals(100, BOT_DECIMALS);
+
+  const ADMIN = accounts[0];
+  const OWNER = accounts[1];
+  const ORACLE = accounts[2];
+  const USER1 = accounts[3];
+  const USER2 = accounts[4];
+
+  let addressManager;
+  let token;
+  let fixedOddsEventFactory;
+  let params;
+  let fixedOddsEvent;
+  let centralizedOracle;
+  let escrowAmount;
+
+  before(async () => {
+    const baseContracts = await ContractHelper.initBaseContracts(ADMIN, accounts);
+    addressManager = baseContracts.addressManager;
+    token = baseContracts.bodhiToken;
+
+    fixedOddsEventFactory = await FixedOddsEventFactory.new(addressManager.address, { from: ADMIN });
+    await addressManager.setFixedOddsEventFactoryAddress(fixedOddsEventFactory.address, { from: ADMIN });
+  });
+
+  beforeEach(async () => {
+    await timeMachine.mine();
+    await timeMachine.snapshot();
+
+    escrowAmount = await addressManager.eventEscrowAmount.call();
+    await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+
+    params = getFixedOddsParams(ORACLE);
+    const tx = await fixedOddsEventFactory.createFixedOddsEvent(
+      ...Object.values(params),
+      { from: OWNER, value: BANKROLL },
+    );
+    fixedOddsEvent = FixedOddsEvent.at(tx.logs[0].args._eventAddress);
+
+    centralizedOracle = CentralizedOracle.at((await fixedOddsEvent.oracles.call(0))[0]);
+  });
+
+  afterEach(async () => {
+    await timeMachine.revert();
+  });
+
+  async function startBetting() {
+    await timeMachine.increaseTime(params._times[0] - Utils.getCurrentBlockTime());
+  }
+
+  async function finalize(resultIndex) {
+    await timeMachine.increaseTime(params._times[2] - Utils.getCurrentBlockTime());
+    await ContractHelper.approve(token, ORACLE, fixedOddsEvent.address, CORACLE_THRESHOLD);
+    await centralizedOracle.setResult(resultIndex, { from: ORACLE });
+
+    const decentralizedOracle = DecentralizedOracle.at((await fixedOddsEvent.oracles.call(1))[0]);
+    await timeMachine.increaseTime((await decentralizedOracle.arbitrationEndTime.call()).toNumber()
+      - Utils.getCurrentBlockTime());
+    await decentralizedOracle.finalizeResult();
+    assert.equal((await fixedOddsEvent.status.call()).toNumber(), STATUS_COLLECTION);
+  }
+
+  describe('constructor', () => {
+    it('initializes all the values', async () => {
+      assert.equal(await fixedOddsEvent.owner.call(), OWNER);
+      assert.equal(web3.toUtf8(await fixedOddsEvent.eventName.call(0)), params._name[0]);
+      assert.equal(web3.toUtf8(await fixedOddsEvent.eventResults.call(0)), 'Invalid');
+      assert.equal(web3.toUtf8(await fixedOddsEvent.eventResults.call(1)), params._resultNames[0]);
+      assert.equal((await fixedOddsEvent.numOfResults.call()).toNumber(), 4);
+      assert.equal((await fixedOddsEvent.odds.call(0)).toNumber(), 0);
+      assert.equal((await fixedOddsEvent.odds.call(1)).toNumber(), params._odds[0]);
+      assert.equal((await fixedOddsEvent.odds.call(2)).toNumber(), params._odds[1]);
+      assert.equal((await fixedOddsEvent.odds.call(3)).toNumber(), params._odds[2]);
+      assert.equal((await fixedOddsEvent.bankroll.call()).toNumber(), BANKROLL);
+      assert.equal(web3.eth.getBalance(fixedOddsEvent.address).toNumber(), BANKROLL);
+
+      const escrow = await addressManager.escrows.call(fixedOddsEvent.address);
+      assert.equal(escrow[0], OWNER);
+      SolAssert.assertBNEqual(escrow[1], escrowAmount);
+    });
+
+    it('throws if the odds of a result are not above 1x', async () => {
+      params._name = ['Who will win the 2019 NBA title?'];
+      params._odds = [200000000, 100000000, 150000000];
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+      try {
+        await fixedOddsEventFactory.createFixedOddsEvent(...Object.values(params), { from: OWNER, value: BANKROLL });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if there is no bankroll', async () => {
+      params._name = ['Who will win the 2019 NBA title?'];
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+      try {
+        await fixedOddsEventFactory.createFixedOddsEvent(...Object.values(params), { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('bet()', () => {
+    beforeEach(async () => {
+      await startBetting();
+    });
+
+    it('records the bet with its locked odds', async () => {
+      const tx = await fixedOddsEvent.bet(2, 0, { from: USER1, value: 20000000 });
+      assert.equal(tx.logs[0].event, 'BetPlaced');
+      assert.equal(tx.logs[0].args._odds.toNumber(), params._odds[1]);
+      assert.equal(tx.logs[0].args._payout.toNumber(), 60000000);
+
+      assert.equal((await fixedOddsEvent.getBetCount()).toNumber(), 1);
+      const bet = await fixedOddsEvent.bets.call(0);
+      assert.equal(bet[0], USER1);
+      assert.equal(bet[1].toNumber(), 2);
+      assert.equal(bet[2].toNumber(), 20000000);
+      assert.equal(bet[3].toNumber(), params._odds[1]);
+
+      assert.equal((await fixedOddsEvent.getPayoutsFor(USER1))[2].toNumber(), 60000000);
+      assert.equal((await fixedOddsEvent.totalPayouts.call(2)).toNumber(), 60000000);
+      assert.equal((await fixedOddsEvent.totalQtumValue.call()).toNumber(), 20000000);
+    });
+
+    it('keeps the odds of earlier bets when the creator changes the odds', async () => {
+      await fixedOddsEvent.bet(1, 0, { from: USER1, value: 10000000 });
+
+      const tx = await fixedOddsEvent.setOdds(1, 120000000, { from: OWNER });
+      assert.equal(tx.logs[0].event, 'OddsChanged');
+      assert.equal((await fixedOddsEvent.odds.call(1)).toNumber(), 120000000);
+
+      await fixedOddsEvent.bet(1, 0, { from: USER1, value: 10000000 });
+      assert.equal((await fixedOddsEvent.getPayoutsFor(USER1))[1].toNumber(), 20000000 + 12000000);
+      assert.equal((await fixedOddsEvent.bets.call(0))[3].toNumber(), params._odds[0]);
+      assert.equal((await fixedOddsEvent.bets.call(1))[3].toNumber(), 120000000);
+    });
+
+    it('throws if the odds are below the minimum odds of the better', async () => {
+      await fixedOddsEvent.setOdds(1, 120000000, { from: OWNER });
+      try {
+        await fixedOddsEvent.bet(1, params._odds[0], { from: USER1, value: 10000000 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('caps the exposure of a result by the bankroll', async () => {
+      // A bet of x at 3x adds 2x to the exposure
+      const maxBet = (await fixedOddsEvent.getMaxBet(2)).toNumber();
+      assert.equal(maxBet, BANKROLL / 2);
+
+      await fixedOddsEvent.bet(2, 0, { from: USER1, value: maxBet });
+      assert.equal((await fixedOddsEvent.getMaxBet(2)).toNumber(), 0);
+
+      try {
+        await fixedOddsEvent.bet(2, 0, { from: USER1, value: 1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      // Bets on the other results are still covered
+      await fixedOddsEvent.bet(1, 0, { from: USER2, value: 10000000 });
+    });
+
+    it('throws if betting on Invalid', async () => {
+      try {
+        await fixedOddsEvent.bet(RESULT_INVALID, 0, { from: USER1, value: 10000000 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if a non-owner tries to set the odds', async () => {
+      try {
+        await fixedOddsEvent.setOdds(1, 120000000, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('settlement', () => {
+    beforeEach(async () => {
+      await startBetting();
+      await fixedOddsEvent.bet(1, 0, { from: USER1, value: 40000000 });
+      await fixedOddsEvent.bet(2, 0, { from: USER2, value: 20000000 });
+    });
+
+    it('pays the winners at their locked odds and the rest to the creator', async () => {
+      await finalize(1);
+
+      assert.equal((await fixedOddsEvent.calculateWinningsFor(USER1))[1].toNumber(), 80000000);
+      assert.equal((await fixedOddsEvent.calculateWinningsFor(USER2))[1].toNumber(), 0);
+
+      const tx = await fixedOddsEvent.withdrawBankroll({ from: OWNER });
+      assert.equal(tx.logs[0].event, 'BankrollWithdrawn');
+      assert.equal(tx.logs[0].args._amount.toNumber(), 80000000);
+
+      await fixedOddsEvent.withdrawWinnings({ from: USER1 });
+      assert.equal(web3.eth.getBalance(fixedOddsEvent.address).toNumber(), 0);
+    });
+
+    it('refunds all bets and returns the bankroll if the final result is Invalid', async () => {
+      await finalize(RESULT_INVALID);
+
+      assert.equal((await fixedOddsEvent.calculateWinningsFor(USER1))[1].toNumber(), 40000000);
+      assert.equal((await fixedOddsEvent.calculateWinningsFor(USER2))[1].toNumber(), 20000000);
+
+      await fixedOddsEvent.withdrawWinnings({ from: USER1 });
+      const tx = await fixedOddsEvent.withdrawBankroll({ from: OWNER });
+      assert.equal(tx.logs[0].args._amount.toNumber(), BANKROLL);
+      assert.equal(web3.eth.getBalance(fixedOddsEvent.address).toNumber(), 20000000);
+    });
+
+    it('throws if the creator tries to withdraw the bankroll twice', async () => {
+      await finalize(1);
+      await fixedOddsEvent.withdrawBankroll({ from: OWNER });
+      try {
+        await fixedOddsEvent.withdrawBankroll({ from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+});
@@ -0,0 +1,347 @@
+const web3 = global.web3;
+const assert = require('chai').assert;
+
+const LMSREventFactory = artifacts.require('./events/LMSREventFactory.sol');
+const LMSREvent = artifacts.require('./events/LMSREvent.sol');
+const CentralizedOracle = artifacts.require('./oracles/CentralizedOracle.sol');
+const DecentralizedOracle = artifacts.require('./oracles/DecentralizedOracle.sol');
+const TimeMachine = require('../helpers/time_machine');
+const SolAssert = require('../helpers/sol_assert');
+const Utils = require('../helpers/utils');
+const ContractHelper = require('../helpers/contract_helper');
+
+const LIQUIDITY = 100000000;
+
+function getLMSRParams(oracle) {
+  const currTime = Utils.getCurrentBlockTime();
+  return {
+    _oracle: oracle,
+    _name: ['Who will win the 2018 World Cup?'],
+    _resultNames: ['Brazil', 'Germany', 'Spain'],
+    _times: [currTime + 1000, currTime + 3000, currTime + 4000, currTime + 6000],
+    _liquidityParam: LIQUIDITY,
+  };
+}
+
+// Cost function of the market maker for the outstanding shares of the traded results
+function lmsrCost(shares) {
+  return LIQUIDITY * Math.log(shares.reduce((sum, q) => sum + Math.exp(q / LIQUIDITY), 0));
+}
+
+contract('LMSREvent', (accounts) => {
+  const timeMachine = new TimeMachine(web3);
+
+  const BOT_DECIMALS = 8;
+  const STATUS_COLLECTION = 2;
+  const NUM_OF_RESULTS = 4;
+  const FUNDING = 200000000;
+  const CORACLE_THRESHOLD = Utils.getBigNumberWithDecimals(100, BOT_DECIMALS);
+
+  const ADMIN = accounts[0];
+  const OWNER = accounts[1];
+  const ORACLE = accounts[2];
+  const USER1 = accounts[3];
+  const USER2 = accounts[4];
+
+  let addressManager;
+  let token;
+  let lmsrEventFactory;
+  let lmsrParams;
+  let lmsrEvent;
+  let centralizedOracle;
+  let escrowAmount;
+
+  before(async () => {
+    const baseContracts = await ContractHelper.initBaseContracts(ADMIN, accounts);
+    addressManager = baseContracts.addressManager;
+    token = baseContracts.bodhiToken;
+
+    lmsrEventFactory = await LMSREventFactory.new(addressManager.address, { from: ADMIN });
+    await addressManager.setLMSREventFactoryAddress(lmsrEventFactory.address, { from: ADMIN });
+  });
+
+  beforeEach(async () => {
+    await timeMachine.mine();
+    await timeMachine.snapshot();
+
+    escrowAmount = await addressManager.eventEscrowAmount.call();
+    await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+
+    lmsrParams = getLMSRParams(ORACLE);
+    const tx = await lmsrEventFactory.createLMSREvent(
+      ...Object.values(lmsrParams),
+      { from: OWNER, value: FUNDING },
+    );
+    lmsrEvent = LMSREvent.at(tx.logs[0].args._eventAddress);
+
+    centralizedOracle = CentralizedOracle.at((await lmsrEvent.oracles.call(0))[0]);
+  });
+
+  afterEach(async () => {
+    await timeMachine.revert();
+  });
+
+  async function startTrading() {
+    await timeMachine.increaseTime(lmsrParams._times[0] - Utils.getCurrentBlockTime());
+  }
+
+  async function finalize(resultIndex) {
+    await timeMachine.increaseTime(lmsrParams._times[2] - Utils.getCurrentBlockTime());
+    await ContractHelper.approve(token, ORACLE, lmsrEvent.address, CORACLE_THRESHOLD);
+    await centralizedOracle.setResult(resultIndex, { from: ORACLE });
+
+    const decentralizedOracle = DecentralizedOracle.at((await lmsrEvent.oracles.call(1))[0]);
+    await timeMachine.increaseTime((await decentralizedOracle.arbitrationEndTime.call()).toNumber()
+      - Utils.getCurrentBlockTime());
+    await decentralizedOracle.finalizeResult();
+    assert.equal((await lmsrEvent.status.call()).toNumber(), STATUS_COLLECTION);
+  }
+
+  describe('constructor', () => {
+    it('initializes all the values', async () => {
+      assert.equal(await lmsrEvent.owner.call(), OWNER);
+      assert.equal(web3.toUtf8(await lmsrEvent.eventName.call(0)), lmsrParams._name[0]);
+      assert.equal(web3.toUtf8(await lmsrEvent.eventResults.call(0)), 'Invalid');
+      assert.equal(web3.toUtf8(await lmsrEvent.eventResults.call(1)), lmsrParams._resultNames[0]);
+      assert.equal((await lmsrEvent.numOfResults.call()).toNumber(), NUM_OF_RESULTS);
+      assert.equal((await lmsrEvent.liquidityParam.call()).toNumber(), LIQUIDITY);
+      assert.equal((await lmsrEvent.fundingAmount.call()).toNumber(), FUNDING);
+      assert.equal(web3.eth.getBalance(lmsrEvent.address).toNumber(), FUNDING);
+
+      const escrow = await addressManager.escrows.call(lmsrEvent.address);
+      assert.equal(escrow[0], OWNER);
+      SolAssert.assertBNEqual(escrow[1], escrowAmount);
+
+      assert.equal(await centralizedOracle.oracle.call(), ORACLE);
+      assert.equal((await centralizedOracle.numOfResults.call()).toNumber(), NUM_OF_RESULTS);
+    });
+
+    it('throws if the funding does not cover the maximum loss', async () => {
+      lmsrParams._name = ['Who will win the 2019 Copa?'];
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+      try {
+        await lmsrEventFactory.createLMSREvent(
+          ...Object.values(lmsrParams),
+          { from: OWNER, value: Math.floor(LIQUIDITY * Math.log(NUM_OF_RESULTS - 1)) },
+        );
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the liquidity parameter is 0', async () => {
+      lmsrParams._name = ['Who will win the 2019 Copa?'];
+      lmsrParams._liquidityParam = 0;
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+      try {
+        await lmsrEventFactory.createLMSREvent(...Object.values(lmsrParams), { from: OWNER, value: FUNDING });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('buy()', () => {
+    it('charges the LMSR cost and returns the change', async () => {
+      await startTrading();
+
+      const shares = 150000000;
+      const cost = (await lmsrEvent.calculateBuyCost(1, shares)).toNumber();
+      assert.closeTo(cost, lmsrCost([shares, 0, 0]) - lmsrCost([0, 0, 0]), 2);
+
+      const tx = await lmsrEvent.buy(1, shares, { from: USER1, value: cost + 12345 });
+      assert.equal(tx.logs[0].event, 'SharesBought');
+      assert.equal(tx.logs[0].args._shares.toNumber(), shares);
+      assert.equal(tx.logs[0].args._cost.toNumber(), cost);
+
+      assert.equal((await lmsrEvent.getBetBalances({ from: USER1 }))[1].toNumber(), shares);
+      assert.equal((await lmsrEvent.totalQtumValue.call()).toNumber(), cost);
+      assert.equal((await lmsrEvent.netCosts.call(USER1)).toNumber(), cost);
+      assert.equal(web3.eth.getBalance(lmsrEvent.address).toNumber(), FUNDING + cost);
+    });
+
+    it('raises the price of the bought result', async () => {
+      await startTrading();
+
+      const pricesBefore = await lmsrEvent.getPrices();
+      await lmsrEvent.buy(2, 100000000, { from: USER1, value: 100000000 });
+      const pricesAfter = await lmsrEvent.getPrices();
+
+      assert.isAbove(pricesAfter[2].toNumber(), pricesBefore[2].toNumber());
+      assert.isBelow(pricesAfter[1].toNumber(), pricesBefore[1].toNumber());
+    });
+
+    it('does not trade Invalid', async () => {
+      await startTrading();
+
+      const prices = await lmsrEvent.getPrices();
+      assert.equal(prices[0].toNumber(), 0);
+      assert.closeTo(prices[1].toNumber() / 1e18, 1 / 3, 1e-9);
+
+      try {
+        await lmsrEvent.buy(0, 100000000, { from: USER1, value: 100000000 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the QTUM sent does not cover the cost', async () => {
+      await startTrading();
+
+      const cost = await lmsrEvent.calculateBuyCost(1, 100000000);
+      try {
+        await lmsrEvent.buy(1, 100000000, { from: USER1, value: cost.sub(1) });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if buying outside the betting window', async () => {
+      try {
+        await lmsrEvent.buy(1, 100000000, { from: USER1, value: 100000000 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if betting through the CentralizedOracle', async () => {
+      await startTrading();
+      try {
+        await centralizedOracle.bet(1, { from: USER1, value: 100000000 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('sell()', () => {
+    beforeEach(async () => {
+      await startTrading();
+      await lmsrEvent.buy(1, 150000000, { from: USER1, value: 150000000 });
+    });
+
+    it('pays out the LMSR proceeds', async () => {
+      const proceeds = (await lmsrEvent.calculateSellProceeds(1, 50000000)).toNumber();
+      assert.closeTo(proceeds, lmsrCost([150000000, 0, 0]) - lmsrCost([100000000, 0, 0]), 2);
+
+      const balanceBefore = web3.eth.getBalance(lmsrEvent.address).toNumber();
+      const netCostBefore = (await lmsrEvent.netCosts.call(USER1)).toNumber();
+      const tx = await lmsrEvent.sell(1, 50000000, proceeds, { from: USER1 });
+      assert.equal(tx.logs[0].event, 'SharesSold');
+      assert.equal(tx.logs[0].args._proceeds.toNumber(), proceeds);
+
+      assert.equal((await lmsrEvent.getBetBalances({ from: USER1 }))[1].toNumber(), 100000000);
+      assert.equal(web3.eth.getBalance(lmsrEvent.address).toNumber(), balanceBefore - proceeds);
+      assert.equal((await lmsrEvent.netCosts.call(USER1)).toNumber(), netCostBefore - proceeds);
+    });
+
+    it('pays less for selling than buying the same shares', async () => {
+      const cost = (await lmsrEvent.calculateBuyCost(1, 50000000)).toNumber();
+      await lmsrEvent.buy(1, 50000000, { from: USER1, value: cost });
+      assert.isBelow((await lmsrEvent.calculateSellProceeds(1, 50000000)).toNumber(), cost);
+    });
+
+    it('throws if selling more shares than owned', async () => {
+      try {
+        await lmsrEvent.sell(1, 150000001, 0, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the proceeds are below the minimum', async () => {
+      const proceeds = await lmsrEvent.calculateSellProceeds(1, 50000000);
+      try {
+        await lmsrEvent.sell(1, 50000000, proceeds.add(1), { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('withdrawWinnings()', () => {
+    beforeEach(async () => {
+      await startTrading();
+      await lmsrEvent.buy(1, 150000000, { from: USER1, value: 150000000 });
+      await lmsrEvent.buy(2, 100000000, { from: USER2, value: 100000000 });
+      await finalize(1);
+    });
+
+    it('redeems the winning shares 1:1', async () => {
+      assert.equal((await lmsrEvent.calculateWinningsFor(USER1))[1].toNumber(), 150000000);
+      assert.equal((await lmsrEvent.calculateWinningsFor(USER2))[1].toNumber(), 0);
+
+      const balanceBefore = web3.eth.getBalance(lmsrEvent.address).toNumber();
+      await lmsrEvent.withdrawWinnings({ from: USER1 });
+      assert.isTrue(await lmsrEvent.didWithdraw.call(USER1));
+      assert.equal((await lmsrEvent.redeemedShares.call()).toNumber(), 150000000);
+      assert.equal(web3.eth.getBalance(lmsrEvent.address).toNumber(), balanceBefore - 150000000);
+    });
+
+    it('returns the voted BOT to the CentralizedOracle', async () => {
+      SolAssert.assertBNEqual((await lmsrEvent.calculateWinningsFor(ORACLE))[0], CORACLE_THRESHOLD);
+    });
+
+    it('allows the owner to withdraw the liquidity left after the winning shares', async () => {
+      const balance = web3.eth.getBalance(lmsrEvent.address).toNumber();
+      const tx = await lmsrEvent.withdrawLiquidity({ from: OWNER });
+      assert.equal(tx.logs[0].event, 'LiquidityWithdrawn');
+      assert.equal(tx.logs[0].args._amount.toNumber(), balance - 150000000);
+      assert.equal(web3.eth.getBalance(lmsrEvent.address).toNumber(), 150000000);
+
+      await lmsrEvent.withdrawWinnings({ from: USER1 });
+      assert.equal(web3.eth.getBalance(lmsrEvent.address).toNumber(), 0);
+    });
+
+    it('throws if a non-owner tries to withdraw the liquidity', async () => {
+      try {
+        await lmsrEvent.withdrawLiquidity({ from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('void refunds', () => {
+    it('refunds the net cost of the shares if the final result is Invalid', async () => {
+      await startTrading();
+      const cost1 = (await lmsrEvent.calculateBuyCost(1, 150000000)).toNumber();
+      await lmsrEvent.buy(1, 150000000, { from: USER1, value: cost1 });
+      const cost2 = (await lmsrEvent.calculateBuyCost(2, 100000000)).toNumber();
+      await lmsrEvent.buy(2, 100000000, { from: USER2, value: cost2 });
+      const proceeds = (await lmsrEvent.calculateSellProceeds(1, 50000000)).toNumber();
+      await lmsrEvent.sell(1, 50000000, 0, { from: USER1 });
+      await finalize(0);
+
+      assert.equal((await lmsrEvent.calculateWinningsFor(USER1))[1].toNumber(), cost1 - proceeds);
+      assert.equal((await lmsrEvent.calculateWinningsFor(USER2))[1].toNumber(), cost2);
+
+      const balanceBefore = web3.eth.getBalance(lmsrEvent.address).toNumber();
+      await lmsrEvent.withdrawWinnings({ from: USER2 });
+      assert.equal(web3.eth.getBalance(lmsrEvent.address).toNumber(), balanceBefore - cost2);
+    });
+
+    it('allows the owner to withdraw the liquidity left after the refunds', async () => {
+      await startTrading();
+      const cost = (await lmsrEvent.calculateBuyCost(1, 150000000)).toNumber();
+      await lmsrEvent.buy(1, 150000000, { from: USER1, value: cost });
+      await finalize(0);
+
+      const tx = await lmsrEvent.withdrawLiquidity({ from: OWNER });
+      assert.equal(tx.logs[0].args._amount.toNumber(), FUNDING);
+      assert.equal(web3.eth.getBalance(lmsrEvent.address).toNumber(), cost);
+
+      await lmsrEvent.withdrawWinnings({ from: USER1 });
+      assert.equal(web3.eth.getBalance(lmsrEvent.address).toNumber(), 0);
+    });
+  });
+});
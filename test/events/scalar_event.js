@@ -0,0 +1,362 @@
+const web3 = global.web3;
+const assert = require('chai').assert;
+
+const ScalarEventFactory = artifacts.require('./events/ScalarEventFactory.sol');
+const ScalarEvent = artifacts.require('./events/ScalarEvent.sol');
+const CentralizedOracle = artifacts.require('./oracles/CentralizedOracle.sol');
+const DecentralizedOracle = artifacts.require('./oracles/DecentralizedOracle.sol');
+const TimeMachine = require('../helpers/time_machine');
+const SolAssert = require('../helpers/sol_assert');
+const Utils = require('../helpers/utils');
+const ContractHelper = require('../helpers/contract_helper');
+
+function getScalarParams(oracle) {
+  const currTime = Utils.getCurrentBlockTime();
+  return {
+    _oracle: oracle,
+    _name: ['What will the QTUM price be at t', 'he end of 2018?'],
+    _lowerBound: 100,
+    _upperBound: 300,
+    _numOfValues: 5,
+    _bettingStartTime: currTime + 1000,
+    _bettingEndTime: currTime + 3000,
+    _resultSettingStartTime: currTime + 4000,
+    _resultSettingEndTime: currTime + 6000,
+  };
+}
+
+contract('ScalarEvent', (accounts) => {
+  const timeMachine = new TimeMachine(web3);
+
+  const BOT_DECIMALS = 8;
+  const STATUS_VOTING = 1;
+  const STATUS_COLLECTION = 2;
+  const RESULT_INVALID = 0;
+  // The values 100, 150, 200, 250 and 300
+  const RESULT_LOWER_BOUND = 1;
+  const RESULT_200 = 3;
+  const RESULT_250 = 4;
+  const RESULT_UPPER_BOUND = 5;
+  const CORACLE_THRESHOLD = Utils.getBigNumberWithDecimals(100, BOT_DECIMALS);
+
+  const ADMIN = accounts[0];
+  const OWNER = accounts[1];
+  const ORACLE = accounts[2];
+  const USER1 = accounts[3];
+  const USER2 = accounts[4];
+  const USER3 = accounts[5];
+
+  let addressManager;
+  let token;
+  let scalarEventFactory;
+  let scalarParams;
+  let scalarEvent;
+  let centralizedOracle;
+  let escrowAmount;
+
+  before(async () => {
+    const baseContracts = await ContractHelper.initBaseContracts(ADMIN, accounts);
+    addressManager = baseContracts.addressManager;
+    token = baseContracts.bodhiToken;
+
+    scalarEventFactory = await ScalarEventFactory.new(addressManager.address, { from: ADMIN });
+    await addressManager.setScalarEventFactoryAddress(scalarEventFactory.address, { from: ADMIN });
+  });
+
+  beforeEach(async () => {
+    await timeMachine.mine();
+    await timeMachine.snapshot();
+
+    escrowAmount = await addressManager.eventEscrowAmount.call();
+    await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+
+    scalarParams = getScalarParams(ORACLE);
+    const tx = await scalarEventFactory.createScalarEvent(...Object.values(scalarParams), { from: OWNER });
+    scalarEvent = ScalarEvent.at(tx.logs[0].args._eventAddress);
+
+    centralizedOracle = CentralizedOracle.at((await scalarEvent.oracles.call(0))[0]);
+  });
+
+  afterEach(async () => {
+    await timeMachine.revert();
+  });
+
+  async function placeBets() {
+    await timeMachine.increaseTime(scalarParams._bettingStartTime - Utils.getCurrentBlockTime());
+    await scalarEvent.bet(true, { from: USER1, value: 300000000 });
+    await scalarEvent.bet(true, { from: USER3, value: 100000000 });
+    await scalarEvent.bet(false, { from: USER2, value: 100000000 });
+  }
+
+  async function setResultAndFinalize(resultIndex) {
+    await timeMachine.increaseTime(scalarParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+    await ContractHelper.approve(token, ORACLE, scalarEvent.address, CORACLE_THRESHOLD);
+    await centralizedOracle.setResult(resultIndex, { from: ORACLE });
+
+    const decentralizedOracle = DecentralizedOracle.at((await scalarEvent.oracles.call(1))[0]);
+    await timeMachine.increaseTime((await decentralizedOracle.arbitrationEndTime.call()).toNumber()
+      - Utils.getCurrentBlockTime());
+    await decentralizedOracle.finalizeResult();
+    assert.equal((await scalarEvent.status.call()).toNumber(), STATUS_COLLECTION);
+  }
+
+  describe('constructor', () => {
+    it('initializes all the values', async () => {
+      assert.equal(await scalarEvent.owner.call(), OWNER);
+      assert.equal(web3.toUtf8(await scalarEvent.eventName.call(0)), scalarParams._name[0]);
+      assert.equal(web3.toUtf8(await scalarEvent.eventName.call(1)), scalarParams._name[1]);
+      assert.equal((await scalarEvent.lowerBound.call()).toNumber(), scalarParams._lowerBound);
+      assert.equal((await scalarEvent.upperBound.call()).toNumber(), scalarParams._upperBound);
+      assert.equal((await scalarEvent.numOfResults.call()).toNumber(), 6);
+      SolAssert.assertBNEqual(await scalarEvent.escrowAmount.call(), escrowAmount);
+
+      assert.equal(await centralizedOracle.oracle.call(), ORACLE);
+      assert.equal(await centralizedOracle.eventAddress.call(), scalarEvent.address);
+      assert.equal((await centralizedOracle.numOfResults.call()).toNumber(), 6);
+    });
+
+    it('throws if the upper bound is not above the lower bound', async () => {
+      try {
+        await ScalarEvent.new(
+          0, OWNER, ORACLE, scalarParams._name, 300, 300, 5, scalarParams._bettingStartTime,
+          scalarParams._bettingEndTime, scalarParams._resultSettingStartTime, scalarParams._resultSettingEndTime,
+          addressManager.address,
+        );
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the name is empty', async () => {
+      try {
+        await ScalarEvent.new(
+          0, OWNER, ORACLE, [], scalarParams._lowerBound, scalarParams._upperBound, scalarParams._numOfValues,
+          scalarParams._bettingStartTime, scalarParams._bettingEndTime, scalarParams._resultSettingStartTime,
+          scalarParams._resultSettingEndTime, addressManager.address,
+        );
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the number of values is not between 2 and 10', async () => {
+      try {
+        await ScalarEvent.new(
+          0, OWNER, ORACLE, scalarParams._name, scalarParams._lowerBound, scalarParams._upperBound, 1,
+          scalarParams._bettingStartTime, scalarParams._bettingEndTime, scalarParams._resultSettingStartTime,
+          scalarParams._resultSettingEndTime, addressManager.address,
+        );
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      try {
+        await ScalarEvent.new(
+          0, OWNER, ORACLE, scalarParams._name, scalarParams._lowerBound, scalarParams._upperBound, 11,
+          scalarParams._bettingStartTime, scalarParams._bettingEndTime, scalarParams._resultSettingStartTime,
+          scalarParams._resultSettingEndTime, addressManager.address,
+        );
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('ScalarEventFactory', () => {
+    it('transfers the escrow and records it for the ScalarEvent', async () => {
+      const escrow = await addressManager.escrows.call(scalarEvent.address);
+      assert.equal(escrow[0], OWNER);
+      SolAssert.assertBNEqual(escrow[1], escrowAmount);
+    });
+
+    it('throws if the ScalarEvent already exists', async () => {
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+      try {
+        await scalarEventFactory.createScalarEvent(...Object.values(scalarParams), { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('bet()', () => {
+    it('records long and short bets', async () => {
+      await placeBets();
+
+      assert.equal((await scalarEvent.longBets.call(USER1)).toNumber(), 300000000);
+      assert.equal((await scalarEvent.longBets.call(USER3)).toNumber(), 100000000);
+      assert.equal((await scalarEvent.shortBets.call(USER2)).toNumber(), 100000000);
+      assert.equal((await scalarEvent.totalLongValue.call()).toNumber(), 400000000);
+      assert.equal((await scalarEvent.totalShortValue.call()).toNumber(), 100000000);
+      assert.equal(web3.eth.getBalance(scalarEvent.address).toNumber(), 500000000);
+    });
+
+    it('emits the BetPlaced event', async () => {
+      await timeMachine.increaseTime(scalarParams._bettingStartTime - Utils.getCurrentBlockTime());
+      const tx = await scalarEvent.bet(false, { from: USER1, value: 12345 });
+
+      assert.equal(tx.logs[0].event, 'BetPlaced');
+      assert.equal(tx.logs[0].args._better, USER1);
+      assert.isFalse(tx.logs[0].args._isLong);
+      assert.equal(tx.logs[0].args._amount.toNumber(), 12345);
+      assert.equal(tx.logs[0].args._totalShortValue.toNumber(), 12345);
+    });
+
+    it('throws if betting outside the betting window', async () => {
+      try {
+        await scalarEvent.bet(true, { from: USER1, value: 12345 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      await timeMachine.increaseTime(scalarParams._bettingEndTime - Utils.getCurrentBlockTime());
+      try {
+        await scalarEvent.bet(true, { from: USER1, value: 12345 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if betting through the CentralizedOracle', async () => {
+      await timeMachine.increaseTime(scalarParams._bettingStartTime - Utils.getCurrentBlockTime());
+      try {
+        await centralizedOracle.bet(RESULT_200, { from: USER1, value: 12345 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('getResultValue()', () => {
+    it('returns the evenly spaced values from the lower to the upper bound', async () => {
+      assert.equal((await scalarEvent.getResultValue.call(RESULT_LOWER_BOUND)).toNumber(), 100);
+      assert.equal((await scalarEvent.getResultValue.call(2)).toNumber(), 150);
+      assert.equal((await scalarEvent.getResultValue.call(RESULT_200)).toNumber(), 200);
+      assert.equal((await scalarEvent.getResultValue.call(RESULT_250)).toNumber(), 250);
+      assert.equal((await scalarEvent.getResultValue.call(RESULT_UPPER_BOUND)).toNumber(), 300);
+    });
+
+    it('throws for Invalid or an invalid result index', async () => {
+      try {
+        await scalarEvent.getResultValue.call(RESULT_INVALID);
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      try {
+        await scalarEvent.getResultValue.call(6);
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('centralizedOracleSetResult()', () => {
+    beforeEach(async () => {
+      await timeMachine.increaseTime(scalarParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, scalarEvent.address, CORACLE_THRESHOLD);
+    });
+
+    it('sets the value in the same call as the result', async () => {
+      await centralizedOracle.setResult(RESULT_250, { from: ORACLE });
+
+      assert.equal((await scalarEvent.status.call()).toNumber(), STATUS_VOTING);
+      assert.equal((await scalarEvent.resultIndex.call()).toNumber(), RESULT_250);
+      SolAssert.assertBNEqual((await scalarEvent.getTotalVotes())[RESULT_250], CORACLE_THRESHOLD);
+    });
+
+    it('allows setting Invalid', async () => {
+      await centralizedOracle.setResult(RESULT_INVALID, { from: ORACLE });
+      assert.equal((await scalarEvent.resultIndex.call()).toNumber(), RESULT_INVALID);
+    });
+
+    it('lets the DecentralizedOracle voters dispute the value', async () => {
+      await centralizedOracle.setResult(RESULT_250, { from: ORACLE });
+
+      const decentralizedOracle = DecentralizedOracle.at((await scalarEvent.oracles.call(1))[0]);
+      const threshold = await decentralizedOracle.consensusThreshold.call();
+      await ContractHelper.approve(token, USER1, scalarEvent.address, threshold);
+      await decentralizedOracle.voteResult(RESULT_200, threshold, { from: USER1 });
+
+      assert.equal((await scalarEvent.resultIndex.call()).toNumber(), RESULT_200);
+      SolAssert.assertBNEqual((await scalarEvent.getTotalVotes())[RESULT_200], threshold);
+    });
+  });
+
+  describe('calculateWinningsFor()', () => {
+    beforeEach(async () => {
+      await placeBets();
+    });
+
+    it('splits the pool linearly between the long and short betters', async () => {
+      await setResultAndFinalize(RESULT_200);
+
+      // Long side gets 500000000 * (200 - 100) / (300 - 100) = 250000000
+      assert.equal((await scalarEvent.calculateWinningsFor(USER1))[1].toNumber(), 187500000);
+      assert.equal((await scalarEvent.calculateWinningsFor(USER3))[1].toNumber(), 62500000);
+      assert.equal((await scalarEvent.calculateWinningsFor(USER2))[1].toNumber(), 250000000);
+    });
+
+    it('pays the whole pool to the long betters at the upper bound', async () => {
+      await setResultAndFinalize(RESULT_UPPER_BOUND);
+
+      assert.equal((await scalarEvent.calculateWinningsFor(USER1))[1].toNumber(), 375000000);
+      assert.equal((await scalarEvent.calculateWinningsFor(USER3))[1].toNumber(), 125000000);
+      assert.equal((await scalarEvent.calculateWinningsFor(USER2))[1].toNumber(), 0);
+    });
+
+    it('pays the whole pool to the short betters at the lower bound', async () => {
+      await setResultAndFinalize(RESULT_LOWER_BOUND);
+
+      assert.equal((await scalarEvent.calculateWinningsFor(USER1))[1].toNumber(), 0);
+      assert.equal((await scalarEvent.calculateWinningsFor(USER2))[1].toNumber(), 500000000);
+    });
+
+    it('returns the voted BOT to the CentralizedOracle', async () => {
+      await setResultAndFinalize(RESULT_200);
+      SolAssert.assertBNEqual((await scalarEvent.calculateWinningsFor(ORACLE))[0], CORACLE_THRESHOLD);
+    });
+
+    it('refunds every bet if the final result is Invalid', async () => {
+      await setResultAndFinalize(RESULT_INVALID);
+
+      assert.equal((await scalarEvent.calculateWinningsFor(USER1))[1].toNumber(), 300000000);
+      assert.equal((await scalarEvent.calculateWinningsFor(USER2))[1].toNumber(), 100000000);
+      assert.equal((await scalarEvent.calculateWinningsFor(USER3))[1].toNumber(), 100000000);
+    });
+  });
+
+  describe('withdrawWinnings()', () => {
+    beforeEach(async () => {
+      await placeBets();
+      await setResultAndFinalize(RESULT_200);
+    });
+
+    it('transfers the QTUM winnings', async () => {
+      await scalarEvent.withdrawWinnings({ from: USER2 });
+
+      assert.isTrue(await scalarEvent.didWithdraw.call(USER2));
+      assert.equal(web3.eth.getBalance(scalarEvent.address).toNumber(), 250000000);
+    });
+
+    it('throws if trying to withdraw twice', async () => {
+      await scalarEvent.withdrawWinnings({ from: USER2 });
+      try {
+        await scalarEvent.withdrawWinnings({ from: USER2 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+});
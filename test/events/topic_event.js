@@ -7,8 +7,10 @@ const AddressManager = artifacts.require('./storage/AddressManager.sol');
 const EventFactory = artifacts.require('./events/EventFactory.sol');
 const OracleFactory = artifacts.require('./oracles/OracleFactory.sol');
 const TopicEvent = artifacts.require('./TopicEvent.sol');
+const OutcomeToken = artifacts.require('./tokens/OutcomeToken.sol');
 const CentralizedOracle = artifacts.require('./oracles/CentralizedOracle.sol');
 const DecentralizedOracle = artifacts.require('./oracles/DecentralizedOracle.sol');
+const RejectingReceiverMock = artifacts.require('./mocks/RejectingReceiverMock.sol');
 const TimeMachine = require('../helpers/time_machine');
 const SolAssert = require('../helpers/sol_assert');
 const Utils = require('../helpers/utils');
@@ -26,6 +28,8 @@ function getTopicParams(oracle) {
     _bettingEndTime: currTime + 3000,
     _resultSettingStartTime: currTime + 4000,
     _resultSettingEndTime: currTime + 6000,
+    _creatorFeePercentage: 0,
+    _bettingToken: 0,
   };
 }
 
@@ -36,6 +40,7 @@ contract('TopicEvent', (accounts) => {
   const BOT_DECIMALS = 8;
   const STATUS_VOTING = 1;
   const STATUS_COLLECTION = 2;
+  const STATUS_CANCELLED = 3;
   const RESULT_INVALID = 'Invalid';
   const CORACLE_THRESHOLD = Utils.getBigNumberWithDecimals(100, BOT_DECIMALS);
 
@@ -47,7 +52,9 @@ contract('TopicEvent', (accounts) => {
   const USER3 = accounts[5];
   const USER4 = accounts[6];
   const USER5 = accounts[7];
+  const TREASURY = accounts[9];
 
+  const INVALID_RESULT = 0;
   const INVALID_RESULT_INDEX = 4;
 
   let addressManager;
@@ -100,6 +107,11 @@ contract('TopicEvent', (accounts) => {
       assert.equal(web3.toUtf8(await testTopic.eventResults.call(3)), topicParams._resultNames[2]);
       assert.equal((await testTopic.numOfResults.call()).toNumber(), numOfResults);
       SolAssert.assertBNEqual(await testTopic.escrowAmount.call(), await addressManager.eventEscrowAmount.call());
+      assert.equal(await testTopic.bettingEndTime.call(), topicParams._bettingEndTime);
+      assert.equal(
+        (await testTopic.qtumRewardPercentage.call()).toNumber(),
+        (await addressManager.qtumRewardPercentage.call()).toNumber(),
+      );
 
       assert.equal(await centralizedOracle.numOfResults.call(), numOfResults);
       assert.equal(await centralizedOracle.oracle.call(), topicParams._oracle);
@@ -122,7 +134,7 @@ contract('TopicEvent', (accounts) => {
       testTopic = await TopicEvent.new(
         0, OWNER, topicParams._oracle, name, resultNames, numOfResults, topicParams._bettingStartTime,
         topicParams._bettingEndTime, topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-        addressManager.address,
+        0, 0, addressManager.address,
       );
 
       assert.equal(web3.toUtf8(await testTopic.eventName.call(0)), name[0]);
@@ -148,7 +160,7 @@ contract('TopicEvent', (accounts) => {
       testTopic = await TopicEvent.new(
         0, OWNER, topicParams._oracle, name, resultNames, numOfResults, topicParams._bettingStartTime,
         topicParams._bettingEndTime, topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-        addressManager.address,
+        0, 0, addressManager.address,
       );
 
       assert.equal(web3.toUtf8(await testTopic.eventName.call(0)), name[0]);
@@ -169,7 +181,7 @@ contract('TopicEvent', (accounts) => {
       testTopic = await TopicEvent.new(
         0, OWNER, topicParams._oracle, name, resultNames, numOfResults, topicParams._bettingStartTime,
         topicParams._bettingEndTime, topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-        addressManager.address,
+        0, 0, addressManager.address,
       );
       assert.equal(web3.toUtf8(await testTopic.eventName.call(0)), name[0]);
       assert.equal(web3.toUtf8(await testTopic.eventName.call(1)), name[1]);
@@ -183,7 +195,7 @@ contract('TopicEvent', (accounts) => {
         testTopic = await TopicEvent.new(
           0, OWNER, topicParams._oracle, name, resultNames, numOfResults, topicParams._bettingStartTime,
           topicParams._bettingEndTime, topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-          addressManager.address,
+          0, 0, addressManager.address,
         );
         assert.equal(web3.toUtf8(await testTopic.eventName.call(0)), name[0]);
         assert.equal(web3.toUtf8(await testTopic.eventName.call(1)), name[1]);
@@ -198,7 +210,7 @@ contract('TopicEvent', (accounts) => {
         0, OWNER, topicParams._oracle, topicParams._name, results, 11,
         topicParams._bettingStartTime, topicParams._bettingEndTime,
         topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-        addressManager.address,
+        0, 0, addressManager.address,
       );
 
       assert.equal(web3.toUtf8(await testTopic.eventResults.call(0)), RESULT_INVALID);
@@ -222,7 +234,7 @@ contract('TopicEvent', (accounts) => {
         0, OWNER, topicParams._oracle, topicParams._name, results, 11,
         topicParams._bettingStartTime, topicParams._bettingEndTime,
         topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-        addressManager.address,
+        0, 0, addressManager.address,
       );
 
       assert.equal(web3.toUtf8(await testTopic.eventResults.call(0)), RESULT_INVALID);
@@ -252,7 +264,7 @@ contract('TopicEvent', (accounts) => {
           0, 0, topicParams._oracle, topicParams._name, topicParams._resultNames, numOfResults,
           topicParams._bettingStartTime, topicParams._bettingEndTime,
           topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-          addressManager.address,
+          0, 0, addressManager.address,
         );
         assert.fail();
       } catch (e) {
@@ -266,7 +278,7 @@ contract('TopicEvent', (accounts) => {
         await TopicEvent.new(
           0, OWNER, 0, topicParams._name, topicParams._resultNames, numOfResults, topicParams._bettingStartTime,
           topicParams._bettingEndTime, topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-          addressManager.address,
+          0, 0, addressManager.address,
         );
         assert.fail();
       } catch (e) {
@@ -280,7 +292,7 @@ contract('TopicEvent', (accounts) => {
         await TopicEvent.new(
           0, OWNER, topicParams._centralizedOracle, topicParams._name, topicParams._resultNames, numOfResults,
           topicParams._bettingStartTime, topicParams._bettingEndTime, topicParams._resultSettingStartTime,
-          topicParams._resultSettingEndTime, 0,
+          topicParams._resultSettingEndTime, 0, 0, 0,
         );
         assert.fail();
       } catch (e) {
@@ -295,7 +307,7 @@ contract('TopicEvent', (accounts) => {
           0, OWNER, topicParams._centralizedOracle, [], topicParams._resultNames, numOfResults,
           topicParams._bettingStartTime, topicParams._bettingEndTime,
           topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-          addressManager.address,
+          0, 0, addressManager.address,
         );
         assert.fail();
       } catch (e) {
@@ -310,7 +322,7 @@ contract('TopicEvent', (accounts) => {
           0, OWNER, topicParams._centralizedOracle, topicParams._name, [], 1,
           topicParams._bettingStartTime, topicParams._bettingEndTime,
           topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-          addressManager.address,
+          0, 0, addressManager.address,
         );
         assert.fail();
       } catch (e) {
@@ -323,7 +335,7 @@ contract('TopicEvent', (accounts) => {
           0, topicParams._owner, topicParams._centralizedOracle, topicParams._name,
           ['first'], 2, topicParams._bettingStartTime, topicParams._bettingEndTime,
           topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-          addressManager.address,
+          0, 0, addressManager.address,
         );
         assert.fail();
       } catch (e) {
@@ -336,7 +348,7 @@ contract('TopicEvent', (accounts) => {
           0, OWNER, topicParams._centralizedOracle, topicParams._name, ['', 'second'], 2,
           topicParams._bettingStartTime, topicParams._bettingEndTime,
           topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-          addressManager.address,
+          0, 0, addressManager.address,
         );
         assert.fail();
       } catch (e) {
@@ -351,7 +363,7 @@ contract('TopicEvent', (accounts) => {
           0, OWNER, topicParams._centralizedOracle, topicParams._name,
           topicParams._resultNames, numOfResults, topicParams._bettingStartTime, topicParams._bettingStartTime,
           topicParams._resultSettingStartTime, topicParams._resultSettingEndTime,
-          addressManager.address,
+          0, 0, addressManager.address,
         );
         assert.fail();
       } catch (e) {
@@ -365,7 +377,7 @@ contract('TopicEvent', (accounts) => {
         await TopicEvent.new(
           0, OWNER, topicParams._centralizedOracle, topicParams._name,
           topicParams._resultNames, numOfResults, topicParams._bettingStartTime, topicParams._bettingEndTime,
-          topicParams._bettingEndTime - 1, topicParams._resultSettingEndTime, addressManager.address,
+          topicParams._bettingEndTime - 1, topicParams._resultSettingEndTime, 0, 0, addressManager.address,
         );
         assert.fail();
       } catch (e) {
@@ -379,7 +391,23 @@ contract('TopicEvent', (accounts) => {
         await TopicEvent.new(
           0, OWNER, topicParams._centralizedOracle, topicParams._name,
           topicParams._resultNames, numOfResults, topicParams._bettingStartTime, topicParams._bettingEndTime,
-          topicParams._resultSettingStartTime, topicParams._resultSettingStartTime, addressManager.address,
+          topicParams._resultSettingStartTime, topicParams._resultSettingStartTime, 0, 0, addressManager.address,
+        );
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if creatorFeePercentage is above the maxCreatorFeePercentage', async () => {
+      const maxCreatorFeePercentage = (await addressManager.maxCreatorFeePercentage.call()).toNumber();
+
+      try {
+        topicParams = getTopicParams(ORACLE);
+        await TopicEvent.new(
+          0, OWNER, topicParams._oracle, topicParams._name, resultNames, numOfResults,
+          topicParams._bettingStartTime, topicParams._bettingEndTime, topicParams._resultSettingStartTime,
+          topicParams._resultSettingEndTime, maxCreatorFeePercentage + 1, 0, addressManager.address,
         );
         assert.fail();
       } catch (e) {
@@ -442,6 +470,25 @@ contract('TopicEvent', (accounts) => {
       }
     });
 
+    it('emits BetPlaced with the running totals', async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+
+      const bet1 = Utils.getBigNumberWithDecimals(1, NATIVE_DECIMALS);
+      await centralizedOracle.bet(1, { from: USER1, value: bet1 });
+      const bet2 = Utils.getBigNumberWithDecimals(2, NATIVE_DECIMALS);
+      await centralizedOracle.bet(2, { from: USER2, value: bet2 });
+
+      const bet3 = Utils.getBigNumberWithDecimals(3, NATIVE_DECIMALS);
+      const tx = await centralizedOracle.bet(1, { from: USER3, value: bet3 });
+      const logs = await Utils.getEventLogs(testTopic.BetPlaced, tx);
+      assert.equal(logs.length, 1);
+      assert.equal(logs[0].args._better, USER3);
+      assert.equal(logs[0].args._resultIndex, 1);
+      SolAssert.assertBNEqual(logs[0].args._amount, bet3);
+      SolAssert.assertBNEqual(logs[0].args._resultTotalBets, bet1.add(bet3));
+      SolAssert.assertBNEqual(logs[0].args._totalQtumValue, bet1.add(bet2).add(bet3));
+    });
+
     it('throws if receiving from an address that is not the CentralizedOracle contract', async () => {
       await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
       assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._bettingStartTime);
@@ -475,6 +522,59 @@ contract('TopicEvent', (accounts) => {
     });
   });
 
+  describe('withdrawBetFromOracle()', () => {
+    const betAmount = Utils.getBigNumberWithDecimals(1, NATIVE_DECIMALS);
+
+    beforeEach(async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      await centralizedOracle.bet(1, { from: USER1, value: betAmount });
+      await centralizedOracle.bet(2, { from: USER2, value: betAmount });
+      await centralizedOracle.bet(2, { from: USER3, value: betAmount });
+    });
+
+    it('pays the early exit penalty out like a losing bet', async () => {
+      await centralizedOracle.withdrawBet(2, betAmount, { from: USER3 });
+      const penalty = betAmount.div(10);
+      SolAssert.assertBNEqual(await testTopic.totalExitPenalties.call(), penalty);
+      SolAssert.assertBNEqual((await testTopic.getBetBalancesFor(USER3))[2], 0);
+
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(1, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+
+      // 99% of the losing bet and the penalty go to the winning better
+      const losersTotal = betAmount.add(penalty);
+      const qtumWon = betAmount.add(losersTotal.sub(losersTotal.div(100)));
+      SolAssert.assertBNEqual((await testTopic.calculateWinningsFor(USER1))[1], qtumWon);
+      SolAssert.assertBNEqual((await testTopic.calculateWinningsFor(USER3))[1], 0);
+    });
+
+    it('throws if not called by the CentralizedOracle', async () => {
+      try {
+        await testTopic.withdrawBetFromOracle(USER1, 1, betAmount, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the better transferred the Outcome Tokens', async () => {
+      const outcomeToken = OutcomeToken.at(await testTopic.outcomeTokens.call(1));
+      await outcomeToken.transfer(USER2, betAmount, { from: USER1 });
+
+      try {
+        await centralizedOracle.withdrawBet(1, betAmount, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
   describe('centralizedOracleSetResult()', () => {
     beforeEach(async () => {
       await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
@@ -509,6 +609,19 @@ contract('TopicEvent', (accounts) => {
       assert.isFalse(decentralizedOracle[1]);
     });
 
+    it('emits VoteCast for the consensus threshold of the CentralizedOracle', async () => {
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      const tx = await centralizedOracle.setResult(2, { from: ORACLE });
+
+      const logs = await Utils.getEventLogs(testTopic.VoteCast, tx);
+      assert.equal(logs.length, 1);
+      assert.equal(logs[0].args._voter, ORACLE);
+      assert.equal(logs[0].args._resultIndex, 2);
+      SolAssert.assertBNEqual(logs[0].args._amount, CORACLE_THRESHOLD);
+      SolAssert.assertBNEqual(logs[0].args._resultTotalVotes, CORACLE_THRESHOLD);
+      SolAssert.assertBNEqual(logs[0].args._totalBotValue, CORACLE_THRESHOLD);
+    });
+
     it('throws on an invalid result index', async () => {
       await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
 
@@ -617,6 +730,20 @@ contract('TopicEvent', (accounts) => {
       SolAssert.assertBNEqual(await token.balanceOf(testTopic.address), await testTopic.totalBotValue.call());
     });
 
+    it('emits VoteCast with the running totals', async () => {
+      const vote1 = Utils.getBigNumberWithDecimals(20, BOT_DECIMALS);
+      await ContractHelper.approve(token, USER1, testTopic.address, vote1);
+      const tx = await decentralizedOracle.voteResult(2, vote1, { from: USER1 });
+
+      const logs = await Utils.getEventLogs(testTopic.VoteCast, tx);
+      assert.equal(logs.length, 1);
+      assert.equal(logs[0].args._voter, USER1);
+      assert.equal(logs[0].args._resultIndex, 2);
+      SolAssert.assertBNEqual(logs[0].args._amount, vote1);
+      SolAssert.assertBNEqual(logs[0].args._resultTotalVotes, vote1);
+      SolAssert.assertBNEqual(logs[0].args._totalBotValue, CORACLE_THRESHOLD.add(vote1));
+    });
+
     it('throws if voting on an invalid result index', async () => {
       try {
         await decentralizedOracle.voteResult(INVALID_RESULT_INDEX, 1, { from: USER1 });
@@ -1136,6 +1263,181 @@ contract('TopicEvent', (accounts) => {
       assert.isTrue(await testTopic.didWithdraw.call(USER2));
     });
 
+    it('refunds all the bets and votes if the final result is Invalid after multiple voting rounds', async () => {
+      // DecentralizedOracle1 voting hits consensusThreshold and sets the result to Invalid
+      const vote1 = web3.toBigNumber(6000000000);
+      await ContractHelper.approve(token, USER1, testTopic.address, vote1);
+      await decentralizedOracle.voteResult(INVALID_RESULT, vote1, { from: USER1 });
+
+      const vote2 = web3.toBigNumber(4000000000);
+      await ContractHelper.approve(token, USER2, testTopic.address, vote2);
+      await decentralizedOracle.voteResult(INVALID_RESULT, vote2, { from: USER2 });
+      assert.equal((await testTopic.getFinalResult())[0], INVALID_RESULT);
+
+      // DecentralizedOracle2 voting under consensusThreshold
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(2))[0]);
+
+      const vote3 = web3.toBigNumber(5000000000);
+      await ContractHelper.approve(token, USER3, testTopic.address, vote3);
+      await decentralizedOracle.voteResult(dOracle2Result, vote3, { from: USER3 });
+
+      const totalBotValue = CORACLE_THRESHOLD.add(vote1).add(vote2).add(vote3);
+      SolAssert.assertBNEqual(await testTopic.totalBotValue.call(), totalBotValue);
+      SolAssert.assertBNEqual(await token.balanceOf(testTopic.address), totalBotValue);
+
+      // DecentralizedOracle2 finalize result
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), arbitrationEndTime);
+
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+      assert.equal((await testTopic.status.call()).toNumber(), STATUS_COLLECTION);
+
+      const finalResult = await testTopic.getFinalResult();
+      assert.equal(finalResult[0], INVALID_RESULT);
+      assert.isTrue(finalResult[1]);
+
+      // Escrow is forfeited to the voters of the Invalid result
+      SolAssert.assertBNEqual(await testTopic.forfeitedEscrow.call(), escrowAmount);
+      SolAssert.assertBNEqual(await token.balanceOf(testTopic.address), totalBotValue.add(escrowAmount));
+      SolAssert.assertBNEqual((await addressManager.escrows.call(testTopic.address))[3], escrowAmount);
+
+      // Everyone gets back exactly what they put in, Invalid voters also get their share of the escrow
+      const assertRefund = async (participant, botRefund, qtumRefund) => {
+        const winningsArr = await testTopic.calculateWinnings({ from: participant });
+        SolAssert.assertBNEqual(winningsArr[0], botRefund);
+        SolAssert.assertBNEqual(winningsArr[1], qtumRefund);
+
+        const expectedQtum = (await web3.eth.getBalance(testTopic.address)).sub(qtumRefund);
+        const expectedBot = (await token.balanceOf(testTopic.address)).sub(botRefund);
+        await testTopic.withdrawWinnings({ from: participant });
+        SolAssert.assertBNEqual(await web3.eth.getBalance(testTopic.address), expectedQtum);
+        SolAssert.assertBNEqual(await token.balanceOf(testTopic.address), expectedBot);
+        assert.isTrue(await testTopic.didWithdraw.call(participant));
+      };
+
+      const invalidVotes = vote1.add(vote2);
+      await assertRefund(USER1, vote1.add(escrowAmount.mul(vote1).div(invalidVotes)), bet1);
+      await assertRefund(USER2, vote2.add(escrowAmount.mul(vote2).div(invalidVotes)), bet2);
+      await assertRefund(USER3, vote3, bet3);
+      await assertRefund(USER4, 0, bet4);
+      await assertRefund(ORACLE, CORACLE_THRESHOLD, 0);
+
+      SolAssert.assertBNEqual(await web3.eth.getBalance(testTopic.address), 0);
+      SolAssert.assertBNEqual(await token.balanceOf(testTopic.address), 0);
+    });
+
+    it('forfeits the escrow to the treasury if the final result is Invalid and configured so', async () => {
+      await addressManager.setTreasuryAddress(TREASURY, { from: ADMIN });
+      await addressManager.setForfeitEscrowToTreasury(true, { from: ADMIN });
+
+      const vote1 = web3.toBigNumber(10000000000);
+      await ContractHelper.approve(token, USER1, testTopic.address, vote1);
+      await decentralizedOracle.voteResult(INVALID_RESULT, vote1, { from: USER1 });
+
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(2))[0]);
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+
+      const treasuryBalanceBefore = await token.balanceOf(TREASURY);
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+      assert.equal((await testTopic.getFinalResult())[0], INVALID_RESULT);
+
+      SolAssert.assertBNEqual(await token.balanceOf(TREASURY), treasuryBalanceBefore.add(escrowAmount));
+      SolAssert.assertBNEqual(await testTopic.forfeitedEscrow.call(), 0);
+      SolAssert.assertBNEqual((await testTopic.calculateWinnings({ from: USER1 }))[0], vote1);
+    });
+
+    it('pays out multiple winners with withdrawWinningsFor()', async () => {
+      // DecentralizedOracle finalize result
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), arbitrationEndTime);
+
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+      assert.equal((await testTopic.status.call()).toNumber(), STATUS_COLLECTION);
+
+      // USER4 already withdrew so is skipped
+      await testTopic.withdrawWinnings({ from: USER4 });
+      assert.isTrue(await testTopic.didWithdraw.call(USER4));
+
+      const user3Winnings = await testTopic.calculateWinnings({ from: USER3 });
+      const oracleWinnings = await testTopic.calculateWinnings({ from: ORACLE });
+      assert.isAbove(user3Winnings[1].toNumber(), 0);
+      assert.isAbove(oracleWinnings[0].toNumber(), 0);
+
+      const user3QtumBefore = await web3.eth.getBalance(USER3);
+      const oracleQtumBefore = await web3.eth.getBalance(ORACLE);
+      const oracleBotBefore = await token.balanceOf(ORACLE);
+      const expectedQtum = (await web3.eth.getBalance(testTopic.address)).sub(user3Winnings[1])
+        .sub(oracleWinnings[1]);
+      const expectedBot = (await token.balanceOf(testTopic.address)).sub(user3Winnings[0]).sub(oracleWinnings[0]);
+
+      // USER1 lost so is skipped
+      const tx = await testTopic.withdrawWinningsFor([USER3, USER4, ORACLE, USER1], { from: USER5 });
+      assert.equal(tx.logs.length, 2);
+      assert.equal(tx.logs[0].event, 'WinningsWithdrawn');
+      assert.equal(tx.logs[0].args._winner, USER3);
+      SolAssert.assertBNEqual(tx.logs[0].args._qtumTokenWon, user3Winnings[1]);
+      assert.equal(tx.logs[1].args._winner, ORACLE);
+      SolAssert.assertBNEqual(tx.logs[1].args._botTokenWon, oracleWinnings[0]);
+
+      SolAssert.assertBNEqual(await web3.eth.getBalance(testTopic.address), expectedQtum);
+      SolAssert.assertBNEqual(await token.balanceOf(testTopic.address), expectedBot);
+      SolAssert.assertBNEqual(await web3.eth.getBalance(USER3), user3QtumBefore.add(user3Winnings[1]));
+      SolAssert.assertBNEqual(await web3.eth.getBalance(ORACLE), oracleQtumBefore.add(oracleWinnings[1]));
+      SolAssert.assertBNEqual(await token.balanceOf(ORACLE), oracleBotBefore.add(oracleWinnings[0]));
+
+      assert.isTrue(await testTopic.didWithdraw.call(USER3));
+      assert.isTrue(await testTopic.didWithdraw.call(ORACLE));
+      assert.isFalse(await testTopic.didWithdraw.call(USER1));
+
+      try {
+        await testTopic.withdrawWinnings({ from: USER3 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('skips winners rejecting the QTUM in withdrawWinningsFor()', async () => {
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+
+      // USER4 moves its winning bet to a contract that reverts on receiving QTUM
+      const receiver = await RejectingReceiverMock.new();
+      const outcomeToken = OutcomeToken.at(await testTopic.outcomeTokens.call(cOracleResult));
+      await outcomeToken.transfer(receiver.address, bet4, { from: USER4 });
+      const receiverWinnings = await testTopic.calculateWinningsFor(receiver.address);
+      assert.isAbove(receiverWinnings[1].toNumber(), 0);
+
+      const user3Winnings = await testTopic.calculateWinnings({ from: USER3 });
+      const expectedQtum = (await web3.eth.getBalance(testTopic.address)).sub(user3Winnings[1]);
+
+      const tx = await testTopic.withdrawWinningsFor([receiver.address, USER3], { from: USER5 });
+      assert.equal(tx.logs.length, 1);
+      assert.equal(tx.logs[0].args._winner, USER3);
+      SolAssert.assertBNEqual(await web3.eth.getBalance(testTopic.address), expectedQtum);
+      assert.isTrue(await testTopic.didWithdraw.call(USER3));
+
+      // The receiver keeps its Outcome Tokens and winnings
+      assert.isFalse(await testTopic.didWithdraw.call(receiver.address));
+      SolAssert.assertBNEqual(await outcomeToken.balanceOf(receiver.address), bet4);
+      const winnings = await testTopic.calculateWinningsFor(receiver.address);
+      SolAssert.assertBNEqual(winnings[1], receiverWinnings[1]);
+    });
+
+    it('throws if withdrawWinningsFor() is called when status is not Status:Collection', async () => {
+      assert.notEqual((await testTopic.status.call()).toNumber(), STATUS_COLLECTION);
+      try {
+        await testTopic.withdrawWinningsFor([USER3, USER4], { from: USER5 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
     it('throws if status is not Status:Collection', async () => {
       assert.notEqual((await testTopic.status.call()).toNumber(), STATUS_COLLECTION);
       try {
@@ -1194,11 +1496,11 @@ contract('TopicEvent', (accounts) => {
 
         await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
 
-        await centralizedOracle.setResult(0, { from: ORACLE });
+        await centralizedOracle.setResult(1, { from: ORACLE });
         assert.isTrue((await testTopic.oracles.call(0))[1]);
         assert.equal((await testTopic.status.call()).toNumber(), STATUS_VOTING);
         const finalResult = await testTopic.getFinalResult();
-        assert.equal(finalResult[0], 0);
+        assert.equal(finalResult[0], 1);
         assert.isFalse(finalResult[1]);
 
         // Finalize
@@ -1223,6 +1525,21 @@ contract('TopicEvent', (accounts) => {
         SolAssert.assertBNEqual(await token.balanceOf(OWNER), balanceBefore.add(escrowAmount));
       });
 
+      it('throws if trying to withdraw the escrow twice', async () => {
+        await testTopic.withdrawEscrow({ from: OWNER });
+        const balanceBefore = await token.balanceOf(OWNER);
+
+        try {
+          await testTopic.withdrawEscrow({ from: OWNER });
+          assert.fail();
+        } catch (e) {
+          SolAssert.assertRevert(e);
+        }
+
+        SolAssert.assertBNEqual(await token.balanceOf(OWNER), balanceBefore);
+        SolAssert.assertBNEqual((await addressManager.escrows.call(testTopic.address))[2], escrowAmount);
+      });
+
       it('throws if trying to withdraw escrow from non-owner address', async () => {
         const balanceBeforeOwner = await token.balanceOf(OWNER);
         const balanceBeforeUser1 = await token.balanceOf(USER1);
@@ -1240,6 +1557,32 @@ contract('TopicEvent', (accounts) => {
       });
     });
 
+    describe('in Status:Collection with an Invalid result', () => {
+      it('throws because the escrow was forfeited', async () => {
+        await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+        await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+        await centralizedOracle.setResult(INVALID_RESULT, { from: ORACLE });
+
+        decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+        const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+        await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+        await decentralizedOracle.finalizeResult({ from: USER1 });
+        assert.equal((await testTopic.status.call()).toNumber(), STATUS_COLLECTION);
+
+        const balanceBefore = await token.balanceOf(OWNER);
+        try {
+          await testTopic.withdrawEscrow({ from: OWNER });
+          assert.fail();
+        } catch (e) {
+          SolAssert.assertRevert(e);
+        }
+
+        SolAssert.assertBNEqual(await token.balanceOf(OWNER), balanceBefore);
+        SolAssert.assertBNEqual(await token.balanceOf(addressManager.address), 0);
+        SolAssert.assertBNEqual(await testTopic.forfeitedEscrow.call(), escrowAmount);
+      });
+    });
+
     describe('not in Status:Collection', () => {
       it('throws if trying to withdraw escrow not in Status:Collection', async () => {
         assert.notEqual((await testTopic.status.call()).toNumber(), STATUS_COLLECTION);
@@ -1259,71 +1602,1283 @@ contract('TopicEvent', (accounts) => {
     });
   });
 
-  describe('getBetBalances()', () => {
-    it('returns the bet balances', async () => {
+  describe('cancel()', () => {
+    it('allows the owner to cancel before betting starts and returns the escrow', async () => {
+      assert.isBelow(Utils.getCurrentBlockTime(), topicParams._bettingStartTime);
+      const balanceBefore = await token.balanceOf(OWNER);
+
+      const tx = await testTopic.cancel({ from: OWNER });
+      assert.equal(tx.logs[0].event, 'TopicCancelled');
+      assert.equal((await testTopic.status.call()).toNumber(), STATUS_CANCELLED);
+      assert.isTrue(await centralizedOracle.finished.call());
+      assert.isTrue(await centralizedOracle.cancelled.call());
+      SolAssert.assertBNEqual(await token.balanceOf(addressManager.address), 0);
+      SolAssert.assertBNEqual(await token.balanceOf(OWNER), balanceBefore.add(escrowAmount));
+    });
+
+    it('allows the owner to cancel after betting starts if there are no bets', async () => {
       await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
       assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._bettingStartTime);
-      assert.isBelow(Utils.getCurrentBlockTime(), topicParams._bettingEndTime);
-
-      const bet0 = Utils.getBigNumberWithDecimals(13, NATIVE_DECIMALS);
-      await centralizedOracle.bet(0, {
-        from: ORACLE,
-        value: bet0,
-      });
 
-      const bet1 = Utils.getBigNumberWithDecimals(7, NATIVE_DECIMALS);
-      await centralizedOracle.bet(1, {
-        from: ORACLE,
-        value: bet1,
-      });
+      await testTopic.cancel({ from: OWNER });
+      assert.equal((await testTopic.status.call()).toNumber(), STATUS_CANCELLED);
+      SolAssert.assertBNEqual(await token.balanceOf(addressManager.address), 0);
+    });
 
-      const bet2 = Utils.getBigNumberWithDecimals(4, NATIVE_DECIMALS);
-      await centralizedOracle.bet(2, {
-        from: ORACLE,
-        value: bet2,
-      });
+    it('rejects bets, results and escrow withdrawals after cancelling', async () => {
+      await testTopic.cancel({ from: OWNER });
 
-      const betBalances = await testTopic.getBetBalances({ from: ORACLE });
-      SolAssert.assertBNEqual(betBalances[0], bet0);
-      SolAssert.assertBNEqual(betBalances[1], bet1);
-      SolAssert.assertBNEqual(betBalances[2], bet2);
-    });
-  });
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      try {
+        await centralizedOracle.bet(1, { from: USER1, value: 1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
 
-  describe('getVoteBalances()', () => {
-    it('returns the vote balances', async () => {
       await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
-      assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._resultSettingStartTime);
-
       await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
-      await centralizedOracle.setResult(1, { from: ORACLE });
-      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
-
-      const vote1 = Utils.getBigNumberWithDecimals(20, BOT_DECIMALS);
-      await ContractHelper.approve(token, USER1, testTopic.address, vote1);
-      await decentralizedOracle.voteResult(0, vote1, { from: USER1 });
-      SolAssert.assertBNEqual((await testTopic.getVoteBalances({ from: USER1 }))[0], vote1);
+      try {
+        await centralizedOracle.setResult(1, { from: ORACLE });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
 
-      const vote2 = Utils.getBigNumberWithDecimals(35, BOT_DECIMALS);
-      await ContractHelper.approve(token, USER2, testTopic.address, vote2);
-      await decentralizedOracle.voteResult(2, vote2, { from: USER2 });
-      SolAssert.assertBNEqual((await testTopic.getVoteBalances({ from: USER2 }))[2], vote2);
+      try {
+        await testTopic.withdrawEscrow({ from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
 
-      const vote3 = Utils.getBigNumberWithDecimals(10, BOT_DECIMALS);
-      await ContractHelper.approve(token, USER3, testTopic.address, vote3);
-      await decentralizedOracle.voteResult(0, vote3, { from: USER3 });
-      SolAssert.assertBNEqual((await testTopic.getVoteBalances({ from: USER3 }))[0], vote3);
+      try {
+        await testTopic.cancel({ from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
     });
-  });
 
-  describe('getFinalResult()', () => {
-    it('returns the final result index and name', async () => {
-      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
-      assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._resultSettingStartTime);
+    it('throws if a non-owner tries to cancel', async () => {
+      try {
+        await testTopic.cancel({ from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
 
-      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      assert.equal((await testTopic.status.call()).toNumber(), 0);
+      SolAssert.assertBNEqual(await token.balanceOf(addressManager.address), escrowAmount);
+    });
 
-      const finalResultIndex = 1;
+    it('throws if there are bets', async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      await centralizedOracle.bet(1, { from: USER1, value: 1 });
+
+      try {
+        await testTopic.cancel({ from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      assert.equal((await testTopic.status.call()).toNumber(), 0);
+      assert.isFalse(await centralizedOracle.finished.call());
+    });
+
+    it('throws if the result has been set', async () => {
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(1, { from: ORACLE });
+
+      try {
+        await testTopic.cancel({ from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('expire()', () => {
+    it('allows anyone to close an empty topic after betting ends and returns the escrow', async () => {
+      await timeMachine.increaseTime(topicParams._bettingEndTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._bettingEndTime);
+      const balanceBefore = await token.balanceOf(OWNER);
+
+      const tx = await testTopic.expire({ from: USER1 });
+      assert.equal(tx.logs[0].event, 'TopicExpired');
+      assert.equal((await testTopic.status.call()).toNumber(), STATUS_CANCELLED);
+      assert.isTrue(await centralizedOracle.cancelled.call());
+      assert.equal((await testTopic.getFinalResult())[1], false);
+      SolAssert.assertBNEqual(await token.balanceOf(addressManager.address), 0);
+      SolAssert.assertBNEqual(await token.balanceOf(OWNER), balanceBefore.add(escrowAmount));
+
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      try {
+        await centralizedOracle.setResult(1, { from: ORACLE });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if betting has not ended', async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      assert.isBelow(Utils.getCurrentBlockTime(), topicParams._bettingEndTime);
+
+      try {
+        await testTopic.expire({ from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if there are bets', async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      await centralizedOracle.bet(1, { from: USER1, value: 1 });
+      await timeMachine.increaseTime(topicParams._bettingEndTime - Utils.getCurrentBlockTime());
+
+      try {
+        await testTopic.expire({ from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the result has been set', async () => {
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(1, { from: ORACLE });
+
+      try {
+        await testTopic.expire({ from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if already closed', async () => {
+      await testTopic.cancel({ from: OWNER });
+      await timeMachine.increaseTime(topicParams._bettingEndTime - Utils.getCurrentBlockTime());
+
+      try {
+        await testTopic.expire({ from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('sweepUnclaimed()', () => {
+    const cOracleResult = 2;
+    const bet1 = Utils.getBigNumberWithDecimals(10, NATIVE_DECIMALS);
+    const bet3 = Utils.getBigNumberWithDecimals(3, NATIVE_DECIMALS);
+
+    beforeEach(async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._bettingStartTime);
+      assert.isBelow(Utils.getCurrentBlockTime(), topicParams._bettingEndTime);
+
+      await centralizedOracle.bet(1, {
+        from: USER1,
+        value: bet1,
+      });
+      await centralizedOracle.bet(cOracleResult, {
+        from: USER3,
+        value: bet3,
+      });
+
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._resultSettingStartTime);
+
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(cOracleResult, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+      assert.equal((await testTopic.status.call()).toNumber(), STATUS_COLLECTION);
+    });
+
+    it('sets the claimEndTime when the result is finalized', async () => {
+      const claimPeriodLength = await addressManager.claimPeriodLength.call();
+      SolAssert.assertBNEqual(
+        await testTopic.claimEndTime.call(),
+        claimPeriodLength.add(Utils.getCurrentBlockTime()),
+      );
+    });
+
+    it('sends the unclaimed QTUM and BOT to the treasury after the claim period', async () => {
+      await addressManager.setTreasuryAddress(TREASURY, { from: ADMIN });
+      await testTopic.withdrawWinnings({ from: USER3 });
+
+      const unclaimed = await testTopic.getUnclaimedBalances();
+      SolAssert.assertBNEqual(unclaimed[0], await web3.eth.getBalance(testTopic.address));
+      SolAssert.assertBNEqual(unclaimed[1], CORACLE_THRESHOLD);
+      assert.isAbove(unclaimed[0].toNumber(), 0);
+
+      const claimEndTime = (await testTopic.claimEndTime.call()).toNumber();
+      await timeMachine.increaseTime(claimEndTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), claimEndTime);
+
+      const treasuryQtumBefore = await web3.eth.getBalance(TREASURY);
+      const treasuryBotBefore = await token.balanceOf(TREASURY);
+      const tx = await testTopic.sweepUnclaimed({ from: USER5 });
+      assert.equal(tx.logs[0].event, 'UnclaimedSwept');
+      assert.equal(tx.logs[0].args._treasury, TREASURY);
+      SolAssert.assertBNEqual(tx.logs[0].args._qtumAmount, unclaimed[0]);
+      SolAssert.assertBNEqual(tx.logs[0].args._botAmount, unclaimed[1]);
+
+      SolAssert.assertBNEqual(await web3.eth.getBalance(TREASURY), treasuryQtumBefore.add(unclaimed[0]));
+      SolAssert.assertBNEqual(await token.balanceOf(TREASURY), treasuryBotBefore.add(unclaimed[1]));
+      SolAssert.assertBNEqual(await web3.eth.getBalance(testTopic.address), 0);
+      SolAssert.assertBNEqual(await token.balanceOf(testTopic.address), 0);
+    });
+
+    it('throws if withdrawing winnings after the claim period', async () => {
+      const claimEndTime = (await testTopic.claimEndTime.call()).toNumber();
+      await timeMachine.increaseTime(claimEndTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), claimEndTime);
+
+      try {
+        await testTopic.withdrawWinnings({ from: ORACLE });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      try {
+        await testTopic.withdrawWinningsFor([USER3], { from: ORACLE });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if sweeping before the claim period ends', async () => {
+      await addressManager.setTreasuryAddress(TREASURY, { from: ADMIN });
+      assert.isBelow(Utils.getCurrentBlockTime(), (await testTopic.claimEndTime.call()).toNumber());
+
+      try {
+        await testTopic.sweepUnclaimed({ from: USER5 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the treasury address is not set', async () => {
+      const claimEndTime = (await testTopic.claimEndTime.call()).toNumber();
+      await timeMachine.increaseTime(claimEndTime - Utils.getCurrentBlockTime());
+      assert.equal(await addressManager.treasuryAddress.call(), 0);
+
+      try {
+        await testTopic.sweepUnclaimed({ from: USER5 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('getBetBalances()', () => {
+    it('returns the bet balances', async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._bettingStartTime);
+      assert.isBelow(Utils.getCurrentBlockTime(), topicParams._bettingEndTime);
+
+      const bet0 = Utils.getBigNumberWithDecimals(13, NATIVE_DECIMALS);
+      await centralizedOracle.bet(0, {
+        from: ORACLE,
+        value: bet0,
+      });
+
+      const bet1 = Utils.getBigNumberWithDecimals(7, NATIVE_DECIMALS);
+      await centralizedOracle.bet(1, {
+        from: ORACLE,
+        value: bet1,
+      });
+
+      const bet2 = Utils.getBigNumberWithDecimals(4, NATIVE_DECIMALS);
+      await centralizedOracle.bet(2, {
+        from: ORACLE,
+        value: bet2,
+      });
+
+      const betBalances = await testTopic.getBetBalances({ from: ORACLE });
+      SolAssert.assertBNEqual(betBalances[0], bet0);
+      SolAssert.assertBNEqual(betBalances[1], bet1);
+      SolAssert.assertBNEqual(betBalances[2], bet2);
+    });
+  });
+
+  describe('getVoteBalances()', () => {
+    it('returns the vote balances', async () => {
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._resultSettingStartTime);
+
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(1, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+
+      const vote1 = Utils.getBigNumberWithDecimals(20, BOT_DECIMALS);
+      await ContractHelper.approve(token, USER1, testTopic.address, vote1);
+      await decentralizedOracle.voteResult(0, vote1, { from: USER1 });
+      SolAssert.assertBNEqual((await testTopic.getVoteBalances({ from: USER1 }))[0], vote1);
+
+      const vote2 = Utils.getBigNumberWithDecimals(35, BOT_DECIMALS);
+      await ContractHelper.approve(token, USER2, testTopic.address, vote2);
+      await decentralizedOracle.voteResult(2, vote2, { from: USER2 });
+      SolAssert.assertBNEqual((await testTopic.getVoteBalances({ from: USER2 }))[2], vote2);
+
+      const vote3 = Utils.getBigNumberWithDecimals(10, BOT_DECIMALS);
+      await ContractHelper.approve(token, USER3, testTopic.address, vote3);
+      await decentralizedOracle.voteResult(0, vote3, { from: USER3 });
+      SolAssert.assertBNEqual((await testTopic.getVoteBalances({ from: USER3 }))[0], vote3);
+    });
+  });
+
+  describe('getBetBalancesFor()', () => {
+    it('returns the bet balances of the given address', async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._bettingStartTime);
+      assert.isBelow(Utils.getCurrentBlockTime(), topicParams._bettingEndTime);
+
+      const bet0 = Utils.getBigNumberWithDecimals(3, NATIVE_DECIMALS);
+      await centralizedOracle.bet(0, {
+        from: USER1,
+        value: bet0,
+      });
+
+      const bet2 = Utils.getBigNumberWithDecimals(9, NATIVE_DECIMALS);
+      await centralizedOracle.bet(2, {
+        from: USER1,
+        value: bet2,
+      });
+
+      const betBalances = await testTopic.getBetBalancesFor(USER1, { from: USER2 });
+      SolAssert.assertBNEqual(betBalances[0], bet0);
+      SolAssert.assertBNEqual(betBalances[1], 0);
+      SolAssert.assertBNEqual(betBalances[2], bet2);
+
+      const senderBalances = await testTopic.getBetBalances({ from: USER2 });
+      SolAssert.assertBNEqual(senderBalances[0], 0);
+      SolAssert.assertBNEqual(senderBalances[2], 0);
+    });
+  });
+
+  describe('getVoteBalancesFor()', () => {
+    it('returns the vote balances of the given address', async () => {
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._resultSettingStartTime);
+
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(1, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+
+      const vote0 = Utils.getBigNumberWithDecimals(20, BOT_DECIMALS);
+      await ContractHelper.approve(token, USER1, testTopic.address, vote0);
+      await decentralizedOracle.voteResult(0, vote0, { from: USER1 });
+
+      const vote2 = Utils.getBigNumberWithDecimals(15, BOT_DECIMALS);
+      await ContractHelper.approve(token, USER1, testTopic.address, vote2);
+      await decentralizedOracle.voteResult(2, vote2, { from: USER1 });
+
+      const voteBalances = await testTopic.getVoteBalancesFor(USER1, { from: USER2 });
+      SolAssert.assertBNEqual(voteBalances[0], vote0);
+      SolAssert.assertBNEqual(voteBalances[1], 0);
+      SolAssert.assertBNEqual(voteBalances[2], vote2);
+
+      const oracleBalances = await testTopic.getVoteBalancesFor(ORACLE, { from: USER2 });
+      SolAssert.assertBNEqual(oracleBalances[1], CORACLE_THRESHOLD);
+    });
+  });
+
+  describe('calculateWinningsFor() and getPositionSummary()', () => {
+    const cOracleResult = 2;
+    const bet1 = Utils.getBigNumberWithDecimals(11, NATIVE_DECIMALS);
+    const bet3 = Utils.getBigNumberWithDecimals(7, NATIVE_DECIMALS);
+    const vote1 = Utils.getBigNumberWithDecimals(25, BOT_DECIMALS);
+
+    beforeEach(async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._bettingStartTime);
+      assert.isBelow(Utils.getCurrentBlockTime(), topicParams._bettingEndTime);
+
+      await centralizedOracle.bet(1, {
+        from: USER1,
+        value: bet1,
+      });
+      await centralizedOracle.bet(cOracleResult, {
+        from: USER3,
+        value: bet3,
+      });
+
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._resultSettingStartTime);
+      assert.isBelow(Utils.getCurrentBlockTime(), topicParams._resultSettingEndTime);
+
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(cOracleResult, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+
+      await ContractHelper.approve(token, USER1, testTopic.address, vote1);
+      await decentralizedOracle.voteResult(1, vote1, { from: USER1 });
+    });
+
+    it('returns the same winnings as calculateWinnings() of the given address', async () => {
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+      assert.equal((await testTopic.status.call()).toNumber(), STATUS_COLLECTION);
+
+      let winningsArr = await testTopic.calculateWinningsFor(USER3, { from: USER2 });
+      let senderWinningsArr = await testTopic.calculateWinnings({ from: USER3 });
+      assert.isAbove(winningsArr[1].toNumber(), bet3.toNumber());
+      SolAssert.assertBNEqual(winningsArr[0], senderWinningsArr[0]);
+      SolAssert.assertBNEqual(winningsArr[1], senderWinningsArr[1]);
+
+      winningsArr = await testTopic.calculateWinningsFor(ORACLE, { from: USER2 });
+      senderWinningsArr = await testTopic.calculateWinnings({ from: ORACLE });
+      SolAssert.assertBNEqual(winningsArr[0], CORACLE_THRESHOLD.add(vote1));
+      SolAssert.assertBNEqual(winningsArr[0], senderWinningsArr[0]);
+      SolAssert.assertBNEqual(winningsArr[1], senderWinningsArr[1]);
+
+      winningsArr = await testTopic.calculateWinningsFor(USER1, { from: USER2 });
+      SolAssert.assertBNEqual(winningsArr[0], 0);
+      SolAssert.assertBNEqual(winningsArr[1], 0);
+    });
+
+    it('throws if calculateWinningsFor() is called when status is not Status:Collection', async () => {
+      assert.notEqual((await testTopic.status.call()).toNumber(), STATUS_COLLECTION);
+
+      try {
+        await testTopic.calculateWinningsFor(USER3, { from: USER2 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('returns the position summary before and after collection', async () => {
+      let summary = await testTopic.getPositionSummary(USER1, { from: USER2 });
+      SolAssert.assertBNEqual(summary[0][1], bet1);
+      SolAssert.assertBNEqual(summary[1][1], vote1);
+      SolAssert.assertBNEqual(summary[2], 0);
+      SolAssert.assertBNEqual(summary[3], 0);
+      assert.isFalse(summary[4]);
+
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+      assert.equal((await testTopic.status.call()).toNumber(), STATUS_COLLECTION);
+
+      const winningsArr = await testTopic.calculateWinnings({ from: USER3 });
+      summary = await testTopic.getPositionSummary(USER3, { from: USER2 });
+      SolAssert.assertBNEqual(summary[0][cOracleResult], bet3);
+      SolAssert.assertBNEqual(summary[2], winningsArr[0]);
+      SolAssert.assertBNEqual(summary[3], winningsArr[1]);
+      assert.isFalse(summary[4]);
+
+      await testTopic.withdrawWinnings({ from: USER3 });
+      summary = await testTopic.getPositionSummary(USER3, { from: USER2 });
+      assert.isTrue(summary[4]);
+    });
+  });
+
+  describe('getTopicSummary()', () => {
+    it('returns the state of the topic and its CentralizedOracle', async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      const bet1 = Utils.getBigNumberWithDecimals(1, NATIVE_DECIMALS);
+      await centralizedOracle.bet(1, { from: USER1, value: bet1 });
+
+      const summary = await testTopic.getTopicSummary();
+      assert.equal(web3.toUtf8(summary[0][0]), topicParams._name[0]);
+      assert.equal(web3.toUtf8(summary[0][1]), topicParams._name[1]);
+      assert.equal(web3.toUtf8(summary[1][0]), RESULT_INVALID);
+      assert.equal(web3.toUtf8(summary[1][1]), topicParams._resultNames[0]);
+      assert.equal(summary[2].toNumber(), 4);
+      assert.equal(summary[3].toNumber(), 0);
+      assert.equal(summary[4].toNumber(), (await testTopic.INVALID_RESULT_INDEX.call()).toNumber());
+      SolAssert.assertBNEqual(summary[5][1], bet1);
+      SolAssert.assertBNEqual(summary[6][1], 0);
+      assert.equal(summary[7], centralizedOracle.address);
+      assert.isTrue(summary[8]);
+      assert.equal(summary[9][0].toNumber(), topicParams._bettingStartTime);
+      assert.equal(summary[9][1].toNumber(), topicParams._bettingEndTime);
+      assert.equal(summary[9][2].toNumber(), topicParams._resultSettingStartTime);
+      assert.equal(summary[9][3].toNumber(), topicParams._resultSettingEndTime);
+      SolAssert.assertBNEqual(summary[10], CORACLE_THRESHOLD);
+      assert.equal(summary[11].toNumber(), 1);
+    });
+
+    it('returns the state of the topic and its current DecentralizedOracle', async () => {
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(2, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+
+      const summary = await testTopic.getTopicSummary();
+      assert.equal(summary[3].toNumber(), STATUS_VOTING);
+      assert.equal(summary[4].toNumber(), 2);
+      SolAssert.assertBNEqual(summary[6][2], CORACLE_THRESHOLD);
+      assert.equal(summary[7], decentralizedOracle.address);
+      assert.isFalse(summary[8]);
+      SolAssert.assertBNEqual(summary[9][0], await decentralizedOracle.arbitrationEndTime.call());
+      assert.equal(summary[9][1].toNumber(), 0);
+      SolAssert.assertBNEqual(summary[10], await decentralizedOracle.consensusThreshold.call());
+      assert.equal(summary[11].toNumber(), 2);
+    });
+  });
+
+  describe('getOracleCount(), getOracles() and getActiveOracle()', () => {
+    it('returns the CentralizedOracle while betting', async () => {
+      assert.equal((await testTopic.getOracleCount()).toNumber(), 1);
+
+      const oracles = await testTopic.getOracles();
+      assert.deepEqual(oracles[0], [centralizedOracle.address]);
+      assert.deepEqual(oracles[1], [false]);
+      assert.equal(oracles[2][0].toNumber(), (await testTopic.INVALID_RESULT_INDEX.call()).toNumber());
+      SolAssert.assertBNEqual(oracles[3][0], CORACLE_THRESHOLD);
+
+      const activeOracle = await testTopic.getActiveOracle();
+      assert.equal(activeOracle[0], centralizedOracle.address);
+      assert.equal(activeOracle[1].toNumber(), 0);
+      assert.isTrue(activeOracle[2]);
+    });
+
+    it('returns the full chain of oracles after disputes', async () => {
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(1, { from: ORACLE });
+
+      // DecentralizedOracle1 overturns the result
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+      const dOracle1Threshold = await decentralizedOracle.consensusThreshold.call();
+      await ContractHelper.approve(token, USER1, testTopic.address, dOracle1Threshold);
+      await decentralizedOracle.voteResult(2, dOracle1Threshold, { from: USER1 });
+
+      const decentralizedOracle2 = await DecentralizedOracle.at((await testTopic.oracles.call(2))[0]);
+      assert.equal((await testTopic.getOracleCount()).toNumber(), 3);
+
+      const oracles = await testTopic.getOracles();
+      assert.deepEqual(
+        oracles[0],
+        [centralizedOracle.address, decentralizedOracle.address, decentralizedOracle2.address],
+      );
+      assert.deepEqual(oracles[1], [true, true, false]);
+      assert.equal(oracles[2][0].toNumber(), 1);
+      assert.equal(oracles[2][1].toNumber(), 2);
+      assert.equal(oracles[2][2].toNumber(), (await testTopic.INVALID_RESULT_INDEX.call()).toNumber());
+      SolAssert.assertBNEqual(oracles[3][0], CORACLE_THRESHOLD);
+      SolAssert.assertBNEqual(oracles[3][1], dOracle1Threshold);
+      SolAssert.assertBNEqual(oracles[3][2], await decentralizedOracle2.consensusThreshold.call());
+
+      let activeOracle = await testTopic.getActiveOracle();
+      assert.equal(activeOracle[0], decentralizedOracle2.address);
+      assert.equal(activeOracle[1].toNumber(), 2);
+      assert.isTrue(activeOracle[2]);
+
+      // Finalizing leaves no active oracle
+      const arbitrationEndTime = (await decentralizedOracle2.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle2.finalizeResult({ from: USER1 });
+
+      activeOracle = await testTopic.getActiveOracle();
+      assert.equal(activeOracle[0], decentralizedOracle2.address);
+      assert.isFalse(activeOracle[2]);
+      assert.equal((await testTopic.getOracles())[2][2].toNumber(), 2);
+    });
+  });
+
+  describe('getProjectedPayout()', () => {
+    const bet1 = Utils.getBigNumberWithDecimals(10, NATIVE_DECIMALS);
+    const bet2 = Utils.getBigNumberWithDecimals(30, NATIVE_DECIMALS);
+    const newBet = Utils.getBigNumberWithDecimals(10, NATIVE_DECIMALS);
+
+    beforeEach(async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      await centralizedOracle.bet(1, { from: USER1, value: bet1 });
+      await centralizedOracle.bet(2, { from: USER2, value: bet2 });
+    });
+
+    it('returns the projected payout and the multipliers of every result', async () => {
+      assert.equal((await testTopic.qtumRewardPercentage.call()).toNumber(), 1);
+      assert.equal((await testTopic.MULTIPLIER_BASE.call()).toNumber(), 100000000);
+
+      const projection = await testTopic.getProjectedPayout(1, newBet);
+      // 10 + 10 * (30 - 0.3) / 20
+      SolAssert.assertBNEqual(projection[0], Utils.getBigNumberWithDecimals(24.85, NATIVE_DECIMALS));
+      assert.equal(projection[1][0].toNumber(), 100000000);
+      assert.equal(projection[1][1].toNumber(), 248500000);
+      assert.equal(projection[1][2].toNumber(), 124750000);
+      assert.equal(projection[1][3].toNumber(), 496000000);
+      assert.equal(projection[1][4].toNumber(), 0);
+
+      // Bets on Invalid are refunded
+      SolAssert.assertBNEqual((await testTopic.getProjectedPayout(0, newBet))[0], newBet);
+    });
+
+    it('matches the winnings once the bet is placed and its result wins', async () => {
+      const projection = await testTopic.getProjectedPayout(1, newBet);
+      await centralizedOracle.bet(1, { from: USER3, value: newBet });
+
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(1, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+
+      SolAssert.assertBNEqual((await testTopic.calculateWinnings({ from: USER3 }))[1], projection[0]);
+    });
+
+    it('throws on an invalid result index or an amount of 0', async () => {
+      try {
+        await testTopic.getProjectedPayout(INVALID_RESULT_INDEX, newBet);
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      try {
+        await testTopic.getProjectedPayout(1, 0);
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('betting with an ERC20 token', () => {
+    const bet1 = Utils.getBigNumberWithDecimals(10, BOT_DECIMALS);
+    const bet2 = Utils.getBigNumberWithDecimals(30, BOT_DECIMALS);
+    let bettingToken;
+    let qtumTopic;
+    let qtumTopicOracle;
+
+    beforeEach(async () => {
+      qtumTopic = testTopic;
+      qtumTopicOracle = centralizedOracle;
+
+      bettingToken = await BodhiToken.new({ from: ADMIN });
+      await bettingToken.mintByOwner(USER1, bet1, { from: ADMIN });
+      await bettingToken.mintByOwner(USER2, bet2, { from: ADMIN });
+      await addressManager.setBettingToken(bettingToken.address, true, { from: ADMIN });
+
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+      topicParams = getTopicParams(ORACLE);
+      topicParams._name = ['Will this topic bet in tokens?'];
+      topicParams._bettingToken = bettingToken.address;
+      const tx = await eventFactory.createTopic(...Object.values(topicParams), { from: OWNER });
+      testTopic = TopicEvent.at(tx.logs[0].args._topicAddress);
+      assert.equal(await testTopic.bettingToken.call(), bettingToken.address);
+
+      centralizedOracle = CentralizedOracle.at((await testTopic.oracles.call(0))[0]);
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+    });
+
+    it('allows betting with the token', async () => {
+      await ContractHelper.approve(bettingToken, USER1, testTopic.address, bet1);
+      await centralizedOracle.betToken(1, bet1, { from: USER1 });
+
+      SolAssert.assertBNEqual(await bettingToken.balanceOf(testTopic.address), bet1);
+      SolAssert.assertBNEqual(await testTopic.totalQtumValue.call(), bet1);
+      SolAssert.assertBNEqual((await testTopic.getBetBalances({ from: USER1 }))[1], bet1);
+      SolAssert.assertBNEqual((await centralizedOracle.getBetBalances({ from: USER1 }))[1], bet1);
+    });
+
+    it('pays out the winnings and the voter reward in the token', async () => {
+      await ContractHelper.approve(bettingToken, USER1, testTopic.address, bet1);
+      await centralizedOracle.betToken(1, bet1, { from: USER1 });
+      await ContractHelper.approve(bettingToken, USER2, testTopic.address, bet2);
+      await centralizedOracle.betToken(2, bet2, { from: USER2 });
+
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(1, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+
+      // 1% of the losing bets goes to the voters
+      const rewardQtum = bet2.div(100);
+      const user1QtumBefore = web3.eth.getBalance(testTopic.address);
+      await testTopic.withdrawWinnings({ from: USER1 });
+      SolAssert.assertBNEqual(await bettingToken.balanceOf(USER1), bet1.add(bet2).sub(rewardQtum));
+      SolAssert.assertBNEqual(web3.eth.getBalance(testTopic.address), user1QtumBefore);
+
+      const oracleBotBefore = await token.balanceOf(ORACLE);
+      await testTopic.withdrawWinnings({ from: ORACLE });
+      SolAssert.assertBNEqual(await bettingToken.balanceOf(ORACLE), rewardQtum);
+      SolAssert.assertBNEqual(await token.balanceOf(ORACLE), oracleBotBefore.add(CORACLE_THRESHOLD));
+
+      SolAssert.assertBNEqual(await bettingToken.balanceOf(testTopic.address), 0);
+      const unclaimed = await testTopic.getUnclaimedBalances();
+      SolAssert.assertBNEqual(unclaimed[0], 0);
+    });
+
+    it('throws on a native QTUM bet', async () => {
+      try {
+        await centralizedOracle.bet(1, { from: USER1, value: 1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws on a token bet without enough allowance', async () => {
+      await ContractHelper.approve(bettingToken, USER1, testTopic.address, bet1.sub(1));
+
+      try {
+        await centralizedOracle.betToken(1, bet1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws on a token bet on a QTUM topic', async () => {
+      await ContractHelper.approve(bettingToken, USER1, qtumTopic.address, bet1);
+
+      try {
+        await qtumTopicOracle.betToken(1, bet1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the token is not registered in the AddressManager', async () => {
+      await addressManager.setBettingToken(bettingToken.address, false, { from: ADMIN });
+
+      try {
+        await TopicEvent.new(
+          0, OWNER, ORACLE, topicParams._name, ['Invalid', 'first', 'second'], 3, topicParams._bettingStartTime,
+          topicParams._bettingEndTime, topicParams._resultSettingStartTime, topicParams._resultSettingEndTime, 0,
+          bettingToken.address, addressManager.address,
+        );
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('outcome tokens', () => {
+    const bet1 = web3.toBigNumber(100000000);
+    const bet2 = web3.toBigNumber(300000000);
+    let outcomeToken;
+
+    beforeEach(async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      await centralizedOracle.bet(1, { from: USER1, value: bet1 });
+      await centralizedOracle.bet(2, { from: USER2, value: bet2 });
+      outcomeToken = OutcomeToken.at(await testTopic.outcomeTokens.call(1));
+    });
+
+    async function finalizeResult(resultIndex) {
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(resultIndex, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+    }
+
+    it('mints a token per result on the first bet', async () => {
+      assert.equal(await outcomeToken.eventAddress.call(), testTopic.address);
+      assert.equal((await outcomeToken.resultIndex.call()).toNumber(), 1);
+      SolAssert.assertBNEqual(await outcomeToken.balanceOf(USER1), bet1);
+      SolAssert.assertBNEqual(await outcomeToken.totalSupply.call(), bet1);
+      assert.equal(await testTopic.outcomeTokens.call(3), 0);
+
+      await centralizedOracle.bet(1, { from: USER3, value: bet1 });
+      assert.equal(await testTopic.outcomeTokens.call(1), outcomeToken.address);
+      SolAssert.assertBNEqual(await outcomeToken.totalSupply.call(), bet1.mul(2));
+    });
+
+    it('moves the bet balance with a token transfer', async () => {
+      await outcomeToken.transfer(USER3, 40000000, { from: USER1 });
+
+      assert.equal((await testTopic.getBetBalancesFor(USER1))[1].toNumber(), 60000000);
+      assert.equal((await testTopic.getBetBalancesFor(USER3))[1].toNumber(), 40000000);
+    });
+
+    it('pays the winnings to the token holders and burns the tokens', async () => {
+      await outcomeToken.transfer(USER3, 40000000, { from: USER1 });
+      await finalizeResult(1);
+
+      // 99% of the losing bets is split between the winning tokens
+      assert.equal((await testTopic.calculateWinningsFor(USER1))[1].toNumber(), 60000000 + 178200000);
+      assert.equal((await testTopic.calculateWinningsFor(USER3))[1].toNumber(), 40000000 + 118800000);
+
+      await testTopic.withdrawWinnings({ from: USER3 });
+      SolAssert.assertBNEqual(await outcomeToken.balanceOf(USER3), 0);
+      SolAssert.assertBNEqual(await outcomeToken.totalSupply.call(), 60000000);
+    });
+
+    it('allows redeeming tokens received after withdrawing', async () => {
+      await outcomeToken.transfer(USER3, 40000000, { from: USER1 });
+      await finalizeResult(1);
+
+      await testTopic.withdrawWinnings({ from: USER1 });
+      assert.equal((await testTopic.calculateWinningsFor(USER1))[1].toNumber(), 0);
+
+      await outcomeToken.transfer(USER1, 40000000, { from: USER3 });
+      assert.equal((await testTopic.calculateWinningsFor(USER1))[1].toNumber(), 40000000 + 118800000);
+
+      const balanceBefore = web3.eth.getBalance(testTopic.address);
+      await testTopic.withdrawWinnings({ from: USER1 });
+      SolAssert.assertBNEqual(web3.eth.getBalance(testTopic.address), balanceBefore.sub(158800000));
+
+      try {
+        await testTopic.withdrawWinnings({ from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('refunds the tokens of all results if the final result is Invalid', async () => {
+      const user2Token = OutcomeToken.at(await testTopic.outcomeTokens.call(2));
+      await user2Token.transfer(USER1, 100000000, { from: USER2 });
+      await finalizeResult(0);
+
+      assert.equal((await testTopic.calculateWinningsFor(USER1))[1].toNumber(), 200000000);
+      await testTopic.withdrawWinnings({ from: USER1 });
+      SolAssert.assertBNEqual(await outcomeToken.balanceOf(USER1), 0);
+      SolAssert.assertBNEqual(await user2Token.balanceOf(USER1), 0);
+      SolAssert.assertBNEqual(await user2Token.balanceOf(USER2), 200000000);
+    });
+
+    it('throws if minting or burning from outside the TopicEvent', async () => {
+      try {
+        await outcomeToken.mint(USER1, 1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      try {
+        await outcomeToken.burn(USER1, 1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('seeding', () => {
+    // 300000001 split across 3 results, the remainder goes to the first result
+    const seed = 300000001;
+    const resultSeeds = [0, 100000001, 100000000, 100000000];
+    let seedTx;
+
+    beforeEach(async () => {
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+      topicParams = getTopicParams(ORACLE);
+      topicParams._name = ['Will the creator seed the odds?'];
+      seedTx = await eventFactory.createTopic(...Object.values(topicParams), { from: OWNER, value: seed });
+      testTopic = TopicEvent.at(seedTx.logs[0].args._topicAddress);
+      centralizedOracle = CentralizedOracle.at((await testTopic.oracles.call(0))[0]);
+    });
+
+    it('records the seed as the bets of the creator', async () => {
+      assert.equal(seedTx.logs[0].args._seedAmount.toNumber(), seed);
+      assert.equal((await testTopic.seedAmount.call()).toNumber(), seed);
+      assert.equal((await testTopic.totalQtumValue.call()).toNumber(), seed);
+      assert.equal(web3.eth.getBalance(testTopic.address).toNumber(), seed);
+
+      const betBalances = await testTopic.getBetBalancesFor(OWNER);
+      const totalBets = await testTopic.getTotalBets();
+      resultSeeds.forEach((resultSeed, i) => {
+        assert.equal(betBalances[i].toNumber(), resultSeed);
+        assert.equal(totalBets[i].toNumber(), resultSeed);
+      });
+    });
+
+    it('pays out the seed like any other bet', async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      await centralizedOracle.bet(2, { from: USER1, value: 100000000 });
+
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(2, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+
+      // The creator and USER1 split 99% of the seed on the losing results
+      const winnings = 99000000;
+      assert.equal((await testTopic.calculateWinningsFor(USER1))[1].toNumber(), 100000000 + winnings);
+      const ownerWinnings = (await testTopic.calculateWinningsFor(OWNER))[1];
+      assert.equal(ownerWinnings.toNumber(), resultSeeds[2] + winnings);
+
+      const balanceBefore = web3.eth.getBalance(testTopic.address);
+      await testTopic.withdrawWinnings({ from: OWNER });
+      SolAssert.assertBNEqual(web3.eth.getBalance(testTopic.address), balanceBefore.sub(ownerWinnings));
+      assert.equal((await testTopic.getBetBalancesFor(OWNER))[2].toNumber(), 0);
+    });
+
+    it('returns the seed to the creator when the topic is cancelled', async () => {
+      const balanceBefore = web3.eth.getBalance(OWNER);
+      const tx = await testTopic.cancel({ from: OWNER });
+      const gasCost = web3.eth.getTransaction(tx.tx).gasPrice.mul(tx.receipt.gasUsed);
+
+      assert.equal((await testTopic.status.call()).toNumber(), STATUS_CANCELLED);
+      assert.equal(web3.eth.getBalance(testTopic.address).toNumber(), 0);
+      SolAssert.assertBNEqual(web3.eth.getBalance(OWNER), balanceBefore.add(seed).sub(gasCost));
+    });
+
+    it('throws if cancelling after another better has bet', async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      await centralizedOracle.bet(2, { from: USER1, value: 100000000 });
+
+      try {
+        await testTopic.cancel({ from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if seeding a topic that bets in a token', async () => {
+      const bettingToken = await BodhiToken.new({ from: ADMIN });
+      await addressManager.setBettingToken(bettingToken.address, true, { from: ADMIN });
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+
+      topicParams = getTopicParams(ORACLE);
+      topicParams._name = ['Will the creator seed tokens?'];
+      topicParams._bettingToken = bettingToken.address;
+      try {
+        await eventFactory.createTopic(...Object.values(topicParams), { from: OWNER, value: seed });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('sponsor()', () => {
+    const SPONSOR = USER5;
+    const qtumSponsorship = 40000000;
+    const botSponsorship = Utils.getBigNumberWithDecimals(40, BOT_DECIMALS);
+
+    beforeEach(async () => {
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      await centralizedOracle.bet(1, { from: USER1, value: 100000000 });
+    });
+
+    async function sponsor() {
+      await ContractHelper.approve(token, SPONSOR, testTopic.address, botSponsorship);
+      return testTopic.sponsor(botSponsorship, { from: SPONSOR, value: qtumSponsorship });
+    }
+
+    async function finalizeResult(resultIndex) {
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(resultIndex, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+    }
+
+    it('records the sponsorship separately from the bets', async () => {
+      const tx = await sponsor();
+      assert.equal(tx.logs[0].event, 'SponsorshipAdded');
+      assert.equal(tx.logs[0].args._sponsor, SPONSOR);
+      assert.equal(tx.logs[0].args._qtumAmount.toNumber(), qtumSponsorship);
+      SolAssert.assertBNEqual(tx.logs[0].args._botAmount, botSponsorship);
+
+      assert.equal((await testTopic.sponsoredQtum.call()).toNumber(), qtumSponsorship);
+      SolAssert.assertBNEqual(await testTopic.sponsoredBot.call(), botSponsorship);
+      assert.equal((await testTopic.totalQtumValue.call()).toNumber(), 100000000);
+      assert.equal(web3.eth.getBalance(testTopic.address).toNumber(), 100000000 + qtumSponsorship);
+      SolAssert.assertBNEqual(await token.balanceOf(testTopic.address), botSponsorship);
+
+      const topicSponsorships = (await testTopic.getTopicSummary())[12];
+      assert.equal(topicSponsorships[0].toNumber(), qtumSponsorship);
+      SolAssert.assertBNEqual(topicSponsorships[1], botSponsorship);
+
+      const sponsorships = (await testTopic.getPositionSummary(SPONSOR))[5];
+      assert.equal(sponsorships[0].toNumber(), qtumSponsorship);
+      SolAssert.assertBNEqual(sponsorships[1], botSponsorship);
+    });
+
+    it('pays the sponsorship to the winning betters pro rata', async () => {
+      await centralizedOracle.bet(1, { from: USER2, value: 300000000 });
+      await centralizedOracle.bet(2, { from: USER3, value: 100000000 });
+      await sponsor();
+      await finalizeResult(1);
+
+      // 99% of the losing bets plus the sponsored QTUM is split between the winning bets
+      let winnings = await testTopic.calculateWinningsFor(USER1);
+      SolAssert.assertBNEqual(winnings[0], botSponsorship.div(4));
+      assert.equal(winnings[1].toNumber(), 100000000 + 34750000);
+
+      winnings = await testTopic.calculateWinningsFor(USER2);
+      SolAssert.assertBNEqual(winnings[0], botSponsorship.mul(3).div(4));
+      assert.equal(winnings[1].toNumber(), 300000000 + 104250000);
+
+      winnings = await testTopic.calculateWinningsFor(SPONSOR);
+      assert.equal(winnings[0].toNumber(), 0);
+      assert.equal(winnings[1].toNumber(), 0);
+
+      const botBalance = await token.balanceOf(USER1);
+      await testTopic.withdrawWinnings({ from: USER1 });
+      SolAssert.assertBNEqual(await token.balanceOf(USER1), botBalance.add(botSponsorship.div(4)));
+    });
+
+    it('refunds the sponsor if the final result is Invalid', async () => {
+      await sponsor();
+      await finalizeResult(INVALID_RESULT);
+
+      const winnings = await testTopic.calculateWinningsFor(SPONSOR);
+      SolAssert.assertBNEqual(winnings[0], botSponsorship);
+      assert.equal(winnings[1].toNumber(), qtumSponsorship);
+      assert.equal((await testTopic.calculateWinningsFor(USER1))[1].toNumber(), 100000000);
+
+      const botBalance = await token.balanceOf(SPONSOR);
+      await testTopic.withdrawWinnings({ from: SPONSOR });
+      SolAssert.assertBNEqual(await token.balanceOf(SPONSOR), botBalance.add(botSponsorship));
+      assert.equal((await testTopic.calculateWinningsFor(SPONSOR))[1].toNumber(), 0);
+    });
+
+    it('throws if the topic is sponsored with nothing', async () => {
+      try {
+        await testTopic.sponsor(0, { from: SPONSOR });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the result was already set', async () => {
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(1, { from: ORACLE });
+
+      try {
+        await testTopic.sponsor(0, { from: SPONSOR, value: qtumSponsorship });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('refunds the sponsor if no bets were placed on the final result', async () => {
+      await sponsor();
+      await finalizeResult(2);
+
+      let winnings = await testTopic.calculateWinningsFor(SPONSOR);
+      SolAssert.assertBNEqual(winnings[0], botSponsorship);
+      assert.equal(winnings[1].toNumber(), qtumSponsorship);
+
+      const botBalance = await token.balanceOf(SPONSOR);
+      await testTopic.withdrawWinnings({ from: SPONSOR });
+      SolAssert.assertBNEqual(await token.balanceOf(SPONSOR), botBalance.add(botSponsorship));
+      winnings = await testTopic.calculateWinningsFor(SPONSOR);
+      assert.equal(winnings[0].toNumber(), 0);
+      assert.equal(winnings[1].toNumber(), 0);
+    });
+
+    describe('withdrawSponsorship()', () => {
+      beforeEach(async () => {
+        await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+        topicParams = getTopicParams(ORACLE);
+        topicParams._name = ['Will the sponsor get a refund?'];
+        const tx = await eventFactory.createTopic(...Object.values(topicParams), { from: OWNER });
+        testTopic = TopicEvent.at(tx.logs[0].args._topicAddress);
+        await sponsor();
+      });
+
+      it('refunds the sponsor after cancelling', async () => {
+        await testTopic.cancel({ from: OWNER });
+        assert.equal((await testTopic.status.call()).toNumber(), STATUS_CANCELLED);
+
+        const botBalance = await token.balanceOf(SPONSOR);
+        const tx = await testTopic.withdrawSponsorship({ from: SPONSOR });
+        assert.equal(tx.logs[0].event, 'SponsorshipRefunded');
+        assert.equal(tx.logs[0].args._sponsor, SPONSOR);
+        assert.equal(tx.logs[0].args._qtumAmount.toNumber(), qtumSponsorship);
+        SolAssert.assertBNEqual(tx.logs[0].args._botAmount, botSponsorship);
+
+        SolAssert.assertBNEqual(await token.balanceOf(SPONSOR), botBalance.add(botSponsorship));
+        SolAssert.assertBNEqual(await token.balanceOf(testTopic.address), 0);
+        assert.equal(web3.eth.getBalance(testTopic.address).toNumber(), 0);
+        assert.equal((await testTopic.sponsoredQtum.call()).toNumber(), 0);
+        SolAssert.assertBNEqual(await testTopic.sponsoredBot.call(), 0);
+
+        try {
+          await testTopic.withdrawSponsorship({ from: SPONSOR });
+          assert.fail();
+        } catch (e) {
+          SolAssert.assertRevert(e);
+        }
+      });
+
+      it('refunds the sponsor after expiring', async () => {
+        await timeMachine.increaseTime(topicParams._bettingEndTime - Utils.getCurrentBlockTime());
+        await testTopic.expire({ from: USER1 });
+
+        const botBalance = await token.balanceOf(SPONSOR);
+        await testTopic.withdrawSponsorship({ from: SPONSOR });
+        SolAssert.assertBNEqual(await token.balanceOf(SPONSOR), botBalance.add(botSponsorship));
+        assert.equal(web3.eth.getBalance(testTopic.address).toNumber(), 0);
+      });
+
+      it('throws if the topic is not cancelled', async () => {
+        try {
+          await testTopic.withdrawSponsorship({ from: SPONSOR });
+          assert.fail();
+        } catch (e) {
+          SolAssert.assertRevert(e);
+        }
+      });
+
+      it('throws if the sender did not sponsor', async () => {
+        await testTopic.cancel({ from: OWNER });
+
+        try {
+          await testTopic.withdrawSponsorship({ from: USER1 });
+          assert.fail();
+        } catch (e) {
+          SolAssert.assertRevert(e);
+        }
+      });
+    });
+  });
+
+  describe('referrals', () => {
+    const REFERRER = USER5;
+    const creatorFeePercentage = 5;
+
+    beforeEach(async () => {
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+      topicParams = getTopicParams(ORACLE);
+      topicParams._name = ['Will the referrer get paid?'];
+      topicParams._creatorFeePercentage = creatorFeePercentage;
+      const tx = await eventFactory.createTopic(...Object.values(topicParams), { from: OWNER });
+      testTopic = TopicEvent.at(tx.logs[0].args._topicAddress);
+      centralizedOracle = CentralizedOracle.at((await testTopic.oracles.call(0))[0]);
+
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      await centralizedOracle.bet(1, { from: USER1, value: 100000000 });
+    });
+
+    async function finalizeResult(resultIndex) {
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(resultIndex, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+    }
+
+    it('records the referrer of the better and the referred bets', async () => {
+      assert.equal((await testTopic.referralPercentage.call()).toNumber(), 20);
+
+      const tx = await centralizedOracle.betWithReferrer(2, REFERRER, { from: USER2, value: 200000000 });
+      const logs = await Utils.getEventLogs(testTopic.ReferredBetPlaced, tx);
+      assert.equal(logs.length, 1);
+      assert.equal(logs[0].args._referrer, REFERRER);
+      assert.equal(logs[0].args._better, USER2);
+      assert.equal(logs[0].args._resultIndex, 2);
+      assert.equal(logs[0].args._amount.toNumber(), 200000000);
+
+      // Later bets of the better count for the first referrer
+      await centralizedOracle.betWithReferrer(3, USER4, { from: USER2, value: 50000000 });
+      await centralizedOracle.bet(3, { from: USER2, value: 50000000 });
+      assert.equal(await testTopic.referrers.call(USER2), REFERRER);
+      assert.equal(await testTopic.referrers.call(USER1), 0);
+
+      const referrals = await testTopic.getReferralsFor(REFERRER);
+      assert.equal(referrals[0][2].toNumber(), 200000000);
+      assert.equal(referrals[0][3].toNumber(), 100000000);
+      assert.equal(referrals[1].toNumber(), 0);
+      assert.equal((await testTopic.getReferralsFor(USER4))[0][3].toNumber(), 0);
+    });
+
+    it('pays the referrer a share of the creator fee of the referred losing bets', async () => {
+      await centralizedOracle.betWithReferrer(1, REFERRER, { from: USER2, value: 100000000 });
+      await centralizedOracle.betWithReferrer(2, REFERRER, { from: USER3, value: 200000000 });
+      await centralizedOracle.bet(3, { from: USER4, value: 100000000 });
+      await finalizeResult(1);
+
+      // The creator fee is 5% of the 300000000 losing QTUM and 20% of the fee of the 200000000 referred QTUM goes to
+      // the referrer
+      const referralReward = 2000000;
+      assert.equal((await testTopic.getReferralsFor(REFERRER))[1].toNumber(), referralReward);
+      assert.equal((await testTopic.calculateWinningsFor(REFERRER))[1].toNumber(), referralReward);
+      assert.equal((await testTopic.calculateWinningsFor(OWNER))[1].toNumber(), 15000000 - referralReward);
+
+      // The winning betters are paid as without referrals
+      assert.equal((await testTopic.calculateWinningsFor(USER2))[1].toNumber(), 100000000 + 141000000);
+
+      const tx = await testTopic.withdrawWinnings({ from: REFERRER });
+      assert.equal(tx.logs[0].event, 'WinningsWithdrawn');
+      assert.equal(tx.logs[0].args._qtumTokenWon.toNumber(), referralReward);
+      assert.equal((await testTopic.calculateWinningsFor(REFERRER))[1].toNumber(), 0);
+    });
+
+    it('removes withdrawn bets from the referred bets', async () => {
+      await centralizedOracle.bet(2, { from: USER2, value: 100000000 });
+      await centralizedOracle.betWithReferrer(2, REFERRER, { from: USER2, value: 100000000 });
+      await centralizedOracle.withdrawBet(2, 150000000, { from: USER2 });
+      assert.equal((await testTopic.getReferralsFor(REFERRER))[0][2].toNumber(), 0);
+
+      await finalizeResult(1);
+      assert.equal((await testTopic.getReferralsFor(REFERRER))[1].toNumber(), 0);
+    });
+
+    it('pays no referral reward if the final result is Invalid', async () => {
+      await centralizedOracle.betWithReferrer(2, REFERRER, { from: USER2, value: 200000000 });
+      await finalizeResult(INVALID_RESULT);
+
+      assert.equal((await testTopic.getReferralsFor(REFERRER))[1].toNumber(), 0);
+      assert.equal((await testTopic.calculateWinningsFor(REFERRER))[1].toNumber(), 0);
+      assert.equal((await testTopic.calculateWinningsFor(USER2))[1].toNumber(), 200000000);
+    });
+
+    it('does not record the better as its own referrer', async () => {
+      await centralizedOracle.betWithReferrer(2, USER2, { from: USER2, value: 100000000 });
+      assert.equal(await testTopic.referrers.call(USER2), 0);
+      assert.equal((await testTopic.getReferralsFor(USER2))[0][2].toNumber(), 0);
+    });
+
+    it('throws if not called by the CentralizedOracle', async () => {
+      try {
+        await testTopic.betWithReferrerFromOracle(USER2, 2, REFERRER, { from: USER2, value: 100000000 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('getFinalResult()', () => {
+    it('returns the final result index and name', async () => {
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      assert.isAtLeast(Utils.getCurrentBlockTime(), topicParams._resultSettingStartTime);
+
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+
+      const finalResultIndex = 1;
       await centralizedOracle.setResult(finalResultIndex, { from: ORACLE });
 
       let finalResult = await testTopic.getFinalResult();
@@ -1427,7 +2982,7 @@ contract('TopicEvent', (accounts) => {
       assert.equal((await testTopic.getFinalResult())[0].toNumber(), centralizedOracleResult);
 
       // Calculate QTUM winnings
-      const percentCut = await testTopic.QTUM_PERCENTAGE.call();
+      const percentCut = await testTopic.qtumRewardPercentage.call();
       let losingQtum = bet1.add(bet2);
       const winningQtum = bet3.add(bet4);
       const rewardQtum = losingQtum.mul(percentCut).div(100);
@@ -1467,6 +3022,62 @@ contract('TopicEvent', (accounts) => {
       SolAssert.assertBNEqual(winningsArr[1], qtumWon);
     });
 
+    it('returns the creator fee to the owner', async () => {
+      const creatorFeePercentage = 5;
+      await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount);
+      topicParams = getTopicParams(ORACLE);
+      topicParams._name = ['Will the creator earn a fee?'];
+      topicParams._creatorFeePercentage = creatorFeePercentage;
+      const tx = await eventFactory.createTopic(...Object.values(topicParams), { from: OWNER });
+      testTopic = TopicEvent.at(tx.logs[0].args._topicAddress);
+      centralizedOracle = CentralizedOracle.at((await testTopic.oracles.call(0))[0]);
+      assert.equal(await testTopic.creatorFeePercentage.call(), creatorFeePercentage);
+
+      await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+      const bet1 = Utils.getBigNumberWithDecimals(10, NATIVE_DECIMALS);
+      await centralizedOracle.bet(1, {
+        from: USER1,
+        value: bet1,
+      });
+      const bet3 = Utils.getBigNumberWithDecimals(4, NATIVE_DECIMALS);
+      await centralizedOracle.bet(centralizedOracleResult, {
+        from: USER3,
+        value: bet3,
+      });
+
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await ContractHelper.approve(token, ORACLE, testTopic.address, CORACLE_THRESHOLD);
+      await centralizedOracle.setResult(centralizedOracleResult, { from: ORACLE });
+      decentralizedOracle = await DecentralizedOracle.at((await testTopic.oracles.call(1))[0]);
+
+      const arbitrationEndTime = (await decentralizedOracle.arbitrationEndTime.call()).toNumber();
+      await timeMachine.increaseTime(arbitrationEndTime - Utils.getCurrentBlockTime());
+      await decentralizedOracle.finalizeResult({ from: USER1 });
+      assert.equal((await testTopic.status.call()).toNumber(), STATUS_COLLECTION);
+
+      // 10 QTUM lost: 0.1 QTUM to voters, 0.5 QTUM to the creator, 9.4 QTUM to the bettors
+      const percentCut = await testTopic.qtumRewardPercentage.call();
+      const rewardQtum = bet1.mul(percentCut).div(100);
+      const creatorFee = bet1.mul(creatorFeePercentage).div(100);
+      const losingQtum = bet1.sub(rewardQtum).sub(creatorFee);
+
+      let winningsArr = await testTopic.calculateWinnings({ from: USER3 });
+      SolAssert.assertBNEqual(winningsArr[0], 0);
+      SolAssert.assertBNEqual(winningsArr[1], bet3.add(losingQtum));
+
+      winningsArr = await testTopic.calculateWinnings({ from: ORACLE });
+      SolAssert.assertBNEqual(winningsArr[0], CORACLE_THRESHOLD);
+      SolAssert.assertBNEqual(winningsArr[1], rewardQtum);
+
+      winningsArr = await testTopic.calculateWinnings({ from: OWNER });
+      SolAssert.assertBNEqual(winningsArr[0], 0);
+      SolAssert.assertBNEqual(winningsArr[1], creatorFee);
+
+      const ownerBalance = await web3.eth.getBalance(OWNER);
+      await testTopic.withdrawWinningsFor([OWNER], { from: USER5 });
+      SolAssert.assertBNEqual(await web3.eth.getBalance(OWNER), ownerBalance.add(creatorFee));
+    });
+
     it('returns the BOT and QTUM for multiple rounds', async () => {
       const consensusThresholdIncrement = await addressManager.consensusThresholdIncrement.call();
       const decentralizedOracle1Result = 0;
@@ -1593,7 +3204,7 @@ contract('TopicEvent', (accounts) => {
       assert.equal((await testTopic.status.call()).toNumber(), STATUS_COLLECTION);
 
       // Withdraw winnings: USER3, USER4, USER5, ORACLE
-      const percentCut = await testTopic.QTUM_PERCENTAGE.call();
+      const percentCut = await testTopic.qtumRewardPercentage.call();
       let losersQtum = bet1.add(bet2);
       const winnersQtum = bet3.add(bet4);
       const rewardQtum = Math.floor(losersQtum.mul(percentCut).div(100));
@@ -2,6 +2,7 @@ const AddressManager = artifacts.require('../../contracts/storage/AddressManager
 const BodhiToken = artifacts.require('../../contracts/tokens/BodhiToken.sol');
 const EventFactory = artifacts.require('../../contracts/events/EventFactory.sol');
 const OracleFactory = artifacts.require('../../contracts/oracles/OracleFactory.sol');
+const OutcomeTokenFactory = artifacts.require('../../contracts/tokens/OutcomeTokenFactory.sol');
 
 const Utils = require('./utils');
 
@@ -24,6 +25,10 @@ module.exports = class ContractHelper {
     await addressManager.setOracleFactoryAddress(oracleFactory.address, { from: admin });
     assert.equal(await addressManager.oracleFactoryVersionToAddress.call(0), oracleFactory.address);
 
+    const outcomeTokenFactory = await OutcomeTokenFactory.deployed({ from: admin });
+    await addressManager.setOutcomeTokenFactoryAddress(outcomeTokenFactory.address, { from: admin });
+    assert.equal(await addressManager.outcomeTokenFactoryAddress.call(), outcomeTokenFactory.address);
+
     return {
       addressManager,
       bodhiToken,
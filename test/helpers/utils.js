@@ -10,4 +10,12 @@ module.exports = class Utils {
   static getCurrentBlockTime() {
     return web3.eth.getBlock(web3.eth.blockNumber).timestamp;
   }
+
+  // Gets the logs of a contract event emitted in the block of the transaction
+  static getEventLogs(contractEvent, tx) {
+    const filter = contractEvent({}, { fromBlock: tx.receipt.blockNumber, toBlock: tx.receipt.blockNumber });
+    return new Promise((resolve, reject) => {
+      filter.get((err, logs) => (err ? reject(err) : resolve(logs)));
+    });
+  }
 };
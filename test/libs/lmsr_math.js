@@ -0,0 +1,82 @@
+const LMSRMathMock = artifacts.require('./mocks/LMSRMathMock.sol');
+
+const ONE = 1e18;
+// Fixed point results must be within 1e-15 of the exact value
+const TOLERANCE = 1000;
+
+contract('LMSRMath', () => {
+  let instance;
+
+  before(async () => {
+    instance = await LMSRMathMock.new();
+  });
+
+  describe('expNeg', () => {
+    it('should return ONE for 0', async () => {
+      assert.equal((await instance.expNeg(0)).toString(), ONE.toString());
+    });
+
+    it('should return e^(-x)', async () => {
+      let result = await instance.expNeg(web3.toBigNumber(ONE));
+      assert.closeTo(result.toNumber(), Math.exp(-1) * ONE, TOLERANCE);
+
+      result = await instance.expNeg(web3.toBigNumber(2.5 * ONE));
+      assert.closeTo(result.toNumber(), Math.exp(-2.5) * ONE, TOLERANCE);
+
+      result = await instance.expNeg(web3.toBigNumber(0.125 * ONE));
+      assert.closeTo(result.toNumber(), Math.exp(-0.125) * ONE, TOLERANCE);
+    });
+
+    it('should return 0 below the fixed point precision', async () => {
+      assert.equal((await instance.expNeg(web3.toBigNumber(42 * ONE))).toNumber(), 0);
+    });
+  });
+
+  describe('ln', () => {
+    it('should return 0 for ONE', async () => {
+      assert.equal((await instance.ln(web3.toBigNumber(ONE))).toNumber(), 0);
+    });
+
+    it('should return ln(x)', async () => {
+      assert.closeTo((await instance.ln(web3.toBigNumber(2 * ONE))).toNumber(), Math.log(2) * ONE, TOLERANCE);
+      assert.closeTo((await instance.ln(web3.toBigNumber(1.5 * ONE))).toNumber(), Math.log(1.5) * ONE, TOLERANCE);
+      assert.closeTo((await instance.ln(web3.toBigNumber(11 * ONE))).toNumber(), Math.log(11) * ONE, TOLERANCE);
+    });
+
+    it('should throw for values below ONE', async () => {
+      try {
+        await instance.ln(web3.toBigNumber(0.5 * ONE));
+        assert.fail();
+      } catch (e) {
+        assert.isAbove(e.message.search('revert'), -1);
+      }
+    });
+  });
+
+  describe('cost', () => {
+    it('should return b * ln(n) when no shares are outstanding', async () => {
+      assert.closeTo((await instance.cost([], 2, 100000000)).toNumber(), 100000000 * Math.log(2), 1);
+      assert.closeTo((await instance.cost([], 4, 100000000)).toNumber(), 100000000 * Math.log(4), 1);
+    });
+
+    it('should return b * ln(sum(e^(q_i / b)))', async () => {
+      const expected = 100000000 * Math.log(Math.exp(3) + Math.exp(0.5) + 1);
+      assert.closeTo((await instance.cost([300000000, 50000000, 0], 3, 100000000)).toNumber(), expected, 1);
+    });
+  });
+
+  describe('prices', () => {
+    it('should return equal prices when no shares are outstanding', async () => {
+      const prices = await instance.prices([], 4, 100000000);
+      prices.slice(0, 4).forEach(price => assert.closeTo(price.toNumber(), ONE / 4, TOLERANCE));
+      assert.equal(prices[4].toNumber(), 0);
+    });
+
+    it('should return e^(q_i / b) / sum(e^(q_j / b))', async () => {
+      const prices = await instance.prices([100000000, 0], 2, 100000000);
+      const sum = Math.exp(1) + 1;
+      assert.closeTo(prices[0].toNumber(), (Math.exp(1) / sum) * ONE, TOLERANCE);
+      assert.closeTo(prices[1].toNumber(), (1 / sum) * ONE, TOLERANCE);
+    });
+  });
+});
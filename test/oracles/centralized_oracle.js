@@ -8,6 +8,7 @@ const EventFactory = artifacts.require('./events/EventFactory.sol');
 const OracleFactory = artifacts.require('./oracles/OracleFactory.sol');
 const TopicEvent = artifacts.require('./TopicEvent.sol');
 const CentralizedOracle = artifacts.require('./oracles/CentralizedOracle.sol');
+const OutcomeToken = artifacts.require('./tokens/OutcomeToken.sol');
 const TimeMachine = require('../helpers/time_machine');
 const SolAssert = require('../helpers/sol_assert');
 const Utils = require('../helpers/utils');
@@ -25,6 +26,8 @@ function getTopicParams(oracle) {
     _bettingEndTime: currTime + 3000,
     _resultSettingStartTime: currTime + 4000,
     _resultSettingEndTime: currTime + 6000,
+    _creatorFeePercentage: 0,
+    _bettingToken: 0,
   };
 }
 
@@ -331,6 +334,123 @@ contract('CentralizedOracle', (accounts) => {
     });
   });
 
+  describe('betWithReferrer()', () => {
+    beforeEach(async () => {
+      await timeMachine.increaseTime(topicEventParams._bettingStartTime - Utils.getCurrentBlockTime());
+    });
+
+    it('allows betting and records the referrer in the TopicEvent', async () => {
+      const betAmount = Utils.getBigNumberWithDecimals(1, NATIVE_DECIMALS);
+      const tx = await centralizedOracle.betWithReferrer(1, USER2, { from: USER1, value: betAmount });
+      assert.equal(tx.logs[0].event, 'OracleResultVoted');
+      assert.equal(tx.logs[0].args._participant, USER1);
+
+      SolAssert.assertBNEqual((await centralizedOracle.getTotalBets())[1], betAmount);
+      SolAssert.assertBNEqual((await centralizedOracle.getBetBalances({ from: USER1 }))[1], betAmount);
+      SolAssert.assertBNEqual((await topicEvent.getBetBalancesFor(USER1))[1], betAmount);
+      assert.equal(await topicEvent.referrers.call(USER1), USER2);
+    });
+
+    it('throws if the referrer is invalid', async () => {
+      try {
+        await centralizedOracle.betWithReferrer(1, 0, { from: USER1, value: 1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if current time is >= bettingEndTime', async () => {
+      await timeMachine.increaseTime(topicEventParams._bettingEndTime - Utils.getCurrentBlockTime());
+
+      try {
+        await centralizedOracle.betWithReferrer(1, USER2, { from: USER1, value: 1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('withdrawBet()', () => {
+    const betAmount = Utils.getBigNumberWithDecimals(1, NATIVE_DECIMALS);
+
+    beforeEach(async () => {
+      await timeMachine.increaseTime(topicEventParams._bettingStartTime - Utils.getCurrentBlockTime());
+      await centralizedOracle.bet(1, { from: USER1, value: betAmount });
+    });
+
+    it('refunds the bet minus the early exit penalty', async () => {
+      const penaltyPercentage = await topicEvent.earlyExitPenaltyPercentage.call();
+      assert.equal(penaltyPercentage.toNumber(), 10);
+
+      const amount = betAmount.div(4);
+      const penalty = amount.mul(penaltyPercentage).div(100);
+      await centralizedOracle.withdrawBet(1, amount, { from: USER1 });
+
+      SolAssert.assertBNEqual((await centralizedOracle.getTotalBets())[1], betAmount.sub(amount));
+      SolAssert.assertBNEqual((await centralizedOracle.getBetBalances({ from: USER1 }))[1], betAmount.sub(amount));
+      SolAssert.assertBNEqual((await topicEvent.getBetBalancesFor(USER1))[1], betAmount.sub(amount));
+      SolAssert.assertBNEqual((await topicEvent.getTotalBets())[1], betAmount.sub(amount));
+      SolAssert.assertBNEqual(await topicEvent.totalExitPenalties.call(), penalty);
+      SolAssert.assertBNEqual(await topicEvent.totalQtumValue.call(), betAmount.sub(amount).add(penalty));
+      SolAssert.assertBNEqual(await ethAsync.getBalanceAsync(topicEvent.address), betAmount.sub(amount).add(penalty));
+    });
+
+    it('allows the holder of bought Outcome Tokens to withdraw the bet', async () => {
+      const outcomeToken = OutcomeToken.at(await topicEvent.outcomeTokens.call(1));
+      await outcomeToken.transfer(USER2, betAmount, { from: USER1 });
+
+      const penalty = betAmount.mul(await topicEvent.earlyExitPenaltyPercentage.call()).div(100);
+      await centralizedOracle.withdrawBet(1, betAmount, { from: USER2 });
+
+      SolAssert.assertBNEqual(await outcomeToken.balanceOf.call(USER2), 0);
+      SolAssert.assertBNEqual((await topicEvent.getTotalBets())[1], 0);
+      SolAssert.assertBNEqual(await topicEvent.totalQtumValue.call(), penalty);
+      SolAssert.assertBNEqual(await ethAsync.getBalanceAsync(topicEvent.address), penalty);
+
+      // The bet recorded for USER1 in the Oracle is untouched
+      SolAssert.assertBNEqual((await centralizedOracle.getBetBalances({ from: USER1 }))[1], betAmount);
+      SolAssert.assertBNEqual((await centralizedOracle.getBetBalances({ from: USER2 }))[1], 0);
+    });
+
+    it('throws if withdrawing more than the bet', async () => {
+      try {
+        await centralizedOracle.withdrawBet(1, betAmount.add(1), { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      try {
+        await centralizedOracle.withdrawBet(2, 1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if current time is >= bettingEndTime', async () => {
+      await timeMachine.increaseTime(topicEventParams._bettingEndTime - Utils.getCurrentBlockTime());
+
+      try {
+        await centralizedOracle.withdrawBet(1, betAmount, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the amount is 0', async () => {
+      try {
+        await centralizedOracle.withdrawBet(1, 0, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
   describe('setResult()', () => {
     beforeEach(async () => {
       assert.isFalse(await centralizedOracle.finished.call());
@@ -420,6 +540,26 @@ contract('CentralizedOracle', (accounts) => {
     });
   });
 
+  describe('cancel()', () => {
+    it('finishes the oracle when the TopicEvent is cancelled', async () => {
+      await topicEvent.cancel({ from: OWNER });
+      assert.isTrue(await centralizedOracle.finished.call());
+      assert.isTrue(await centralizedOracle.cancelled.call());
+    });
+
+    it('throws if not called by the TopicEvent', async () => {
+      try {
+        await centralizedOracle.cancel({ from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      assert.isFalse(await centralizedOracle.finished.call());
+      assert.isFalse(await centralizedOracle.cancelled.call());
+    });
+  });
+
   describe('getBetBalances()', () => {
     it('returns the bet balances', async () => {
       await timeMachine.increaseTime(topicEventParams._bettingStartTime - Utils.getCurrentBlockTime());
@@ -23,6 +23,8 @@ function getTopicParams(oracle) {
     _bettingEndTime: currTime + 3000,
     _resultSettingStartTime: currTime + 4000,
     _resultSettingEndTime: currTime + 6000,
+    _creatorFeePercentage: 0,
+    _bettingToken: 0,
   };
 }
 
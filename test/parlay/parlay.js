@@ -0,0 +1,374 @@
+const web3 = global.web3;
+const assert = require('chai').assert;
+
+const Parlay = artifacts.require('./parlay/Parlay.sol');
+const TopicEvent = artifacts.require('./events/TopicEvent.sol');
+const ConditionalEventFactory = artifacts.require('./events/ConditionalEventFactory.sol');
+const ConditionalTopicEvent = artifacts.require('./events/ConditionalTopicEvent.sol');
+const CentralizedOracle = artifacts.require('./oracles/CentralizedOracle.sol');
+const DecentralizedOracle = artifacts.require('./oracles/DecentralizedOracle.sol');
+const TimeMachine = require('../helpers/time_machine');
+const SolAssert = require('../helpers/sol_assert');
+const Utils = require('../helpers/utils');
+const ContractHelper = require('../helpers/contract_helper');
+
+function getTopicParams(oracle, name) {
+  const currTime = Utils.getCurrentBlockTime();
+  return {
+    _oracle: oracle,
+    _name: [name],
+    _resultNames: ['Home', 'Away'],
+    _bettingStartTime: currTime + 1000,
+    _bettingEndTime: currTime + 3000,
+    _resultSettingStartTime: currTime + 4000,
+    _resultSettingEndTime: currTime + 6000,
+    _creatorFeePercentage: 0,
+    _bettingToken: 0,
+  };
+}
+
+contract('Parlay', (accounts) => {
+  const timeMachine = new TimeMachine(web3);
+
+  const BOT_DECIMALS = 8;
+  const MULTIPLIER_BASE = 100000000;
+  const RESULT_INVALID = 0;
+  const POOL = 1000000000;
+  const STAKE = 100000000;
+  const CORACLE_THRESHOLD = Utils.getBigNumberWithDecimals(100, BOT_DECIMALS);
+
+  const ADMIN = accounts[0];
+  const OWNER = accounts[1];
+  const ORACLE = accounts[2];
+  const USER1 = accounts[3];
+  const USER2 = accounts[4];
+
+  let addressManager;
+  let token;
+  let eventFactory;
+  let topicParams;
+  let topic1;
+  let topic2;
+  let topic3;
+  let parlay;
+
+  async function createTopic(name) {
+    topicParams = getTopicParams(ORACLE, name);
+    const tx = await eventFactory.createTopic(...Object.values(topicParams), { from: OWNER });
+    return TopicEvent.at(tx.logs[0].args._topicAddress);
+  }
+
+  async function betOn(topic, resultIndex, amount) {
+    const centralizedOracle = CentralizedOracle.at((await topic.oracles.call(0))[0]);
+    await centralizedOracle.bet(resultIndex, { from: USER2, value: amount });
+  }
+
+  before(async () => {
+    const baseContracts = await ContractHelper.initBaseContracts(ADMIN, accounts);
+    addressManager = baseContracts.addressManager;
+    token = baseContracts.bodhiToken;
+    eventFactory = baseContracts.eventFactory;
+  });
+
+  beforeEach(async () => {
+    await timeMachine.mine();
+    await timeMachine.snapshot();
+
+    const escrowAmount = await addressManager.eventEscrowAmount.call();
+    await ContractHelper.approve(token, OWNER, addressManager.address, escrowAmount.mul(3));
+
+    topic1 = await createTopic('Who will win game 1?');
+    topic2 = await createTopic('Who will win game 2?');
+    topic3 = await createTopic('Who will win game 3?');
+
+    parlay = await Parlay.new(OWNER, { from: OWNER, value: POOL });
+    await parlay.setTopicAllowed(topic1.address, true, { from: OWNER });
+    await parlay.setTopicAllowed(topic2.address, true, { from: OWNER });
+
+    // Bets on the topics set the multipliers of the legs
+    await timeMachine.increaseTime(topicParams._bettingStartTime - Utils.getCurrentBlockTime());
+    await betOn(topic1, 1, 100000000);
+    await betOn(topic1, 2, 300000000);
+    await betOn(topic2, 1, 200000000);
+    await betOn(topic2, 2, 200000000);
+  });
+
+  afterEach(async () => {
+    await timeMachine.revert();
+  });
+
+  async function finalize(topic, resultIndex) {
+    await ContractHelper.approve(token, ORACLE, topic.address, CORACLE_THRESHOLD);
+    await CentralizedOracle.at((await topic.oracles.call(0))[0]).setResult(resultIndex, { from: ORACLE });
+
+    const decentralizedOracle = DecentralizedOracle.at((await topic.oracles.call(1))[0]);
+    await timeMachine.increaseTime((await decentralizedOracle.arbitrationEndTime.call()).toNumber()
+      - Utils.getCurrentBlockTime());
+    await decentralizedOracle.finalizeResult();
+  }
+
+  async function getMultiplier(topic, resultIndex) {
+    return (await topic.getProjectedPayout(resultIndex, STAKE))[1][resultIndex].toNumber();
+  }
+
+  describe('placeParlay()', () => {
+    it('locks the multipliers of the legs', async () => {
+      const multiplier1 = await getMultiplier(topic1, 1);
+      const multiplier2 = await getMultiplier(topic2, 2);
+      const maxPayout = Math.floor((Math.floor((STAKE * multiplier1) / MULTIPLIER_BASE) * multiplier2)
+        / MULTIPLIER_BASE);
+
+      const tx = await parlay.placeParlay([topic1.address, topic2.address], [1, 2], { from: USER1, value: STAKE });
+      assert.equal(tx.logs[0].event, 'ParlayPlaced');
+      assert.equal(tx.logs[0].args._ticketId.toNumber(), 0);
+      assert.equal(tx.logs[0].args._maxPayout.toNumber(), maxPayout);
+
+      const ticket = await parlay.tickets.call(0);
+      assert.equal(ticket[0], USER1);
+      assert.equal(ticket[1].toNumber(), STAKE);
+      assert.equal(ticket[2].toNumber(), maxPayout);
+      assert.isFalse(ticket[3]);
+
+      const legs = await parlay.getLegs(0);
+      assert.deepEqual(legs[0], [topic1.address, topic2.address]);
+      assert.equal(legs[1][1].toNumber(), 2);
+      assert.equal(legs[2][0].toNumber(), multiplier1);
+      assert.equal(legs[2][1].toNumber(), multiplier2);
+
+      assert.equal((await parlay.getTicketCount()).toNumber(), 1);
+      assert.equal((await parlay.totalLiability.call()).toNumber(), maxPayout);
+      assert.equal((await parlay.getAvailablePool()).toNumber(), (POOL + STAKE) - maxPayout);
+    });
+
+    it('caps the multipliers at maxLegMultiplier', async () => {
+      const multiplier2 = await getMultiplier(topic2, 2);
+      const maxLegMultiplier = Math.floor((MULTIPLIER_BASE + multiplier2) / 2);
+      const tx = await parlay.setMaxLegMultiplier(maxLegMultiplier, { from: OWNER });
+      assert.equal(tx.logs[0].event, 'MaxLegMultiplierChanged');
+      assert.equal((await parlay.maxLegMultiplier.call()).toNumber(), maxLegMultiplier);
+
+      await parlay.placeParlay([topic1.address, topic2.address], [1, 2], { from: USER1, value: STAKE });
+      const legs = await parlay.getLegs(0);
+      assert.equal(legs[2][0].toNumber(), maxLegMultiplier);
+      assert.equal(legs[2][1].toNumber(), maxLegMultiplier);
+    });
+
+    it('throws if the cap is below 1x or not set by the owner', async () => {
+      try {
+        await parlay.setMaxLegMultiplier(MULTIPLIER_BASE - 1, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      try {
+        await parlay.setMaxLegMultiplier(MULTIPLIER_BASE, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if a topic is not allowed', async () => {
+      try {
+        await parlay.placeParlay([topic1.address, topic3.address], [1, 1], { from: USER1, value: STAKE });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if a topic is used twice or there is only one leg', async () => {
+      try {
+        await parlay.placeParlay([topic1.address, topic1.address], [1, 2], { from: USER1, value: STAKE });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      try {
+        await parlay.placeParlay([topic1.address], [1], { from: USER1, value: STAKE });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if a leg is on Invalid', async () => {
+      try {
+        await parlay.placeParlay([topic1.address, topic2.address], [RESULT_INVALID, 1], { from: USER1, value: STAKE });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the pool does not cover the max payout', async () => {
+      parlay = await Parlay.new(OWNER, { from: OWNER });
+      await parlay.setTopicAllowed(topic1.address, true, { from: OWNER });
+      await parlay.setTopicAllowed(topic2.address, true, { from: OWNER });
+
+      try {
+        await parlay.placeParlay([topic1.address, topic2.address], [1, 1], { from: USER1, value: STAKE });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if betting has ended', async () => {
+      await timeMachine.increaseTime(topicParams._bettingEndTime - Utils.getCurrentBlockTime());
+      try {
+        await parlay.placeParlay([topic1.address, topic2.address], [1, 1], { from: USER1, value: STAKE });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('settleParlay()', () => {
+    let maxPayout;
+
+    beforeEach(async () => {
+      const tx = await parlay.placeParlay([topic1.address, topic2.address], [1, 2], { from: USER1, value: STAKE });
+      maxPayout = tx.logs[0].args._maxPayout.toNumber();
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+    });
+
+    it('pays the max payout if all legs win', async () => {
+      await finalize(topic1, 1);
+      await finalize(topic2, 2);
+      assert.equal((await parlay.calculatePayout(0)).toNumber(), maxPayout);
+
+      const tx = await parlay.settleParlay(0, { from: USER2 });
+      assert.equal(tx.logs[0].event, 'ParlaySettled');
+      assert.equal(tx.logs[0].args._better, USER1);
+      assert.equal(tx.logs[0].args._payout.toNumber(), maxPayout);
+
+      assert.isTrue((await parlay.tickets.call(0))[3]);
+      assert.equal((await parlay.totalLiability.call()).toNumber(), 0);
+      assert.equal(web3.eth.getBalance(parlay.address).toNumber(), (POOL + STAKE) - maxPayout);
+    });
+
+    it('pays nothing if a leg loses and releases the liability', async () => {
+      await finalize(topic1, 1);
+      await finalize(topic2, 1);
+
+      const tx = await parlay.settleParlay(0);
+      assert.equal(tx.logs[0].args._payout.toNumber(), 0);
+      assert.equal((await parlay.getAvailablePool()).toNumber(), POOL + STAKE);
+    });
+
+    it('counts a leg that finalizes on Invalid as 1x', async () => {
+      const multiplier2 = (await parlay.getLegs(0))[2][1].toNumber();
+      await finalize(topic1, RESULT_INVALID);
+      await finalize(topic2, 2);
+
+      assert.equal((await parlay.calculatePayout(0)).toNumber(), Math.floor((STAKE * multiplier2) / MULTIPLIER_BASE));
+    });
+
+    it('refunds the stake if all legs are void', async () => {
+      await finalize(topic1, RESULT_INVALID);
+      await finalize(topic2, RESULT_INVALID);
+
+      const tx = await parlay.settleParlay(0);
+      assert.equal(tx.logs[0].args._payout.toNumber(), STAKE);
+    });
+
+    it('throws if a leg is not final yet', async () => {
+      await finalize(topic1, 1);
+      try {
+        await parlay.settleParlay(0);
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the parlay is already settled', async () => {
+      await finalize(topic1, 1);
+      await finalize(topic2, 2);
+      await parlay.settleParlay(0);
+      try {
+        await parlay.settleParlay(0);
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('conditional legs', () => {
+    it('counts a leg voided by the parent of its ConditionalTopicEvent as 1x', async () => {
+      const conditionalEventFactory = await ConditionalEventFactory.new(addressManager.address, { from: ADMIN });
+      await addressManager.setConditionalEventFactoryAddress(conditionalEventFactory.address, { from: ADMIN });
+      await ContractHelper.approve(token, OWNER, addressManager.address, await addressManager.eventEscrowAmount.call());
+      const tx = await conditionalEventFactory.createConditionalTopic(
+        ORACLE, ['If Home wins game 3, who wins 4?'], ['Home', 'Away'],
+        [topicParams._bettingStartTime, topicParams._bettingEndTime, topicParams._resultSettingStartTime,
+          topicParams._resultSettingEndTime + 1000],
+        0, 0, topic3.address, 1, { from: OWNER },
+      );
+      const conditionalTopic = ConditionalTopicEvent.at(tx.logs[0].args._topicAddress);
+      await parlay.setTopicAllowed(conditionalTopic.address, true, { from: OWNER });
+      await betOn(conditionalTopic, 1, 100000000);
+      await betOn(conditionalTopic, 2, 100000000);
+      await parlay.placeParlay([topic1.address, conditionalTopic.address], [1, 1], { from: USER1, value: STAKE });
+      const multiplier1 = (await parlay.getLegs(0))[2][0].toNumber();
+
+      await timeMachine.increaseTime(topicParams._resultSettingStartTime - Utils.getCurrentBlockTime());
+      await finalize(topic1, 1);
+      await finalize(conditionalTopic, 1);
+      try {
+        await parlay.calculatePayout(0);
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      await finalize(topic3, 2);
+      assert.equal((await parlay.calculatePayout(0)).toNumber(), Math.floor((STAKE * multiplier1) / MULTIPLIER_BASE));
+    });
+  });
+
+  describe('pool', () => {
+    it('allows the owner to fund and withdraw the available pool', async () => {
+      const tx = await parlay.fundPool({ from: OWNER, value: STAKE });
+      assert.equal(tx.logs[0].event, 'PoolFunded');
+
+      const placeTx = await parlay.placeParlay([topic1.address, topic2.address], [1, 2], {
+        from: USER1,
+        value: STAKE,
+      });
+      const available = (POOL + STAKE + STAKE) - placeTx.logs[0].args._maxPayout.toNumber();
+      assert.equal((await parlay.getAvailablePool()).toNumber(), available);
+
+      try {
+        await parlay.withdrawPool(available + 1, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      await parlay.withdrawPool(available, { from: OWNER });
+      assert.equal((await parlay.getAvailablePool()).toNumber(), 0);
+    });
+
+    it('throws if a non-owner tries to manage the pool or the topics', async () => {
+      try {
+        await parlay.withdrawPool(1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      try {
+        await parlay.setTopicAllowed(topic3.address, true, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+});
@@ -235,6 +235,372 @@ contract('AdddressManager', (accounts) => {
     });
   });
 
+  describe('TreasuryAddress', () => {
+    it('should return the correct address if set', async () => {
+      assert.equal(await addressManager.treasuryAddress.call(), 0);
+
+      await addressManager.setTreasuryAddress(USER1, { from: OWNER });
+      assert.equal(await addressManager.treasuryAddress.call(), USER1);
+    });
+
+    it('throws if a non-OWNER tries setting the address', async () => {
+      try {
+        await addressManager.setTreasuryAddress(USER1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      assert.equal(await addressManager.treasuryAddress.call(), 0);
+    });
+
+    it('throws if trying to set an invalid address', async () => {
+      try {
+        await addressManager.setTreasuryAddress(0, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('setBettingToken()', () => {
+    it('allows the OWNER to add and remove a betting token', async () => {
+      assert.isFalse(await addressManager.bettingTokens.call(tokenAddress1));
+
+      const tx = await addressManager.setBettingToken(tokenAddress1, true, { from: OWNER });
+      assert.equal(tx.logs[0].event, 'BettingTokenChanged');
+      assert.isTrue(await addressManager.bettingTokens.call(tokenAddress1));
+      assert.isFalse(await addressManager.bettingTokens.call(tokenAddress2));
+
+      await addressManager.setBettingToken(tokenAddress1, false, { from: OWNER });
+      assert.isFalse(await addressManager.bettingTokens.call(tokenAddress1));
+    });
+
+    it('throws if a non-OWNER tries to set a betting token', async () => {
+      try {
+        await addressManager.setBettingToken(tokenAddress1, true, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      assert.isFalse(await addressManager.bettingTokens.call(tokenAddress1));
+    });
+
+    it('throws if the token address is invalid', async () => {
+      try {
+        await addressManager.setBettingToken(0, true, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('setScalarEventFactoryAddress()', () => {
+    it('allows the OWNER to set the ScalarEventFactory address', async () => {
+      const tx = await addressManager.setScalarEventFactoryAddress(tokenAddress1, { from: OWNER });
+      assert.equal(tx.logs[0].event, 'ScalarEventFactoryAddressChanged');
+      assert.equal(await addressManager.scalarEventFactoryAddress.call(), tokenAddress1);
+    });
+
+    it('throws if a non-OWNER tries to set the ScalarEventFactory address', async () => {
+      try {
+        await addressManager.setScalarEventFactoryAddress(tokenAddress1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the ScalarEventFactory address is invalid', async () => {
+      try {
+        await addressManager.setScalarEventFactoryAddress(0, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('setLMSREventFactoryAddress()', () => {
+    it('allows the OWNER to set the LMSREventFactory address', async () => {
+      const tx = await addressManager.setLMSREventFactoryAddress(tokenAddress1, { from: OWNER });
+      assert.equal(tx.logs[0].event, 'LMSREventFactoryAddressChanged');
+      assert.equal(await addressManager.lmsrEventFactoryAddress.call(), tokenAddress1);
+    });
+
+    it('throws if a non-OWNER tries to set the LMSREventFactory address', async () => {
+      try {
+        await addressManager.setLMSREventFactoryAddress(tokenAddress1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the LMSREventFactory address is invalid', async () => {
+      try {
+        await addressManager.setLMSREventFactoryAddress(0, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('setFixedOddsEventFactoryAddress()', () => {
+    it('allows the OWNER to set the FixedOddsEventFactory address', async () => {
+      const tx = await addressManager.setFixedOddsEventFactoryAddress(tokenAddress1, { from: OWNER });
+      assert.equal(tx.logs[0].event, 'FixedOddsEventFactoryAddressChanged');
+      assert.equal(await addressManager.fixedOddsEventFactoryAddress.call(), tokenAddress1);
+    });
+
+    it('throws if a non-OWNER tries to set the FixedOddsEventFactory address', async () => {
+      try {
+        await addressManager.setFixedOddsEventFactoryAddress(tokenAddress1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the FixedOddsEventFactory address is invalid', async () => {
+      try {
+        await addressManager.setFixedOddsEventFactoryAddress(0, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('setConditionalEventFactoryAddress()', () => {
+    it('allows the OWNER to set the ConditionalEventFactory address', async () => {
+      const tx = await addressManager.setConditionalEventFactoryAddress(tokenAddress1, { from: OWNER });
+      assert.equal(tx.logs[0].event, 'ConditionalEventFactoryAddressChanged');
+      assert.equal(await addressManager.conditionalEventFactoryAddress.call(), tokenAddress1);
+    });
+
+    it('throws if a non-OWNER tries to set the ConditionalEventFactory address', async () => {
+      try {
+        await addressManager.setConditionalEventFactoryAddress(tokenAddress1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the ConditionalEventFactory address is invalid', async () => {
+      try {
+        await addressManager.setConditionalEventFactoryAddress(0, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('setOutcomeTokenFactoryAddress()', () => {
+    it('allows the OWNER to set the OutcomeTokenFactory address', async () => {
+      const tx = await addressManager.setOutcomeTokenFactoryAddress(tokenAddress1, { from: OWNER });
+      assert.equal(tx.logs[0].event, 'OutcomeTokenFactoryAddressChanged');
+      assert.equal(await addressManager.outcomeTokenFactoryAddress.call(), tokenAddress1);
+    });
+
+    it('throws if a non-OWNER tries to set the OutcomeTokenFactory address', async () => {
+      try {
+        await addressManager.setOutcomeTokenFactoryAddress(tokenAddress1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the OutcomeTokenFactory address is invalid', async () => {
+      try {
+        await addressManager.setOutcomeTokenFactoryAddress(0, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('setClaimPeriodLength()', () => {
+    it('allows the OWNER to set the claimPeriodLength', async () => {
+      assert.equal(await addressManager.claimPeriodLength.call(), 2592000);
+
+      await addressManager.setClaimPeriodLength(86400, { from: OWNER });
+      assert.equal(await addressManager.claimPeriodLength.call(), 86400);
+    });
+
+    it('throws if a non-OWNER tries to set the claimPeriodLength', async () => {
+      try {
+        await addressManager.setClaimPeriodLength(86400, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      assert.equal(await addressManager.claimPeriodLength.call(), 2592000);
+    });
+
+    it('throws if the claimPeriodLength is 0', async () => {
+      try {
+        await addressManager.setClaimPeriodLength(0, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('setMaxCreatorFeePercentage()', () => {
+    it('allows the OWNER to set the maxCreatorFeePercentage', async () => {
+      assert.equal(await addressManager.maxCreatorFeePercentage.call(), 5);
+
+      await addressManager.setMaxCreatorFeePercentage(10, { from: OWNER });
+      assert.equal(await addressManager.maxCreatorFeePercentage.call(), 10);
+
+      await addressManager.setMaxCreatorFeePercentage(0, { from: OWNER });
+      assert.equal(await addressManager.maxCreatorFeePercentage.call(), 0);
+    });
+
+    it('throws if a non-OWNER tries to set the maxCreatorFeePercentage', async () => {
+      try {
+        await addressManager.setMaxCreatorFeePercentage(10, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      assert.equal(await addressManager.maxCreatorFeePercentage.call(), 5);
+    });
+
+    it('throws if the maxCreatorFeePercentage is 100 or more', async () => {
+      try {
+        await addressManager.setMaxCreatorFeePercentage(100, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+
+    it('throws if the maxCreatorFeePercentage plus the qtumRewardPercentage is 100 or more', async () => {
+      try {
+        await addressManager.setMaxCreatorFeePercentage(99, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('setQtumRewardPercentage()', () => {
+    it('allows the OWNER to set the qtumRewardPercentage', async () => {
+      assert.equal(await addressManager.qtumRewardPercentage.call(), 1);
+
+      await addressManager.setQtumRewardPercentage(10, { from: OWNER });
+      assert.equal(await addressManager.qtumRewardPercentage.call(), 10);
+
+      await addressManager.setQtumRewardPercentage(0, { from: OWNER });
+      assert.equal(await addressManager.qtumRewardPercentage.call(), 0);
+    });
+
+    it('throws if a non-OWNER tries to set the qtumRewardPercentage', async () => {
+      try {
+        await addressManager.setQtumRewardPercentage(10, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      assert.equal(await addressManager.qtumRewardPercentage.call(), 1);
+    });
+
+    it('throws if the qtumRewardPercentage plus the maxCreatorFeePercentage is 100 or more', async () => {
+      try {
+        await addressManager.setQtumRewardPercentage(95, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      try {
+        await addressManager.setQtumRewardPercentage(255, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('setEarlyExitPenaltyPercentage()', () => {
+    it('allows the OWNER to set the earlyExitPenaltyPercentage', async () => {
+      assert.equal(await addressManager.earlyExitPenaltyPercentage.call(), 10);
+
+      await addressManager.setEarlyExitPenaltyPercentage(100, { from: OWNER });
+      assert.equal(await addressManager.earlyExitPenaltyPercentage.call(), 100);
+
+      await addressManager.setEarlyExitPenaltyPercentage(0, { from: OWNER });
+      assert.equal(await addressManager.earlyExitPenaltyPercentage.call(), 0);
+    });
+
+    it('throws if a non-OWNER tries to set the earlyExitPenaltyPercentage', async () => {
+      try {
+        await addressManager.setEarlyExitPenaltyPercentage(5, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      assert.equal(await addressManager.earlyExitPenaltyPercentage.call(), 10);
+    });
+
+    it('throws if the earlyExitPenaltyPercentage is above 100', async () => {
+      try {
+        await addressManager.setEarlyExitPenaltyPercentage(101, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
+  describe('setReferralPercentage()', () => {
+    it('allows the OWNER to set the referralPercentage', async () => {
+      assert.equal(await addressManager.referralPercentage.call(), 20);
+
+      await addressManager.setReferralPercentage(100, { from: OWNER });
+      assert.equal(await addressManager.referralPercentage.call(), 100);
+
+      await addressManager.setReferralPercentage(0, { from: OWNER });
+      assert.equal(await addressManager.referralPercentage.call(), 0);
+    });
+
+    it('throws if a non-OWNER tries to set the referralPercentage', async () => {
+      try {
+        await addressManager.setReferralPercentage(5, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      assert.equal(await addressManager.referralPercentage.call(), 20);
+    });
+
+    it('throws if the referralPercentage is above 100', async () => {
+      try {
+        await addressManager.setReferralPercentage(101, { from: OWNER });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+    });
+  });
+
   describe('Escrow transfer/withdraw', () => {
     let bodhiToken;
     let escrowAmount;
@@ -252,15 +618,27 @@ contract('AdddressManager', (accounts) => {
 
     it('can tranfer the escrow', async () => {
       await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount);
-      await addressManager.transferEscrow(USER1, { from: WHITELISTED_ADDRESS });
+      await addressManager.transferEscrow(USER1, WHITELISTED_ADDRESS, { from: WHITELISTED_ADDRESS });
       SolAssert.assertBNEqual(await bodhiToken.balanceOf(addressManager.address), escrowAmount);
     });
 
+    it('records the escrow of the event', async () => {
+      await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount);
+      await addressManager.transferEscrow(USER1, WHITELISTED_ADDRESS, { from: WHITELISTED_ADDRESS });
+
+      const escrow = await addressManager.escrows.call(WHITELISTED_ADDRESS);
+      assert.equal(escrow[0], USER1);
+      SolAssert.assertBNEqual(escrow[1], escrowAmount);
+      SolAssert.assertBNEqual(escrow[2], 0);
+      SolAssert.assertBNEqual(escrow[3], 0);
+      SolAssert.assertBNEqual(await addressManager.totalEscrowHeld.call(), escrowAmount);
+    });
+
     it('throws if trying to transfer from a non-whitelisted address', async () => {
       await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount);
 
       try {
-        await addressManager.transferEscrow(USER1, { from: USER1 });
+        await addressManager.transferEscrow(USER1, WHITELISTED_ADDRESS, { from: USER1 });
         assert.fail();
       } catch (e) {
         SolAssert.assertRevert(e);
@@ -273,7 +651,7 @@ contract('AdddressManager', (accounts) => {
       await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount.sub(1));
 
       try {
-        await addressManager.transferEscrow(USER1, { from: WHITELISTED_ADDRESS });
+        await addressManager.transferEscrow(USER1, WHITELISTED_ADDRESS, { from: WHITELISTED_ADDRESS });
         assert.fail();
       } catch (e) {
         SolAssert.assertRevert(e);
@@ -282,26 +660,78 @@ contract('AdddressManager', (accounts) => {
       SolAssert.assertBNEqual(await bodhiToken.balanceOf(addressManager.address), 0);
     });
 
+    it('throws if trying to transfer twice for the same event', async () => {
+      await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount.mul(2));
+      await addressManager.transferEscrow(USER1, WHITELISTED_ADDRESS, { from: WHITELISTED_ADDRESS });
+
+      try {
+        await addressManager.transferEscrow(USER1, WHITELISTED_ADDRESS, { from: WHITELISTED_ADDRESS });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      SolAssert.assertBNEqual(await bodhiToken.balanceOf(addressManager.address), escrowAmount);
+    });
+
     it('can withdraw the escrow', async () => {
       await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount);
-      await addressManager.transferEscrow(USER1, { from: WHITELISTED_ADDRESS });
+      await addressManager.transferEscrow(USER1, WHITELISTED_ADDRESS, { from: WHITELISTED_ADDRESS });
 
       const balanceBefore = await bodhiToken.balanceOf(USER1);
 
-      await addressManager.withdrawEscrow(USER1, escrowAmount, { from: WHITELISTED_ADDRESS });
+      await addressManager.withdrawEscrow(USER1, { from: WHITELISTED_ADDRESS });
       SolAssert.assertBNEqual(await bodhiToken.balanceOf(addressManager.address), 0);
       SolAssert.assertBNEqual(await bodhiToken.balanceOf(USER1), balanceBefore.add(escrowAmount));
+
+      const escrow = await addressManager.escrows.call(WHITELISTED_ADDRESS);
+      SolAssert.assertBNEqual(escrow[2], escrowAmount);
+      SolAssert.assertBNEqual(await addressManager.totalEscrowHeld.call(), 0);
+    });
+
+    it('throws if trying to withdraw the escrow twice', async () => {
+      await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount);
+      await addressManager.transferEscrow(USER1, WHITELISTED_ADDRESS, { from: WHITELISTED_ADDRESS });
+      await addressManager.withdrawEscrow(USER1, { from: WHITELISTED_ADDRESS });
+
+      // Escrow of another event must not be drained
+      await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount);
+      await addressManager.transferEscrow(USER1, eventAddress1, { from: WHITELISTED_ADDRESS });
+
+      try {
+        await addressManager.withdrawEscrow(USER1, { from: WHITELISTED_ADDRESS });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      SolAssert.assertBNEqual(await bodhiToken.balanceOf(addressManager.address), escrowAmount);
+      SolAssert.assertBNEqual(await addressManager.totalEscrowHeld.call(), escrowAmount);
+    });
+
+    it('throws if trying to withdraw without a deposit', async () => {
+      await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount);
+      await addressManager.transferEscrow(USER1, eventAddress1, { from: WHITELISTED_ADDRESS });
+
+      try {
+        await addressManager.withdrawEscrow(USER1, { from: WHITELISTED_ADDRESS });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      SolAssert.assertBNEqual(await bodhiToken.balanceOf(addressManager.address), escrowAmount);
     });
 
     it('throws if trying to withdraw from a non-whitelisted address', async () => {
       await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount);
-      await addressManager.transferEscrow(USER1, { from: WHITELISTED_ADDRESS });
+      await addressManager.transferEscrow(USER1, USER1, { from: WHITELISTED_ADDRESS });
       SolAssert.assertBNEqual(await bodhiToken.balanceOf(addressManager.address), escrowAmount);
 
       const balanceBefore = await bodhiToken.balanceOf(USER1);
 
       try {
-        await addressManager.withdrawEscrow(USER1, escrowAmount, { from: USER1 });
+        await addressManager.withdrawEscrow(USER1, { from: USER1 });
         assert.fail();
       } catch (e) {
         SolAssert.assertRevert(e);
@@ -310,5 +740,75 @@ contract('AdddressManager', (accounts) => {
       SolAssert.assertBNEqual(await bodhiToken.balanceOf(addressManager.address), escrowAmount);
       SolAssert.assertBNEqual(await bodhiToken.balanceOf(USER1), balanceBefore);
     });
+
+    it('can forfeit the escrow to a recipient', async () => {
+      await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount);
+      await addressManager.transferEscrow(USER1, WHITELISTED_ADDRESS, { from: WHITELISTED_ADDRESS });
+
+      const balanceBefore = await bodhiToken.balanceOf(eventAddress1);
+      const tx = await addressManager.forfeitEscrow(eventAddress1, { from: WHITELISTED_ADDRESS });
+      assert.equal(tx.logs[0].event, 'EscrowForfeited');
+      SolAssert.assertBNEqual(await bodhiToken.balanceOf(eventAddress1), balanceBefore.add(escrowAmount));
+      SolAssert.assertBNEqual((await addressManager.escrows.call(WHITELISTED_ADDRESS))[3], escrowAmount);
+      SolAssert.assertBNEqual(await addressManager.totalEscrowHeld.call(), 0);
+
+      // Forfeited escrow can not be withdrawn or forfeited again
+      try {
+        await addressManager.withdrawEscrow(USER1, { from: WHITELISTED_ADDRESS });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      await addressManager.forfeitEscrow(eventAddress1, { from: WHITELISTED_ADDRESS });
+      SolAssert.assertBNEqual(await bodhiToken.balanceOf(eventAddress1), balanceBefore.add(escrowAmount));
+    });
+
+    it('does not forfeit an escrow that was already withdrawn', async () => {
+      await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount);
+      await addressManager.transferEscrow(USER1, WHITELISTED_ADDRESS, { from: WHITELISTED_ADDRESS });
+      await addressManager.withdrawEscrow(USER1, { from: WHITELISTED_ADDRESS });
+
+      const tx = await addressManager.forfeitEscrow(eventAddress1, { from: WHITELISTED_ADDRESS });
+      assert.equal(tx.logs.length, 0);
+      SolAssert.assertBNEqual((await addressManager.escrows.call(WHITELISTED_ADDRESS))[3], 0);
+    });
+
+    it('throws if trying to forfeit from a non-whitelisted address', async () => {
+      await ContractHelper.approve(bodhiToken, USER1, addressManager.address, escrowAmount);
+      await addressManager.transferEscrow(USER1, USER1, { from: WHITELISTED_ADDRESS });
+
+      try {
+        await addressManager.forfeitEscrow(eventAddress1, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      SolAssert.assertBNEqual(await bodhiToken.balanceOf(addressManager.address), escrowAmount);
+    });
+  });
+
+  describe('setForfeitEscrowToTreasury()', () => {
+    it('allows the OWNER to set forfeitEscrowToTreasury', async () => {
+      assert.isFalse(await addressManager.forfeitEscrowToTreasury.call());
+
+      await addressManager.setForfeitEscrowToTreasury(true, { from: OWNER });
+      assert.isTrue(await addressManager.forfeitEscrowToTreasury.call());
+
+      await addressManager.setForfeitEscrowToTreasury(false, { from: OWNER });
+      assert.isFalse(await addressManager.forfeitEscrowToTreasury.call());
+    });
+
+    it('throws if a non-OWNER tries to set forfeitEscrowToTreasury', async () => {
+      try {
+        await addressManager.setForfeitEscrowToTreasury(true, { from: USER1 });
+        assert.fail();
+      } catch (e) {
+        SolAssert.assertRevert(e);
+      }
+
+      assert.isFalse(await addressManager.forfeitEscrowToTreasury.call());
+    });
   });
 });
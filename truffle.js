@@ -1,4 +1,10 @@
 module.exports = {
   networks: {
-  }
+  },
+  solc: {
+    optimizer: {
+      enabled: true,
+      runs: 200,
+    },
+  },
 };